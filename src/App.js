@@ -1,64 +1,257 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { ArrowLeft, Plus, Trash2, Edit, X, FileText, DollarSign, TrendingUp, BarChart2 } from 'lucide-react';
+import React, { useState, useEffect, useLayoutEffect, useMemo, useCallback, useRef, memo } from 'react';
+import { ArrowLeft, Plus, Trash2, Edit, X, FileText, DollarSign, TrendingUp, BarChart2, Settings, Copy, Users, Printer, CalendarDays, ChevronLeft, ChevronRight, Download, Upload, Undo2, Redo2, Target, AlertTriangle, FileDown, Paperclip, Cloud, CloudOff, LogIn, LogOut, Search, ArrowUp, ArrowDown, Briefcase, LineChart as LineChartIcon } from 'lucide-react';
+import { EMPTY_DATA, USER_NAME_KEY, createBackup, listQuarantine, mergeData, parseBackup } from './storage';
+import { createRepository, describeStorageError, diffData, hasChanges } from './repository';
+import { applyTabChanges, createTabChannel, describeChanges } from './tabSync';
+import { applyUpdate, onUpdateReady } from './serviceWorkerRegistration';
+import { downloadBlob, downloadText } from './download';
+import { useCloudSync } from './useCloudSync';
+import { ACTION_LABELS, applyUndoStep, getActiveShows, getShowHistory, getTrashedShows, recordChanges, restoreFromTrash, restoreVersion, trashShow } from './history';
+import { STATUSES, addAdjustment, applyEdit, getAdjustments, getAllowedTransitions, getStatus, getStatusInfo, isFinancialsLocked, transitionShow } from './lifecycle';
+import { CURRENCIES, findExchangeRate, formatMoney, getReportingCurrency, getShowCurrency, getShowExchangeRate, mergeExchangeRates, parseExchangeRateRows } from './currency';
+import { buildBudgetVsActual, buildMonthlySeries, comparePeriods, getFiscalYearStartMonth, getPeriod, percentChange, rankDestinationsByRoomNightCost, shiftPeriod, summarizePeriod } from './analytics';
+import { ACCEPTED_FILE_TYPES, addAttachments, getAttachments, collectFiles, createAttachments, createFileStore, describeFileSize, groupAttachments, isImage, noteRemovedFiles, pruneFiles, removeAttachment, restoreFiles } from './attachments';
+import { buildPeriodReport, buildSettlementSheet, renderPeriodReportPdf, renderSettlementPdf } from './reports';
+import { buildPipeline, buildVarianceReport, getVarianceThreshold } from './forecast';
+import { BUDGET_OPTIONS, DEFAULT_FILTERS, GROUP_OPTIONS, SORT_OPTIONS, UNASSIGNED, applyFilters, groupShows, hasActiveFilters, parseFilters, serializeFilters } from './showFilters';
+import { DEFAULT_SETTINGS, DEFAULT_TIER_ID, describeCommissionRules, findShowsCoveredBy, getCosting, isRateCardInUse, recordCosting, resolveMarketTier } from './rateCards';
+import { calculateMetrics as calculateShowMetrics, createMetricsCache, updateAggregate } from './metrics';
+import { addDays, buildMonthGrid, buildTimeline, deriveMeetingDays, deriveNights, findOverlappingShowIds, formatDateRange, getShowRange, today } from './showDates';
+import { getCostTotals, getExpenseAmount, getExpenseCategory, getExpenses } from './expenses';
+import { copyShowSetup, findShowWarnings, parseAmount, suggestDestinations, suggestVendors, validateBilling, validateShowForm } from './showValidation';
+import { buildClientRollup, getBilling, getClientName, getClients, getInvoiceStatus, getInvoiceStatusLabel } from './billing';
+import { IMPORT_FIELDS, buildExportRows, exportRows, guessColumnMapping, readSpreadsheet, validateImportRows } from './spreadsheet';
+import { buildStatement, describeAssignees, getAssignees, validateAssignees } from './salespeople';
+
+// For download file names: "São Paulo Expo" → "s-o-paulo-expo".
+const toFileSlug = (text) => (text || 'show').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Older steps drop off the bottom of the undo stack.
+const MAX_UNDO_STEPS = 50;
+
+// Shows, settings, the sales team and the change log.
+const repository = createRepository();
+// Attached files are kept in IndexedDB, apart from the rest of the data.
+const fileStore = createFileStore();
+// Each save is announced to the app's other open tabs.
+const tabChannel = createTabChannel();
 
 // --- Main App Component ---
 export default function App() {
     // --- State Management ---
-    // The 'shows' state is now initialized by reading from the browser's localStorage.
-    const [shows, setShows] = useState(() => {
-        try {
-            const localData = localStorage.getItem('roadshow-savings-data');
-            return localData ? JSON.parse(localData) : [];
-        } catch (error) {
-            console.error("Error reading from localStorage", error);
-            return [];
-        }
-    });
+    // Shows, settings, the sales team and the change log are read once from
+    // the repository at startup; older shapes are migrated on the way in.
+    const [isLoaded, setIsLoaded] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+    const [shows, setShows] = useState(EMPTY_DATA.shows);
+    const [settings, setSettings] = useState(EMPTY_DATA.settings);
+    const [salespeople, setSalespeople] = useState(EMPTY_DATA.salespeople);
+    const [history, setHistory] = useState(EMPTY_DATA.history);
+    const [quarantined, setQuarantined] = useState(() => listQuarantine(localStorage));
 
-    const [isLoading, setIsLoading] = useState(false); // Loading is much faster now
     const [isModalOpen, setIsModalOpen] = useState(false);
+    const [isImportOpen, setIsImportOpen] = useState(false);
     const [editingShow, setEditingShow] = useState(null);
     const [selectedShow, setSelectedShow] = useState(null);
+    const [view, setView] = useState('shows');
+    const [filters, setFilters] = useState(() => parseFilters(window.location.search));
     const [error, setError] = useState(null);
+    const [storageError, setStorageError] = useState(null);
+    const [isUpdateReady, setIsUpdateReady] = useState(false);
+    const [localUserName, setLocalUserName] = useState(() => localStorage.getItem(USER_NAME_KEY) || '');
+    // Undo and redo last for the session only; the change log is what's kept.
+    const [undoStack, setUndoStack] = useState([]);
+    const [redoStack, setRedoStack] = useState([]);
 
-    // --- Constants ---
-    const ROOM_BUDGET_PER_NIGHT = 100;
-    const MEETING_BUDGET_PER_DAY = 100;
-    const COMMISSION_RATE = 0.20;
+    // --- Data Persistence ---
+    // `persisted` is the data as last handed to the repository; after a failed
+    // save, `unsavedSince` is the data as it was before that save.
+    const persisted = useRef(null);
+    const unsavedSince = useRef(null);
 
-    // --- Data Persistence using localStorage ---
-    // This effect runs whenever the 'shows' state changes, saving the updated data to localStorage.
     useEffect(() => {
-        try {
-            localStorage.setItem('roadshow-savings-data', JSON.stringify(shows));
-        } catch (error) {
-            console.error("Error writing to localStorage", error);
-            setError("Could not save data to your browser's storage.");
-        }
+        let cancelled = false;
+        repository.load().then(({ data, notices }) => {
+            if (cancelled) return;
+            persisted.current = data;
+            setShows(data.shows);
+            setSettings(data.settings);
+            setSalespeople(data.salespeople);
+            setHistory(data.history);
+            if (notices.length > 0) setError(notices.join(' '));
+            setQuarantined(listQuarantine(localStorage));
+            setIsLoaded(true);
+            // Files removed from a show are kept for the session so undo can
+            // put them back; each start clears out any still unlisted. Not
+            // after a load that went wrong, whose shows may yet be recovered.
+            if (fileStore.isAvailable && notices.length === 0 && data.shows.length > 0) {
+                pruneFiles(fileStore, data.shows).catch(error => console.error("Error clearing out attached files", error));
+            }
+        }).catch(error => {
+            console.error("Error loading saved data", error);
+            if (!cancelled) setLoadError(error);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    // Each change writes only the shows and log entries it touched. After a
+    // failed save there's no telling what made it in, so the next one
+    // rewrites everything: what other tabs have stored since, with every
+    // change made here since the last good save on top.
+    const persist = useCallback((data) => {
+        const since = unsavedSince.current;
+        const previous = since || persisted.current;
+        const changes = diffData(previous, data);
+        if (!since && !hasChanges(changes)) return;
+        persisted.current = data;
+        unsavedSince.current = null;
+        (since ? repository.replaceAll(data, changes) : repository.save(data, changes))
+            .then(() => {
+                setStorageError(null);
+                tabChannel.post(describeChanges(previous, data));
+            })
+            .catch(error => {
+                console.error("Error saving data", error);
+                if (!unsavedSince.current) unsavedSince.current = previous;
+                setStorageError(error);
+            });
+    }, []);
+
+    useEffect(() => {
+        if (isLoaded) persist({ shows, settings, salespeople, history });
+    }, [isLoaded, persist, shows, settings, salespeople, history]);
+
+    // However a file comes off the list (removed, restored over, or edited
+    // away on another device), it's noted for clearing out at the next start.
+    const listedShows = useRef(EMPTY_DATA.shows);
+    useEffect(() => {
+        noteRemovedFiles(listedShows.current, shows);
+        listedShows.current = shows;
     }, [shows]);
 
+    // A new version of the app is offered once it has downloaded.
+    useEffect(() => onUpdateReady(() => setIsUpdateReady(true)), []);
+
+    // --- Other Tabs ---
+    // What other tabs save is queued, then folded into the state as last
+    // rendered, which by then has been handed to the repository. The fold
+    // reruns with the state, but only does anything while messages wait.
+    const [tabChanges, setTabChanges] = useState([]);
+    useEffect(() => {
+        if (!isLoaded) return undefined;
+        return tabChannel.subscribe(message => setTabChanges(prev => [...prev, message]));
+    }, [isLoaded]);
+
+    useEffect(() => {
+        if (tabChanges.length === 0) return;
+        let data = { shows, settings, salespeople, history };
+        let saved = persisted.current;
+        tabChanges.forEach(message => {
+            ({ data, saved } = applyTabChanges(data, saved, message));
+        });
+        persisted.current = saved;
+        setShows(data.shows);
+        setSettings(data.settings);
+        setSalespeople(data.salespeople);
+        setHistory(data.history);
+        setTabChanges([]);
+    }, [tabChanges, shows, settings, salespeople, history]);
+
+    // --- Cloud Sync ---
+    // Other coordinators' edits arrive here; ours are picked up from state.
+    const handleRemoteData = useCallback((data) => {
+        setShows(data.shows);
+        setSettings(data.settings);
+        setSalespeople(data.salespeople);
+        setHistory(data.history);
+    }, []);
+    // Held back until the saved data is in, so it isn't mistaken for an empty workspace.
+    const cloud = useCloudSync({ data: { shows, settings, salespeople, history }, onRemoteData: handleRemoteData, enabled: isLoaded });
+    // Signed-in users are named by their account; otherwise by the name they
+    // gave this browser.
+    const currentUserName = cloud.user ? (cloud.user.displayName || cloud.user.email) : (localUserName.trim() || null);
+
+    const handleLocalUserNameChange = (name) => {
+        setLocalUserName(name);
+        localStorage.setItem(USER_NAME_KEY, name);
+    };
+    // Only worth a spinner when there's nothing cached to show yet.
+    const isLoading = cloud.status === 'connecting' && shows.length === 0;
+
     // --- Calculations ---
-    const calculateMetrics = (show) => {
-        const roomBudget = (show.nights || 0) * ROOM_BUDGET_PER_NIGHT;
-        const meetingBudget = (show.meetingDays || 0) * MEETING_BUDGET_PER_DAY;
-        const totalBudget = roomBudget + meetingBudget;
-        const actualSpend = (show.actualRoomCost || 0) + (show.actualMeetingCost || 0);
-        const savings = totalBudget - actualSpend;
-        const commission = savings > 0 ? savings * COMMISSION_RATE : 0;
-        return { totalBudget, actualSpend, savings, commission };
-    };
-    
+    // Each show is measured against the rate card in effect on its own date.
+    const reportingCurrency = getReportingCurrency(settings);
+    const calculateMetrics = useMemo(() => createMetricsCache((show) => calculateShowMetrics(show, settings)), [settings]);
+
     // --- Memoized Aggregate Data ---
+    // Shows in the trash are kept for restoring but left out of every view.
+    const activeShows = useMemo(() => getActiveShows(shows), [shows]);
+    const trashedShows = useMemo(() => getTrashedShows(shows), [shows]);
+    const filteredShows = useMemo(() => applyFilters(activeShows, filters, calculateMetrics), [activeShows, filters, calculateMetrics]);
+    const showGroups = useMemo(() => groupShows(filteredShows, filters, calculateMetrics), [filteredShows, filters, calculateMetrics]);
+    // The dashboard totals are adjusted for the shows that changed rather than
+    // summed from scratch.
+    const aggregateCache = useRef(null);
     const aggregateData = useMemo(() => {
-        return shows.reduce((acc, show) => {
-            const { savings, commission, actualSpend, totalBudget } = calculateMetrics(show);
-            acc.totalSavings += savings;
-            acc.totalCommission += commission;
-            acc.totalSpent += actualSpend;
-            acc.totalBudgeted += totalBudget;
-            return acc;
-        }, { totalSavings: 0, totalCommission: 0, totalSpent: 0, totalBudgeted: 0 });
-    }, [shows]);
+        aggregateCache.current = updateAggregate(aggregateCache.current, filteredShows, calculateMetrics);
+        return aggregateCache.current.totals;
+    }, [filteredShows, calculateMetrics]);
+
+    // Keep the filters in the query string so a view can be shared as a link.
+    useEffect(() => {
+        const query = serializeFilters(filters);
+        if (query !== window.location.search) {
+            window.history.replaceState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+        }
+    }, [filters]);
+
+    // --- Change Tracking ---
+    // Every change to the shows goes through here, so it lands in the change
+    // log and, unless it's part of the approval workflow, can be undone.
+    // `log` is the change log to add to, when it's being replaced as well.
+    const commitShows = (nextShows, { label, undoable = true, note = '', log = history } = {}) => {
+        const { entries, changes } = recordChanges(shows, nextShows, { by: currentUserName, note });
+        setShows(nextShows);
+        setHistory(entries.length === 0 ? log : [...log, ...entries]);
+        if (entries.length === 0) return;
+        if (undoable) {
+            setUndoStack([...undoStack, { label, changes }].slice(-MAX_UNDO_STEPS));
+            setRedoStack([]);
+        }
+    };
+
+    const handleUndoRedo = (direction) => {
+        const [from, setFrom, to, setTo] = direction === 'undo'
+            ? [undoStack, setUndoStack, redoStack, setRedoStack]
+            : [redoStack, setRedoStack, undoStack, setUndoStack];
+        const step = from[from.length - 1];
+        if (!step) return;
+        try {
+            const nextShows = applyUndoStep(shows, step, direction, { by: currentUserName });
+            commitShows(nextShows, { undoable: false, note: `${direction === 'undo' ? 'Undo' : 'Redo'}: ${step.label}` });
+            setFrom(from.slice(0, -1));
+            setTo([...to, step]);
+        } catch (error) {
+            setError(error.message);
+        }
+    };
+
+    // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y), except while typing, where
+    // the browser's own undo applies.
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                handleUndoRedo(key === 'y' || e.shiftKey ? 'redo' : 'undo');
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    });
 
     // --- Event Handlers ---
     const handleOpenModal = (show = null) => {
@@ -73,56 +266,373 @@ export default function App() {
 
     const handleSaveShow = (showData) => {
         if (editingShow) {
-            // Update existing show
-            setShows(shows.map(s => s.id === editingShow.id ? { ...s, ...showData } : s));
+            // Update existing show. Approved and paid shows keep their figures,
+            // and every show keeps its rate card unless its dates or place change.
+            const edit = (s) => recordCosting({ ...applyEdit(s, showData), updatedAt: new Date().toISOString(), updatedBy: currentUserName }, settings, s);
+            commitShows(
+                shows.map(s => s.id === editingShow.id ? edit(s) : s),
+                { label: `Edit ${editingShow.destination}` }
+            );
         } else {
             // Add new show with a unique ID and creation date
-            const newShow = { 
+            const newShow = recordCosting({ 
                 ...showData, 
                 id: crypto.randomUUID(), 
-                createdAt: new Date().toISOString() 
-            };
+                createdAt: new Date().toISOString(),
+                createdBy: currentUserName,
+                status: 'planned',
+                statusHistory: [],
+                adjustments: []
+            }, settings);
             // Add the new show to the beginning of the list
-            setShows([newShow, ...shows]);
+            commitShows([newShow, ...shows], { label: `Add ${newShow.destination}` });
         }
         handleCloseModal();
     };
 
+    const handleImportShows = (importedShows) => {
+        const createdAt = new Date().toISOString();
+        const newShows = importedShows.map(showData => recordCosting({
+            ...showData,
+            id: crypto.randomUUID(),
+            createdAt,
+            status: 'planned',
+            statusHistory: [],
+            adjustments: []
+        }, settings));
+        commitShows([...newShows, ...shows], { label: `Import ${newShows.length} show${newShows.length === 1 ? '' : 's'}` });
+        setIsImportOpen(false);
+    };
+
+    const handleExport = async (format) => {
+        try {
+            // Exports what's on screen, so a filtered view exports just those shows.
+            await exportRows(buildExportRows(filteredShows, calculateMetrics, salespeople, settings), format);
+        } catch (error) {
+            console.error("Error exporting shows", error);
+            setError("Could not create the export file.");
+        }
+    };
+
+    // Throws for the caller to report; printing is the fallback.
+    const handleDownloadSettlement = async (show) => {
+        const sheet = buildSettlementSheet(show, { metrics: calculateMetrics(show), settings, salespeople });
+        const doc = await renderSettlementPdf(sheet);
+        downloadBlob(doc.output('blob'), `settlement-${toFileSlug(show.destination)}-${today()}.pdf`);
+    };
+
+    const handleDownloadBackup = async () => {
+        let files = [];
+        try {
+            const collected = await collectFiles(fileStore, shows);
+            files = collected.files;
+            if (collected.missing.length > 0) {
+                setError(`${collected.missing.length} attached file(s) aren't stored on this device and were left out of the backup.`);
+            }
+        } catch (error) {
+            console.error("Error reading attached files", error);
+            setError("Attached files could not be read, so the backup was saved without them.");
+        }
+        downloadText(createBackup({ shows, settings, salespeople, history }, files), `roadshow-savings-backup-${today()}.json`);
+    };
+
+    // The files go in first, so every attachment the restored shows list can
+    // be opened. The shows change as one step, logged on top of the restored
+    // change log; undo puts the shows back but not the settings or sales
+    // team. Throws for the caller to report.
+    const handleRestoreBackup = async (incoming, mode, files = []) => {
+        await restoreFiles(fileStore, files);
+        const restored = mode === 'replace' ? incoming : mergeData({ shows, settings, salespeople, history }, incoming);
+        setSettings(restored.settings);
+        setSalespeople(restored.salespeople);
+        commitShows(restored.shows, {
+            label: mode === 'replace' ? 'Replace with backup' : 'Merge backup',
+            note: mode === 'replace' ? 'Replaced with a backup' : 'Merged from a backup',
+            log: restored.history
+        });
+    };
+
+    const handleDiscardQuarantine = (key) => {
+        localStorage.removeItem(key);
+        setQuarantined(listQuarantine(localStorage));
+    };
+
+    // These throw with a message for the detail view when the change isn't allowed.
+    // Transitions and adjustments are corrected by another transition or
+    // adjustment, not by undo.
+    const handleTransitionShow = (show, to, note) => {
+        const { commission, totalBudget, actualSpend } = calculateMetrics(show);
+        const updated = recordCosting(transitionShow(show, to, { by: currentUserName, note, commission, budget: totalBudget, spend: actualSpend }), settings, show);
+        commitShows(shows.map(s => s.id === show.id ? updated : s), { undoable: false });
+    };
+
+    const handleAddAdjustment = (show, adjustment) => {
+        const updated = addAdjustment(show, { ...adjustment, by: currentUserName });
+        commitShows(shows.map(s => s.id === show.id ? updated : s), { undoable: false });
+    };
+
+    const handleRestoreVersion = (show, entryId) => {
+        const restored = restoreVersion(show, history, entryId, { by: currentUserName });
+        commitShows(shows.map(s => s.id === show.id ? restored : s), { label: `Restore an earlier version of ${show.destination}`, note: 'Restored an earlier version' });
+    };
+
     const handleDeleteShow = (showId) => {
-        // Filter out the show to be deleted
-        setShows(shows.filter(s => s.id !== showId));
+        const show = shows.find(s => s.id === showId);
+        // Shows with approved or paid commission stay on record.
+        if (!show || isFinancialsLocked(show)) return;
+        // Deleted shows go to the trash, where they can be restored.
+        const trashed = trashShow(show, { by: currentUserName });
+        commitShows(shows.map(s => s.id === showId ? trashed : s), { label: `Delete ${show.destination}` });
         // If the deleted show was the selected one, go back to the list
         if (selectedShow && selectedShow.id === showId) {
             setSelectedShow(null);
         }
     };
 
+    const handleRestoreFromTrash = (show) => {
+        const restored = restoreFromTrash(show, { by: currentUserName });
+        commitShows(shows.map(s => s.id === show.id ? restored : s), { label: `Restore ${show.destination}` });
+    };
+
+    // Removes the show for good, with its attached files. Its change log stays.
+    const handlePurgeShow = (show) => {
+        commitShows(shows.filter(s => s.id !== show.id), { undoable: false });
+        Promise.all(getAttachments(show).map(a => fileStore.delete(a.id)))
+            .catch(error => console.error("Error deleting attached files", error));
+    };
+
+    // Throws for the detail view to report. The files are stored before the
+    // show lists them.
+    const handleAddAttachments = async (show, files, expenseId) => {
+        const attachments = createAttachments(files, { expenseId, by: currentUserName });
+        await Promise.all(attachments.map((attachment, index) => fileStore.put(attachment.id, files[index])));
+        commitShows(
+            shows.map(s => s.id === show.id ? addAttachments(s, attachments, { by: currentUserName }) : s),
+            { label: `Attach ${attachments.length === 1 ? attachments[0].name : `${attachments.length} files`} to ${show.destination}` }
+        );
+    };
+
+    const handleRemoveAttachment = (show, attachment) => {
+        commitShows(
+            shows.map(s => s.id === show.id ? removeAttachment(s, attachment.id, { by: currentUserName }) : s),
+            { label: `Remove ${attachment.name}` }
+        );
+    };
+
+    const handleRetrySave = () => persist({ shows, settings, salespeople, history });
+
     // --- UI Rendering ---
+    if (loadError) {
+        return (
+            <div className="bg-slate-100 min-h-screen font-sans text-slate-800">
+                <div className="container mx-auto p-4 sm:p-6 lg:p-8">
+                    <ErrorMessage
+                        message={`Your saved data could not be opened (${loadError.message}). Nothing has been changed; reload the page to try again.`}
+                        actions={[{ label: 'Reload', onClick: () => window.location.reload() }]}
+                    />
+                </div>
+            </div>
+        );
+    }
+
+    if (!isLoaded) {
+        return (
+            <div className="bg-slate-100 min-h-screen">
+                <LoadingSpinner />
+            </div>
+        );
+    }
+
     if (selectedShow) {
-        return <ShowDetailView show={selectedShow} onBack={() => setSelectedShow(null)} calculateMetrics={calculateMetrics} onDelete={handleDeleteShow} onEdit={handleOpenModal} />;
+        // Always show the latest copy; it may have changed since it was opened.
+        const show = shows.find(s => s.id === selectedShow.id) || selectedShow;
+        return (
+            <ShowDetailView
+                show={show}
+                settings={settings}
+                salespeople={salespeople}
+                currentUserName={currentUserName}
+                localUserName={cloud.user ? null : localUserName}
+                onUserNameChange={handleLocalUserNameChange}
+                onBack={() => setSelectedShow(null)}
+                calculateMetrics={calculateMetrics}
+                onDelete={handleDeleteShow}
+                onEdit={handleOpenModal}
+                onTransition={handleTransitionShow}
+                onAddAdjustment={handleAddAdjustment}
+                history={getShowHistory(history, show.id)}
+                onRestoreVersion={handleRestoreVersion}
+                onDownloadPdf={handleDownloadSettlement}
+                onAddAttachments={handleAddAttachments}
+                onRemoveAttachment={handleRemoveAttachment}
+                onLoadFile={fileStore.get}
+            />
+        );
+    }
+
+    if (view === 'settings') {
+        return (
+            <SettingsView
+                settings={settings}
+                shows={shows}
+                quarantined={quarantined}
+                onChange={setSettings}
+                onDownloadBackup={handleDownloadBackup}
+                onRestoreBackup={handleRestoreBackup}
+                onDiscardQuarantine={handleDiscardQuarantine}
+                onBack={() => setView('shows')}
+            />
+        );
+    }
+
+    if (view === 'analytics') {
+        return <AnalyticsView shows={activeShows} settings={settings} calculateMetrics={calculateMetrics} onBack={() => setView('shows')} />;
+    }
+
+    if (view === 'report') {
+        return (
+            <PeriodReportView
+                shows={activeShows}
+                settings={settings}
+                calculateMetrics={calculateMetrics}
+                initialPeriod={{ from: filters.from, to: filters.to }}
+                onBack={() => setView('shows')}
+            />
+        );
+    }
+
+    if (view === 'planning') {
+        return (
+            <PlanningView
+                shows={activeShows}
+                settings={settings}
+                salespeople={salespeople}
+                calculateMetrics={calculateMetrics}
+                onSettingsChange={setSettings}
+                onSelectShow={setSelectedShow}
+                onBack={() => setView('shows')}
+            />
+        );
+    }
+
+    if (view === 'calendar') {
+        return <CalendarView shows={activeShows} onSelectShow={setSelectedShow} onBack={() => setView('shows')} />;
+    }
+
+    if (view === 'salespeople') {
+        return (
+            <SalespeopleView
+                salespeople={salespeople}
+                shows={activeShows}
+                calculateMetrics={calculateMetrics}
+                currency={reportingCurrency}
+                onChange={setSalespeople}
+                onBack={() => setView('shows')}
+            />
+        );
+    }
+
+    if (view === 'clients') {
+        return (
+            <ClientsView
+                shows={activeShows}
+                settings={settings}
+                calculateMetrics={calculateMetrics}
+                onSettingsChange={setSettings}
+                onSelectShow={setSelectedShow}
+                onBack={() => setView('shows')}
+            />
+        );
+    }
+
+    if (view === 'trash') {
+        return (
+            <TrashView
+                shows={trashedShows}
+                onRestore={handleRestoreFromTrash}
+                onPurge={handlePurgeShow}
+                onBack={() => setView('shows')}
+            />
+        );
     }
 
     return (
         <div className="bg-slate-100 min-h-screen font-sans text-slate-800">
             <div className="container mx-auto p-4 sm:p-6 lg:p-8">
-                <Header onAddShow={() => handleOpenModal()} />
+                <Header onAddShow={() => handleOpenModal()} onNavigate={setView} trashCount={trashedShows.length} />
+                <SyncBar cloud={cloud} />
                 {error && <ErrorMessage message={error} onDismiss={() => setError(null)} />}
-                <DashboardStats data={aggregateData} showCount={shows.length} />
+                {storageError && (
+                    <ErrorMessage
+                        message={describeStorageError(storageError)}
+                        actions={[
+                            { label: 'Download Backup', onClick: handleDownloadBackup },
+                            { label: 'Try Again', onClick: handleRetrySave }
+                        ]}
+                        onDismiss={() => setStorageError(null)}
+                    />
+                )}
+                {cloud.syncError && <ErrorMessage message={`Cloud sync: ${cloud.syncError}`} onDismiss={cloud.dismissError} />}
+                {isUpdateReady && (
+                    <div className="bg-blue-50 border-l-4 border-blue-500 text-blue-800 p-4 mb-6 rounded-md flex justify-between items-center" role="status">
+                        <p>A new version of the app is ready.</p>
+                        <button onClick={applyUpdate} className="ml-4 text-sm font-semibold underline hover:text-blue-900">Reload</button>
+                    </div>
+                )}
+                <DashboardStats data={aggregateData} showCount={filteredShows.length} totalCount={activeShows.length} currency={reportingCurrency} />
 
                 <main>
-                    <h2 className="text-2xl font-bold text-slate-700 mb-4">All Shows</h2>
+                    <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3 mb-4">
+                        <h2 className="text-2xl font-bold text-slate-700">All Shows</h2>
+                        <div className="flex flex-wrap items-center gap-2">
+                            <ToolbarButton
+                                icon={<Undo2 size={16} />}
+                                label="Undo"
+                                title={undoStack.length > 0 ? `Undo: ${undoStack[undoStack.length - 1].label}` : 'Nothing to undo'}
+                                onClick={() => handleUndoRedo('undo')}
+                                disabled={undoStack.length === 0}
+                            />
+                            <ToolbarButton
+                                icon={<Redo2 size={16} />}
+                                label="Redo"
+                                title={redoStack.length > 0 ? `Redo: ${redoStack[redoStack.length - 1].label}` : 'Nothing to redo'}
+                                onClick={() => handleUndoRedo('redo')}
+                                disabled={redoStack.length === 0}
+                            />
+                            <ToolbarButton icon={<FileText size={16} />} label="Period Report" onClick={() => setView('report')} />
+                            <ToolbarButton icon={<Upload size={16} />} label="Import" onClick={() => setIsImportOpen(true)} />
+                            <ToolbarButton icon={<Download size={16} />} label="Export CSV" onClick={() => handleExport('csv')} disabled={filteredShows.length === 0} />
+                            <ToolbarButton icon={<Download size={16} />} label="Export Excel" onClick={() => handleExport('xlsx')} disabled={filteredShows.length === 0} />
+                        </div>
+                    </div>
+                    {activeShows.length > 0 && (
+                        <ShowFilterBar filters={filters} salespeople={salespeople} onChange={setFilters} />
+                    )}
                     {isLoading ? (
                         <LoadingSpinner />
-                    ) : shows.length > 0 ? (
-                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                            {shows.map(show => (
-                                <ShowCard 
-                                    key={show.id} 
-                                    show={show} 
-                                    metrics={calculateMetrics(show)}
-                                    onSelect={() => setSelectedShow(show)}
+                    ) : filteredShows.length > 0 ? (
+                        showGroups.map(group => (
+                            <section key={group.key} className="mb-8">
+                                {group.label && <GroupHeader group={group} currency={reportingCurrency} />}
+                                <ShowGrid
+                                    shows={group.shows}
+                                    renderShow={show => (
+                                        <ShowCard
+                                            key={show.id}
+                                            show={show}
+                                            metrics={calculateMetrics(show)}
+                                            salespeople={salespeople}
+                                            currency={reportingCurrency}
+                                            onSelect={setSelectedShow}
+                                        />
+                                    )}
                                 />
-                            ))}
+                            </section>
+                        ))
+                    ) : activeShows.length > 0 ? (
+                        <div className="text-center py-16 px-6 bg-white rounded-xl border-2 border-dashed border-slate-300">
+                            <p className="text-slate-500">No shows match these filters.</p>
+                            <button onClick={() => setFilters(DEFAULT_FILTERS)} className="mt-2 text-blue-600 font-semibold hover:underline">Clear filters</button>
                         </div>
                     ) : (
                          <EmptyState onAddShow={() => handleOpenModal()} />
@@ -133,10 +643,25 @@ export default function App() {
             {isModalOpen && (
                 <ShowFormModal
                     show={editingShow}
+                    shows={activeShows}
+                    marketTiers={settings.marketTiers}
+                    expenseCategories={settings.expenseCategories}
+                    settings={settings}
+                    salespeople={salespeople}
                     onClose={handleCloseModal}
                     onSave={handleSaveShow}
                 />
             )}
+
+            {isImportOpen && (
+                <ImportWizardModal
+                    shows={activeShows}
+                    salespeople={salespeople}
+                    settings={settings}
+                    onClose={() => setIsImportOpen(false)}
+                    onImport={handleImportShows}
+                />
+            )}
         </div>
     );
 }
@@ -144,243 +669,3471 @@ export default function App() {
 // --- Sub-components ---
 // All sub-components below are for UI and remain unchanged.
 
-const Header = ({ onAddShow }) => (
+const Header = ({ onAddShow, onNavigate, trashCount }) => (
     <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-8">
         <div>
             <h1 className="text-4xl font-bold text-slate-900">Savings Tracker</h1>
             <p className="text-slate-500 mt-1">Monitor roadshow expenses and salesman commissions.</p>
         </div>
-        <button
-            onClick={onAddShow}
-            className="mt-4 sm:mt-0 flex items-center gap-2 bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
-        >
-            <Plus size={20} />
-            Add New Show
-        </button>
+        <div className="mt-4 sm:mt-0 flex flex-wrap items-center gap-3">
+            <NavButton icon={<LineChartIcon size={20} />} label="Analytics" onClick={() => onNavigate('analytics')} />
+            <NavButton icon={<Target size={20} />} label="Planning" onClick={() => onNavigate('planning')} />
+            <NavButton icon={<CalendarDays size={20} />} label="Calendar" onClick={() => onNavigate('calendar')} />
+            <NavButton icon={<Users size={20} />} label="Sales Team" onClick={() => onNavigate('salespeople')} />
+            <NavButton icon={<Briefcase size={20} />} label="Clients" onClick={() => onNavigate('clients')} />
+            <NavButton icon={<Settings size={20} />} label="Settings" onClick={() => onNavigate('settings')} />
+            {trashCount > 0 && <NavButton icon={<Trash2 size={20} />} label={`Trash (${trashCount})`} onClick={() => onNavigate('trash')} />}
+            <button
+                onClick={onAddShow}
+                className="flex items-center gap-2 bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
+            >
+                <Plus size={20} />
+                Add New Show
+            </button>
+        </div>
     </header>
 );
 
-const DashboardStats = ({ data, showCount }) => (
+const SyncBar = ({ cloud }) => {
+    if (cloud.status === 'disabled') return null;
+    const labels = {
+        'signed-out': 'Not syncing. Sign in to share data with your team.',
+        connecting: 'Connecting to the shared workspace...',
+        synced: 'Synced with your team.',
+        error: 'Sync paused. Changes are saved on this device and will sync when the connection recovers.'
+    };
+    return (
+        <div className="mb-6 p-3 bg-white rounded-lg border border-slate-200 flex flex-col sm:flex-row sm:items-center justify-between gap-3 text-sm">
+            <span className="flex items-center gap-2 text-slate-600">
+                {cloud.status === 'synced' ? <Cloud size={18} className="text-green-600" /> : <CloudOff size={18} className="text-slate-400" />}
+                {cloud.user && <span className="font-semibold text-slate-800">{cloud.user.displayName || cloud.user.email}</span>}
+                {labels[cloud.status]}
+            </span>
+            {cloud.conflicts.length > 0 && (
+                <span className="text-amber-700">
+                    {cloud.conflicts.length} conflicting edit{cloud.conflicts.length === 1 ? ' was' : 's were'} resolved in favour of the latest change.
+                    <button onClick={cloud.dismissConflicts} className="ml-2 font-semibold hover:underline">Dismiss</button>
+                </span>
+            )}
+            {cloud.user ? (
+                <button onClick={cloud.signOut} className="flex items-center gap-2 text-slate-600 font-semibold hover:underline">
+                    <LogOut size={16} />
+                    Sign out
+                </button>
+            ) : (
+                <button onClick={cloud.signIn} className="flex items-center gap-2 text-blue-600 font-semibold hover:underline">
+                    <LogIn size={16} />
+                    Sign in
+                </button>
+            )}
+        </div>
+    );
+};
+
+const NavButton = ({ icon, label, onClick }) => (
+    <button
+        onClick={onClick}
+        className="flex items-center gap-2 bg-white text-slate-700 font-semibold py-2 px-4 rounded-lg shadow-md border border-slate-200 hover:bg-slate-50 transition-all duration-200"
+    >
+        {icon}
+        {label}
+    </button>
+);
+
+const ToolbarButton = ({ icon, label, title, onClick, disabled }) => (
+    <button
+        onClick={onClick}
+        disabled={disabled}
+        title={title}
+        className="flex items-center gap-2 bg-white text-slate-700 text-sm font-semibold py-1.5 px-3 rounded-lg border border-slate-300 hover:bg-slate-50 transition-colors disabled:text-slate-400 disabled:hover:bg-white"
+    >
+        {icon}
+        {label}
+    </button>
+);
+
+const DashboardStats = ({ data, showCount, totalCount, currency }) => (
     <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
-        <h3 className="text-xl font-bold text-slate-800 mb-4">Aggregate Totals</h3>
+        <h3 className="text-xl font-bold text-slate-800 mb-4">
+            Aggregate Totals
+            {showCount !== totalCount && <span className="ml-2 text-sm font-medium text-slate-500">for the filtered view</span>}
+        </h3>
         <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
             <StatCard 
                 icon={<TrendingUp className="text-green-500" />} 
                 label="Total Savings" 
-                value={`$${data.totalSavings.toFixed(2)}`} 
+                value={formatMoney(data.totalSavings, currency)} 
+                detail={data.totalRebates > 0 ? `${formatMoney(data.totalNetSavings, currency)} after ${formatMoney(data.totalRebates, currency)} in hotel rebates` : undefined}
                 color="text-green-600"
             />
             <StatCard 
                 icon={<DollarSign className="text-blue-500" />} 
                 label="Total Commissions" 
-                value={`$${data.totalCommission.toFixed(2)}`}
+                value={formatMoney(data.totalCommission, currency)}
+                detail={`Pending ${formatMoney(data.pendingCommission, currency)} · Approved ${formatMoney(data.approvedCommission, currency)} · Paid ${formatMoney(data.paidCommission, currency)}`}
                 color="text-blue-600"
             />
             <StatCard 
                 icon={<BarChart2 className="text-purple-500" />} 
                 label="Total Shows Tracked" 
-                value={showCount}
+                value={showCount === totalCount ? showCount : `${showCount} of ${totalCount}`}
                 color="text-purple-600"
             />
             <StatCard 
                 icon={<FileText className="text-orange-500" />} 
                 label="Total Spent" 
-                value={`$${data.totalSpent.toFixed(2)}`}
+                value={formatMoney(data.totalSpent, currency)}
                 color="text-orange-600"
             />
         </div>
     </section>
 );
 
-const StatCard = ({ icon, label, value, color }) => (
+const ShowFilterBar = ({ filters, salespeople, onChange }) => {
+    const update = (key, value) => onChange({ ...filters, [key]: value });
+    const controlClass = "px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+    return (
+        <div className="mb-6 p-4 bg-white rounded-xl border border-slate-200 flex flex-wrap items-end gap-3">
+            <label className="flex-1 min-w-[12rem]">
+                <span className="block text-xs font-medium text-slate-500 mb-1">Search</span>
+                <span className="relative block">
+                    <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+                    <input
+                        type="search"
+                        value={filters.q}
+                        onChange={(e) => update('q', e.target.value)}
+                        placeholder="Destination or notes"
+                        className={`${controlClass} w-full pl-9`}
+                    />
+                </span>
+            </label>
+            <label>
+                <span className="block text-xs font-medium text-slate-500 mb-1">From</span>
+                <input type="date" value={filters.from} onChange={(e) => update('from', e.target.value)} className={controlClass} />
+            </label>
+            <label>
+                <span className="block text-xs font-medium text-slate-500 mb-1">To</span>
+                <input type="date" value={filters.to} onChange={(e) => update('to', e.target.value)} className={controlClass} />
+            </label>
+            <label>
+                <span className="block text-xs font-medium text-slate-500 mb-1">Salesperson</span>
+                <select value={filters.salesperson} onChange={(e) => update('salesperson', e.target.value)} className={controlClass}>
+                    <option value="">Everyone</option>
+                    {salespeople.map(person => <option key={person.id} value={person.id}>{person.name}</option>)}
+                    <option value={UNASSIGNED}>Unassigned</option>
+                </select>
+            </label>
+            <label>
+                <span className="block text-xs font-medium text-slate-500 mb-1">Budget</span>
+                <select value={filters.budget} onChange={(e) => update('budget', e.target.value)} className={controlClass}>
+                    {BUDGET_OPTIONS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                </select>
+            </label>
+            <label>
+                <span className="block text-xs font-medium text-slate-500 mb-1">Sort by</span>
+                <span className="flex gap-1">
+                    <select value={filters.sort} onChange={(e) => update('sort', e.target.value)} className={controlClass}>
+                        {SORT_OPTIONS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                    </select>
+                    <button
+                        type="button"
+                        onClick={() => update('dir', filters.dir === 'asc' ? 'desc' : 'asc')}
+                        disabled={!filters.sort}
+                        title={filters.dir === 'asc' ? 'Ascending' : 'Descending'}
+                        className="px-2 border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 disabled:text-slate-300"
+                    >
+                        {filters.dir === 'asc' ? <ArrowUp size={16} /> : <ArrowDown size={16} />}
+                    </button>
+                </span>
+            </label>
+            <label>
+                <span className="block text-xs font-medium text-slate-500 mb-1">Group by</span>
+                <select value={filters.group} onChange={(e) => update('group', e.target.value)} className={controlClass}>
+                    {GROUP_OPTIONS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                </select>
+            </label>
+            {(hasActiveFilters(filters) || filters.sort || filters.group) && (
+                <button onClick={() => onChange(DEFAULT_FILTERS)} className="py-2 text-sm text-blue-600 font-semibold hover:underline">
+                    Reset
+                </button>
+            )}
+        </div>
+    );
+};
+
+const GroupHeader = ({ group, currency }) => (
+    <div className="flex flex-wrap items-baseline justify-between gap-2 mb-3 pb-2 border-b border-slate-300">
+        <h3 className="text-lg font-bold text-slate-700">
+            {group.label}
+            <span className="ml-2 text-sm font-medium text-slate-500">{group.shows.length} show{group.shows.length === 1 ? '' : 's'}</span>
+        </h3>
+        <p className="text-sm text-slate-600">
+            Savings <span className={`font-semibold ${group.totals.totalSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>{formatMoney(group.totals.totalSavings, currency)}</span>
+            <span className="mx-2 text-slate-300">|</span>
+            Spent <span className="font-semibold">{formatMoney(group.totals.totalSpent, currency)}</span>
+            <span className="mx-2 text-slate-300">|</span>
+            Commission <span className="font-semibold text-blue-600">{formatMoney(group.totals.totalCommission, currency)}</span>
+        </p>
+    </div>
+);
+
+const StatCard = ({ icon, label, value, color, detail }) => (
     <div className="bg-slate-50 p-4 rounded-lg flex items-center gap-4">
         <div className="bg-white p-3 rounded-full shadow-sm">{icon}</div>
         <div>
             <p className="text-sm text-slate-500 font-medium">{label}</p>
             <p className={`text-2xl font-bold ${color}`}>{value}</p>
+            {detail && <p className="text-xs text-slate-500 mt-1">{detail}</p>}
         </div>
     </div>
 );
 
-const ShowCard = ({ show, metrics, onSelect }) => {
+const StatusBadge = ({ show }) => {
+    const info = getStatusInfo(getStatus(show));
+    return <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${info.color}`}>{info.label}</span>;
+};
+
+// --- Show Grid ---
+// Long lists render only the rows near the viewport; the rows above and below
+// are kept as empty space of the same height, so the page scrolls as if they
+// were there. Cards are all one height, so the first sets the row height.
+const VIRTUALIZE_AFTER = 60;
+const OVERSCAN_ROWS = 3;
+const GRID_GAP = 24;
+
+// Matches the grid's md and lg breakpoints.
+const getColumnCount = () => (window.innerWidth >= 1024 ? 3 : window.innerWidth >= 768 ? 2 : 1);
+
+const ShowGrid = ({ shows, renderShow }) => {
+    const gridRef = useRef(null);
+    const [columns, setColumns] = useState(getColumnCount);
+    const [rowHeight, setRowHeight] = useState(200);
+    const [range, setRange] = useState({ first: 0, last: 10 });
+    const isVirtual = shows.length > VIRTUALIZE_AFTER;
+    const rowCount = Math.ceil(shows.length / columns);
+
+    useLayoutEffect(() => {
+        const firstCard = isVirtual ? gridRef.current.firstElementChild : null;
+        if (firstCard && firstCard.offsetHeight > 0) setRowHeight(firstCard.offsetHeight + GRID_GAP);
+    }, [isVirtual, range, columns]);
+
+    useEffect(() => {
+        if (!isVirtual) return undefined;
+        const update = () => {
+            const top = gridRef.current.getBoundingClientRect().top;
+            const first = Math.max(0, Math.floor(-top / rowHeight) - OVERSCAN_ROWS);
+            const last = Math.ceil((window.innerHeight - top) / rowHeight) + OVERSCAN_ROWS;
+            setColumns(getColumnCount());
+            setRange(prev => (prev.first === first && prev.last === last ? prev : { first, last }));
+        };
+        update();
+        window.addEventListener('scroll', update, { passive: true });
+        window.addEventListener('resize', update);
+        return () => {
+            window.removeEventListener('scroll', update);
+            window.removeEventListener('resize', update);
+        };
+    }, [isVirtual, rowHeight]);
+
+    if (!isVirtual) {
+        return <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">{shows.map(renderShow)}</div>;
+    }
+    const first = Math.min(range.first, rowCount);
+    const last = Math.min(range.last, rowCount - 1);
+    return (
+        <div
+            ref={gridRef}
+            className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6"
+            style={{ paddingTop: first * rowHeight, paddingBottom: Math.max(0, rowCount - last - 1) * rowHeight }}
+        >
+            {shows.slice(first * columns, (last + 1) * columns).map(renderShow)}
+        </div>
+    );
+};
+
+// Only re-rendered when its show or figures change; see createMetricsCache.
+const ShowCard = memo(({ show, metrics, salespeople, currency, onSelect }) => {
     const savingsColor = metrics.savings >= 0 ? 'text-green-600 bg-green-100' : 'text-red-600 bg-red-100';
     return (
-        <div onClick={onSelect} className="bg-white rounded-xl shadow-md border border-slate-200 hover:shadow-xl hover:border-blue-400 transition-all duration-300 cursor-pointer overflow-hidden">
+        <div onClick={() => onSelect(show)} className="bg-white rounded-xl shadow-md border border-slate-200 hover:shadow-xl hover:border-blue-400 transition-all duration-300 cursor-pointer overflow-hidden">
             <div className="p-5">
                 <div className="flex justify-between items-start">
                     <h3 className="text-xl font-bold text-slate-800 truncate pr-2">{show.destination}</h3>
                     <span className={`px-3 py-1 text-sm font-semibold rounded-full ${savingsColor}`}>
-                        ${metrics.savings.toFixed(2)} Saved
+                        {formatMoney(metrics.savings, currency)} Saved
                     </span>
                 </div>
-                <p className="text-slate-500 text-sm mt-1">
-                    {show.createdAt ? new Date(show.createdAt).toLocaleDateString() : 'Date not available'}
+                <p className="text-slate-500 text-sm mt-1 flex items-center gap-2">
+                    {formatDateRange(getShowRange(show))}
+                    <StatusBadge show={show} />
                 </p>
+                <p className="text-slate-500 text-sm truncate">{describeAssignees(show, salespeople)}</p>
                 <div className="mt-4 pt-4 border-t border-slate-200 grid grid-cols-2 gap-4 text-sm">
                     <div>
                         <p className="text-slate-500">Commission</p>
-                        <p className="font-semibold text-blue-600 text-lg">${metrics.commission.toFixed(2)}</p>
+                        <p className="font-semibold text-blue-600 text-lg">{formatMoney(metrics.commission, currency)}</p>
                     </div>
                     <div>
                         <p className="text-slate-500">Actual Spend</p>
-                        <p className="font-semibold text-slate-700 text-lg">${metrics.actualSpend.toFixed(2)}</p>
+                        <p className="font-semibold text-slate-700 text-lg">{formatMoney(metrics.actualSpend, currency)}</p>
                     </div>
                 </div>
             </div>
         </div>
     );
-};
+});
 
-const ShowDetailView = ({ show, onBack, calculateMetrics, onDelete, onEdit }) => {
+const ShowDetailView = ({ show, settings, salespeople, currentUserName, localUserName, onUserNameChange, onBack, calculateMetrics, onDelete, onEdit, onTransition, onAddAdjustment, history, onRestoreVersion, onDownloadPdf, onAddAttachments, onRemoveAttachment, onLoadFile }) => {
+    const [confirmDelete, setConfirmDelete] = useState(false);
+    const [tab, setTab] = useState('details');
+    const [pdfError, setPdfError] = useState(null);
     const metrics = calculateMetrics(show);
+    const isLocked = isFinancialsLocked(show);
     const savingsColor = metrics.savings >= 0 ? 'text-green-600' : 'text-red-600';
     const savingsBg = metrics.savings >= 0 ? 'bg-green-100' : 'bg-red-100';
+    const currency = getReportingCurrency(settings);
+    const showCurrency = getShowCurrency(show, settings);
+
+    const handleDownloadPdf = async () => {
+        try {
+            await onDownloadPdf(show);
+            setPdfError(null);
+        } catch (error) {
+            console.error("Error creating settlement PDF", error);
+            setPdfError('Could not create the PDF. Use Print instead; the printout has the same layout.');
+        }
+    };
 
     return (
-        <div className="bg-white p-6 sm:p-8 rounded-xl shadow-lg max-w-4xl mx-auto border border-slate-200">
-            <button onClick={onBack} className="flex items-center gap-2 text-blue-600 font-semibold mb-6 hover:underline">
+        <div className="bg-white p-6 sm:p-8 rounded-xl shadow-lg max-w-4xl mx-auto border border-slate-200 print-sheet">
+            <button onClick={onBack} className="no-print flex items-center gap-2 text-blue-600 font-semibold mb-6 hover:underline">
                 <ArrowLeft size={18} />
                 Back to All Shows
             </button>
             
             <div className="flex flex-col sm:flex-row justify-between items-start mb-6">
-                <h2 className="text-3xl font-bold text-slate-900">{show.destination}</h2>
-                <div className="flex items-center gap-2 mt-4 sm:mt-0">
-                    <button onClick={() => { onBack(); onEdit(show); }} className="p-2 rounded-full hover:bg-slate-200 transition-colors">
-                        <Edit size={20} className="text-slate-600" />
+                <div>
+                    <h2 className="text-3xl font-bold text-slate-900">{show.destination}</h2>
+                    <p className="text-slate-500 mt-1">
+                        {show.checkIn && show.checkOut
+                            ? `Check-in ${formatDateRange({ start: show.checkIn, end: show.checkIn })} · Check-out ${formatDateRange({ start: show.checkOut, end: show.checkOut })}`
+                            : formatDateRange(getShowRange(show))}
+                    </p>
+                    {(show.meetingDates || []).length > 0 && (
+                        <p className="text-slate-500">
+                            Meetings: {show.meetingDates.map(date => formatDateRange({ start: date, end: date })).join(', ')}
+                        </p>
+                    )}
+                    {showCurrency !== currency && (
+                        <p className="text-slate-500">
+                            Entered in {showCurrency} at {getShowExchangeRate(show)} {currency} per {showCurrency}
+                        </p>
+                    )}
+                </div>
+                <div className="no-print flex items-center gap-2 mt-4 sm:mt-0">
+                    <button onClick={handleDownloadPdf} title="Download settlement sheet (PDF)" className="p-2 rounded-full hover:bg-slate-200 transition-colors">
+                        <FileDown size={20} className="text-slate-600" />
                     </button>
-                    <button onClick={() => onDelete(show.id)} className="p-2 rounded-full hover:bg-red-100 transition-colors">
-                        <Trash2 size={20} className="text-red-500" />
+                    <button onClick={() => window.print()} title="Print settlement sheet" className="p-2 rounded-full hover:bg-slate-200 transition-colors">
+                        <Printer size={20} className="text-slate-600" />
                     </button>
+                    <button onClick={() => { onBack(); onEdit(show); }} title={isLocked ? 'Edit notes' : 'Edit'} className="p-2 rounded-full hover:bg-slate-200 transition-colors">
+                        <Edit size={20} className="text-slate-600" />
+                    </button>
+                    {!isLocked && (
+                        <button onClick={() => setConfirmDelete(true)} title="Delete" className="p-2 rounded-full hover:bg-red-100 transition-colors">
+                            <Trash2 size={20} className="text-red-500" />
+                        </button>
+                    )}
                 </div>
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-6">
-                {/* Metrics Section */}
-                <div className="space-y-4">
-                    <h3 className="text-lg font-semibold text-slate-700 border-b pb-2">Financial Summary</h3>
-                    <div className={`p-4 rounded-lg ${savingsBg}`}>
-                        <p className="text-sm font-medium ${savingsColor}">Total Savings</p>
-                        <p className={`text-4xl font-bold ${savingsColor}`}>${metrics.savings.toFixed(2)}</p>
-                    </div>
-                    <div className="p-4 rounded-lg bg-blue-100">
-                        <p className="text-sm font-medium text-blue-600">Salesman Commission</p>
-                        <p className="text-3xl font-bold text-blue-600">${metrics.commission.toFixed(2)}</p>
-                    </div>
-                     <div className="flex justify-between items-center p-3 bg-slate-100 rounded-lg">
-                        <span className="text-slate-600">Total Budget:</span>
-                        <span className="font-bold text-slate-800">${metrics.totalBudget.toFixed(2)}</span>
-                    </div>
-                    <div className="flex justify-between items-center p-3 bg-slate-100 rounded-lg">
-                        <span className="text-slate-600">Actual Spend:</span>
-                        <span className="font-bold text-slate-800">${metrics.actualSpend.toFixed(2)}</span>
-                    </div>
-                </div>
-                {/* Details Section */}
-                <div className="space-y-4">
-                     <h3 className="text-lg font-semibold text-slate-700 border-b pb-2">Cost Breakdown</h3>
-                     <div className="flex justify-between items-center p-3 bg-slate-100 rounded-lg">
-                        <span className="text-slate-600">Sleeping Rooms ({show.nights} nights):</span>
-                        <span className="font-bold text-slate-800">${(show.actualRoomCost || 0).toFixed(2)}</span>
-                    </div>
-                    <div className="flex justify-between items-center p-3 bg-slate-100 rounded-lg">
-                        <span className="text-slate-600">Meeting Spaces ({show.meetingDays} days):</span>
-                        <span className="font-bold text-slate-800">${(show.actualMeetingCost || 0).toFixed(2)}</span>
+            {pdfError && <p className="no-print mb-6 text-sm text-red-600" role="alert">{pdfError}</p>}
+
+            {confirmDelete && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex flex-wrap items-center justify-between gap-3" role="alert">
+                    <span className="text-red-700">Move {show.destination} to the trash? You can restore it from there.</span>
+                    <div className="flex gap-2">
+                        <button onClick={() => setConfirmDelete(false)} className="py-1.5 px-3 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors">
+                            Cancel
+                        </button>
+                        <button onClick={() => onDelete(show.id)} className="py-1.5 px-3 bg-red-600 text-white font-semibold rounded-lg hover:bg-red-700 transition-colors">
+                            Move to Trash
+                        </button>
                     </div>
                 </div>
-            </div>
+            )}
 
-            <div>
-                <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Notes</h3>
-                <div className="bg-slate-50 p-4 rounded-lg min-h-[120px] whitespace-pre-wrap text-slate-700">
-                    {show.notes || <span className="text-slate-400">No notes provided.</span>}
-                </div>
+            <div className="no-print flex gap-1 mb-6 border-b border-slate-200" role="tablist">
+                {[['details', 'Details'], ['history', `History (${history.length})`]].map(([id, label]) => (
+                    <button
+                        key={id}
+                        role="tab"
+                        aria-selected={tab === id}
+                        onClick={() => setTab(id)}
+                        className={`py-2 px-4 font-semibold border-b-2 -mb-px ${tab === id ? 'border-blue-600 text-blue-600' : 'border-transparent text-slate-500 hover:text-slate-700'}`}
+                    >
+                        {label}
+                    </button>
+                ))}
             </div>
+
+            {tab === 'history' ? (
+                <ShowHistory show={show} history={history} onRestoreVersion={onRestoreVersion} />
+            ) : (
+                <>
+                    <StatusPanel
+                        show={show}
+                        localUserName={localUserName}
+                        onUserNameChange={onUserNameChange}
+                        onTransition={onTransition}
+                    />
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-6">
+                        {/* Metrics Section */}
+                        <div className="space-y-4">
+                            <h3 className="text-lg font-semibold text-slate-700 border-b pb-2">Financial Summary</h3>
+                            <div className={`p-4 rounded-lg ${savingsBg}`}>
+                                <p className="text-sm font-medium ${savingsColor}">Total Savings</p>
+                                <p className={`text-4xl font-bold ${savingsColor}`}>{formatMoney(metrics.savings, currency)}</p>
+                            </div>
+                            <div className="p-4 rounded-lg bg-blue-100">
+                                <p className="text-sm font-medium text-blue-600">Salesman Commission</p>
+                                <p className="text-3xl font-bold text-blue-600">{formatMoney(metrics.commission, currency)}</p>
+                                <ul className="mt-2 text-sm text-blue-700 space-y-1">
+                                    {getAssignees(show).map(a => (
+                                        <li key={a.salespersonId} className="flex justify-between">
+                                            <span>{salespeople.find(p => p.id === a.salespersonId)?.name || 'Unknown'} ({a.split}%)</span>
+                                            <span className="font-semibold">{formatMoney(metrics.commission * a.split / 100, currency)}</span>
+                                        </li>
+                                    ))}
+                                    {getAssignees(show).length === 0 && <li>Unassigned</li>}
+                                </ul>
+                            </div>
+                             <div className="flex justify-between items-center p-3 bg-slate-100 rounded-lg">
+                                <span className="text-slate-600">Total Budget:</span>
+                                <span className="font-bold text-slate-800">{formatMoney(metrics.totalBudget, currency)}</span>
+                            </div>
+                            <div className="flex justify-between items-center p-3 bg-slate-100 rounded-lg">
+                                <span className="text-slate-600">Actual Spend:</span>
+                                <span className="font-bold text-slate-800">{formatMoney(metrics.actualSpend, currency)}</span>
+                            </div>
+                            {metrics.hasForecast && <ForecastSummary metrics={metrics} currency={currency} />}
+                            {(show.clientId || metrics.rebate > 0) && <BillingSummary show={show} metrics={metrics} settings={settings} currency={currency} />}
+                        </div>
+                        {/* Details Section */}
+                        <div className="space-y-4">
+                             <h3 className="text-lg font-semibold text-slate-700 border-b pb-2">Cost Breakdown</h3>
+                             <div className="flex justify-between items-center p-3 bg-slate-100 rounded-lg">
+                                <span className="text-slate-600">Sleeping Rooms ({show.nights} nights):</span>
+                                <span className="font-bold text-slate-800">{formatMoney(metrics.actualRoomCost, currency)}</span>
+                            </div>
+                            <div className="flex justify-between items-center p-3 bg-slate-100 rounded-lg">
+                                <span className="text-slate-600">Meeting Spaces ({show.meetingDays} days):</span>
+                                <span className="font-bold text-slate-800">{formatMoney(metrics.actualMeetingCost, currency)}</span>
+                            </div>
+                            {metrics.extraCost > 0 && (
+                                <div className="flex justify-between items-center p-3 bg-slate-100 rounded-lg">
+                                    <span className="text-slate-600">Other Costs:</span>
+                                    <span className="font-bold text-slate-800">{formatMoney(metrics.extraCost, currency)}</span>
+                                </div>
+                            )}
+                            {metrics.adjustmentCost !== 0 && (
+                                <div className="flex justify-between items-center p-3 bg-slate-100 rounded-lg">
+                                    <span className="text-slate-600">Adjustments:</span>
+                                    <span className="font-bold text-slate-800">{formatMoney(metrics.adjustmentCost, currency)}</span>
+                                </div>
+                            )}
+                            {metrics.excludedCost > 0 && (
+                                <div className="flex justify-between items-center p-3 bg-slate-50 rounded-lg border border-dashed border-slate-300">
+                                    <span className="text-slate-500">Excluded from Budget:</span>
+                                    <span className="font-bold text-slate-500">{formatMoney(metrics.excludedCost, currency)}</span>
+                                </div>
+                            )}
+                            <div className="p-3 bg-slate-50 rounded-lg text-sm text-slate-600 border border-slate-200">
+                                <p className="font-semibold text-slate-700">
+                                    Rate card: {metrics.marketTier.name}, effective {metrics.rateCard.effectiveFrom}
+                                </p>
+                                <p>
+                                    {formatMoney(metrics.rateCard.roomRatePerNight, currency)}/night &middot; {formatMoney(metrics.rateCard.meetingRatePerDay, currency)}/meeting day &middot; {describeCommissionRules(metrics.rateCard.commission, currency)}
+                                </p>
+                            </div>
+                        </div>
+                    </div>
+
+                    {(isLocked || getAdjustments(show).length > 0) && (
+                        <AdjustmentsSection
+                            show={show}
+                            currency={currency}
+                            currentUserName={currentUserName}
+                            onAddAdjustment={onAddAdjustment}
+                        />
+                    )}
+
+                    {getExpenses(show).length > 0 && (
+                        <div className="mb-6">
+                            <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Line Items</h3>
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-slate-500">
+                                            <th className="py-2 pr-4">Category</th>
+                                            <th className="py-2 pr-4">Vendor</th>
+                                            <th className="py-2 pr-4">Date</th>
+                                            <th className="py-2 pr-4">Detail</th>
+                                            <th className="py-2 text-right">Amount</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {getExpenses(show).map(item => {
+                                            const category = getExpenseCategory(item.category, settings);
+                                            const excluded = category.bucket === 'extra' && !category.countsTowardBudget;
+                                            const itemCurrency = item.currency || showCurrency;
+                                            return (
+                                                <tr key={item.id} className={`border-t border-slate-200 ${excluded ? 'text-slate-400' : ''}`}>
+                                                    <td className="py-2 pr-4 font-semibold">{category.label}</td>
+                                                    <td className="py-2 pr-4">{item.vendor || '—'}</td>
+                                                    <td className="py-2 pr-4">{item.date || '—'}</td>
+                                                    <td className="py-2 pr-4">
+                                                        {item.category === 'room_block' ? `${item.rooms} rooms × ${item.nights} nights × ${formatMoney(item.rate, itemCurrency)}` : ''}
+                                                        {excluded ? 'Excluded from budget' : ''}
+                                                    </td>
+                                                    <td className="py-2 text-right">{formatMoney(getExpenseAmount(item), itemCurrency)}</td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    <AttachmentsSection
+                        show={show}
+                        settings={settings}
+                        isLocked={isLocked}
+                        onAdd={onAddAttachments}
+                        onRemove={onRemoveAttachment}
+                        onLoadFile={onLoadFile}
+                    />
+
+                    <div>
+                        <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Notes</h3>
+                        <div className="bg-slate-50 p-4 rounded-lg min-h-[120px] whitespace-pre-wrap text-slate-700">
+                            {show.notes || <span className="text-slate-400">No notes provided.</span>}
+                        </div>
+                    </div>
+                    <div className="hidden print-only mt-16 grid grid-cols-2 gap-12 text-sm">
+                        <p className="border-t border-slate-400 pt-2">Prepared by / Date</p>
+                        <p className="border-t border-slate-400 pt-2">Approved by / Date</p>
+                    </div>
+                </>
+            )}
         </div>
     );
 };
 
 
-const ShowFormModal = ({ show, onClose, onSave }) => {
-    const [formData, setFormData] = useState({
-        destination: '',
-        nights: '',
-        meetingDays: '',
-        actualRoomCost: '',
-        actualMeetingCost: '',
-        notes: ''
-    });
-
-    useEffect(() => {
-        setFormData({
-            destination: show?.destination || '',
-            nights: show?.nights || '',
-            meetingDays: show?.meetingDays || '',
-            actualRoomCost: show?.actualRoomCost || '',
-            actualMeetingCost: show?.actualMeetingCost || '',
-            notes: show?.notes || ''
-        });
-    }, [show]);
+// Files for the show and its line items, with a preview of whichever one is
+// open. Approved and paid shows can take new files but keep the ones they have.
+const AttachmentsSection = ({ show, settings, isLocked, onAdd, onRemove, onLoadFile }) => {
+    const [target, setTarget] = useState('');
+    const [uploadError, setUploadError] = useState(null);
+    const [isUploading, setIsUploading] = useState(false);
+    const [preview, setPreview] = useState(null);
+    const { general, byExpense } = groupAttachments(show);
+    const expenses = getExpenses(show);
+    const describeExpense = (item) => `${getExpenseCategory(item.category, settings).label}${item.vendor ? ` · ${item.vendor}` : ''}`;
 
+    // Each preview's object URL is released once it's closed or replaced.
+    useEffect(() => () => {
+        if (preview?.url) URL.revokeObjectURL(preview.url);
+    }, [preview]);
 
-    const handleChange = (e) => {
-        const { name, value } = e.target;
-        const isNumericField = ['nights', 'meetingDays', 'actualRoomCost', 'actualMeetingCost'].includes(name);
-        if (isNumericField && value && !/^\d*\.?\d*$/.test(value)) {
-            return;
+    const handleFiles = async (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        if (files.length === 0) return;
+        setIsUploading(true);
+        try {
+            await onAdd(show, files, target || null);
+            setUploadError(null);
+        } catch (error) {
+            console.error("Error attaching files", error);
+            setUploadError(error.message);
+        } finally {
+            setIsUploading(false);
         }
-        setFormData(prev => ({ ...prev, [name]: value }));
     };
 
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        const processedData = {
-            destination: formData.destination,
-            nights: Number(formData.nights) || 0,
-            meetingDays: Number(formData.meetingDays) || 0,
-            actualRoomCost: Number(formData.actualRoomCost) || 0,
-            actualMeetingCost: Number(formData.actualMeetingCost) || 0,
-            notes: formData.notes
-        };
-        onSave(processedData);
+    const handleOpen = async (attachment) => {
+        try {
+            const blob = await onLoadFile(attachment.id);
+            setPreview(blob ? { attachment, url: URL.createObjectURL(blob) } : { attachment, missing: true });
+        } catch (error) {
+            console.error("Error reading attached file", error);
+            setPreview({ attachment, missing: true });
+        }
     };
 
+    const listProps = { canRemove: !isLocked, onOpen: handleOpen, onRemove: (attachment) => onRemove(show, attachment) };
+
     return (
-        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
-            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-full overflow-y-auto">
-                <div className="p-6 border-b flex justify-between items-center">
-                    <h2 className="text-2xl font-bold text-slate-800">{show ? 'Edit Show' : 'Add New Show'}</h2>
-                    <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-200">
-                        <X size={24} className="text-slate-600" />
-                    </button>
+        <div className="mb-6">
+            <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Attachments</h3>
+            {general.length === 0 && byExpense.size === 0 && (
+                <p className="text-sm text-slate-500 mb-3">No contracts, folios or receipts attached yet.</p>
+            )}
+            {general.length > 0 && <AttachmentList attachments={general} {...listProps} />}
+            {expenses.filter(item => byExpense.has(item.id)).map(item => (
+                <div key={item.id} className="mt-3">
+                    <p className="text-sm font-semibold text-slate-600 mb-1">{describeExpense(item)}</p>
+                    <AttachmentList attachments={byExpense.get(item.id)} {...listProps} />
                 </div>
-                <form onSubmit={handleSubmit} className="p-6 space-y-4">
-                    <InputField label="Destination / Show Name" name="destination" value={formData.destination} onChange={handleChange} required />
-                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                        <InputField label="Nights for Sleeping Rooms" name="nights" type="number" value={formData.nights} onChange={handleChange} required />
-                        <InputField label="Days for Meeting Space" name="meetingDays" type="number" value={formData.meetingDays} onChange={handleChange} required />
-                    </div>
-                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                        <InputField label="Actual Room Cost ($)" name="actualRoomCost" type="number" value={formData.actualRoomCost} onChange={handleChange} placeholder="e.g., 1500.50" required />
-                        <InputField label="Actual Meeting Cost ($)" name="actualMeetingCost" type="number" value={formData.actualMeetingCost} onChange={handleChange} placeholder="e.g., 800" required />
-                    </div>
-                    <div>
-                        <label className="block text-sm font-medium text-slate-600 mb-1">Notes</label>
-                        <textarea
-                            name="notes"
-                            value={formData.notes}
-                            onChange={handleChange}
-                            rows="4"
-                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                            placeholder="Add any relevant notes for this show..."
-                        ></textarea>
+            ))}
+
+            <div className="no-print flex flex-wrap items-center gap-3 mt-3">
+                {expenses.length > 0 && (
+                    <select
+                        aria-label="Attach to"
+                        value={target}
+                        onChange={(e) => setTarget(e.target.value)}
+                        className="px-3 py-1.5 bg-white border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        <option value="">The whole show</option>
+                        {expenses.map(item => <option key={item.id} value={item.id}>{describeExpense(item)}</option>)}
+                    </select>
+                )}
+                <label className={`flex items-center gap-2 text-sm font-semibold py-1.5 px-3 rounded-lg border border-slate-300 transition-colors ${isUploading ? 'text-slate-400' : 'bg-white text-slate-700 hover:bg-slate-50 cursor-pointer'}`}>
+                    <Paperclip size={16} />
+                    {isUploading ? 'Attaching…' : 'Attach Files'}
+                    <input type="file" multiple accept={ACCEPTED_FILE_TYPES} onChange={handleFiles} disabled={isUploading} className="hidden" aria-label="Attach files" />
+                </label>
+                <span className="text-sm text-slate-500">PDFs and images. Files are kept in this browser and in backups.</span>
+            </div>
+            {uploadError && <p className="no-print mt-2 text-sm text-red-600" role="alert">{uploadError}</p>}
+
+            {preview && (
+                <div className="no-print mt-4 border border-slate-200 rounded-lg">
+                    <div className="flex items-center justify-between gap-3 p-3 border-b border-slate-200">
+                        <span className="font-semibold text-slate-800">{preview.attachment.name}</span>
+                        <span className="flex items-center gap-3">
+                            {preview.url && (
+                                <a href={preview.url} download={preview.attachment.name} className="text-sm text-blue-600 font-semibold hover:underline">Download</a>
+                            )}
+                            <button onClick={() => setPreview(null)} title="Close preview" className="p-1 rounded-full hover:bg-slate-200">
+                                <X size={18} className="text-slate-600" />
+                            </button>
+                        </span>
                     </div>
-                    <div className="flex justify-end gap-3 pt-4">
-                        <button type="button" onClick={onClose} className="py-2 px-4 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors">
-                            Cancel
-                        </button>
+                    {preview.missing ? (
+                        <p className="p-4 text-sm text-slate-500">This file isn't stored on this device. Restore a backup that includes it to open it here.</p>
+                    ) : isImage(preview.attachment) ? (
+                        <img src={preview.url} alt={preview.attachment.name} className="max-h-[70vh] mx-auto p-3" />
+                    ) : (
+                        <iframe src={preview.url} title={preview.attachment.name} className="w-full h-[70vh]" />
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const AttachmentList = ({ attachments, canRemove, onOpen, onRemove }) => (
+    <ul className="space-y-2">
+        {attachments.map(attachment => (
+            <li key={attachment.id} className="flex flex-wrap items-center justify-between gap-2 p-3 bg-slate-50 rounded-lg border border-slate-200 text-sm">
+                <button onClick={() => onOpen(attachment)} className="flex items-center gap-2 font-semibold text-blue-600 hover:underline">
+                    <Paperclip size={14} />
+                    {attachment.name}
+                </button>
+                <span className="flex items-center gap-3 text-slate-500">
+                    {describeFileSize(attachment.size)} &middot; added {new Date(attachment.addedAt).toLocaleDateString()}{attachment.addedBy ? ` by ${attachment.addedBy}` : ''}
+                    {canRemove && (
+                        <button onClick={() => onRemove(attachment)} className="no-print text-red-600 font-semibold hover:underline">Remove</button>
+                    )}
+                </span>
+            </li>
+        ))}
+    </ul>
+);
+
+// Projected figures from the show's quotes, and how far the actuals have
+// drifted from them once costs are in.
+const ForecastSummary = ({ metrics, currency }) => {
+    const drift = metrics.actualSpend > 0 && metrics.projectedSpend > 0
+        ? ((metrics.actualSpend - metrics.projectedSpend) / metrics.projectedSpend) * 100
+        : null;
+    return (
+        <div className="p-3 bg-amber-50 rounded-lg border border-amber-200 text-sm text-slate-700 space-y-1">
+            <p className="font-semibold text-slate-800">Forecast from Quotes</p>
+            <p className="flex justify-between"><span>Projected spend</span><span className="font-semibold">{formatMoney(metrics.projectedSpend, currency)}</span></p>
+            <p className="flex justify-between"><span>Projected savings</span><span className="font-semibold">{formatMoney(metrics.projectedSavings, currency)}</span></p>
+            <p className="flex justify-between"><span>Projected commission</span><span className="font-semibold">{formatMoney(metrics.projectedCommission, currency)}</span></p>
+            {metrics.minimumRoomCost !== null && (
+                <p className="text-slate-500">Rooms committed under the attrition clause: at least {formatMoney(metrics.minimumRoomCost, currency)}</p>
+            )}
+            {drift !== null && (
+                <p className="text-slate-500">Actual spend is {Math.abs(drift).toFixed(1)}% {drift >= 0 ? 'over' : 'under'} the quotes.</p>
+            )}
+        </div>
+    );
+};
+
+// Billed to the client, the hotel's rebate, and what the show made once both are counted.
+const BillingSummary = ({ show, metrics, settings, currency }) => {
+    const billing = getBilling(show);
+    const status = getInvoiceStatus(show);
+    return (
+        <div className="p-3 bg-emerald-50 rounded-lg border border-emerald-200 text-sm text-slate-700 space-y-1">
+            <p className="font-semibold text-slate-800">{show.clientId ? `Billed to ${getClientName(show.clientId, settings)}` : 'Hotel Rebate'}</p>
+            {show.clientId && (
+                <>
+                    <p className="flex justify-between"><span>Billable</span><span className="font-semibold">{formatMoney(metrics.billableAmount, currency)}</span></p>
+                    <p className="flex justify-between">
+                        <span>Invoice{billing?.invoiceNumber ? ` ${billing.invoiceNumber}` : ''}</span>
+                        <span className="font-semibold">
+                            {getInvoiceStatusLabel(status)}
+                            {status === 'outstanding' && ` since ${billing.invoicedOn}`}
+                            {status === 'paid' && ` ${billing.paidOn}`}
+                        </span>
+                    </p>
+                </>
+            )}
+            {metrics.rebate > 0 && (
+                <p className="flex justify-between">
+                    <span>Hotel rebate{metrics.rebateReceived ? ` (received ${show.rebate.receivedOn})` : ' (not yet received)'}</span>
+                    <span className="font-semibold">{formatMoney(metrics.rebate, currency)}</span>
+                </p>
+            )}
+            <p className="flex justify-between"><span>Cost after rebate</span><span className="font-semibold">{formatMoney(metrics.netCost, currency)}</span></p>
+            <p className="flex justify-between"><span>Savings after rebate</span><span className="font-semibold">{formatMoney(metrics.netSavings, currency)}</span></p>
+            {metrics.grossMargin !== null && (
+                <p className="flex justify-between">
+                    <span>Gross margin</span>
+                    <span className={`font-semibold ${metrics.grossMargin < 0 ? 'text-red-600' : ''}`}>
+                        {formatMoney(metrics.grossMargin, currency)} ({metrics.grossMarginPercent.toFixed(1)}%)
+                    </span>
+                </p>
+            )}
+        </div>
+    );
+};
+
+// Labels for the change log; fields not listed show under their own name.
+const HISTORY_FIELD_LABELS = {
+    destination: 'Destination',
+    marketTierId: 'Market tier',
+    checkIn: 'Check-in',
+    checkOut: 'Check-out',
+    meetingDates: 'Meeting dates',
+    nights: 'Nights',
+    nightsOverride: 'Nights entered by hand',
+    meetingDays: 'Meeting days',
+    meetingDaysOverride: 'Meeting days entered by hand',
+    actualRoomCost: 'Room cost',
+    actualMeetingCost: 'Meeting cost',
+    expenses: 'Line items',
+    assignees: 'Salespeople',
+    currency: 'Currency',
+    exchangeRate: 'Exchange rate',
+    forecast: 'Quotes',
+    clientId: 'Client',
+    billing: 'Client billing',
+    rebate: 'Hotel rebate',
+    attachments: 'Attachments',
+    notes: 'Notes',
+    status: 'Status',
+    statusHistory: 'Status history',
+    adjustments: 'Adjustments',
+    approvedCommission: 'Approved commission',
+    approvedBudget: 'Approved budget',
+    approvedSpend: 'Approved spend',
+    paidCommission: 'Paid commission',
+    trashedAt: 'Moved to trash',
+    trashedBy: 'Moved to trash by'
+};
+
+const describeHistoryValue = (value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    if (Array.isArray(value)) return value.length === 0 ? 'none' : `${value.length} item${value.length === 1 ? '' : 's'}`;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// `history` is the show's change log, oldest first.
+const ShowHistory = ({ show, history, onRestoreVersion }) => {
+    const [restoreError, setRestoreError] = useState(null);
+    const latestId = history.length > 0 ? history[history.length - 1].id : null;
+
+    const handleRestore = (entryId) => {
+        try {
+            onRestoreVersion(show, entryId);
+            setRestoreError(null);
+        } catch (error) {
+            setRestoreError(error.message);
+        }
+    };
+
+    if (history.length === 0) {
+        return <p className="text-slate-500">No changes have been recorded for this show yet.</p>;
+    }
+
+    return (
+        <div className="space-y-3">
+            {restoreError && <p className="text-sm text-red-600" role="alert">{restoreError}</p>}
+            <ol className="space-y-3">
+                {[...history].reverse().map(entry => (
+                    <li key={entry.id} className="p-3 bg-slate-50 rounded-lg border border-slate-200">
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                            <span className="font-semibold text-slate-700">
+                                {ACTION_LABELS[entry.action] || entry.action}
+                                {entry.note && <span className="font-normal text-slate-500"> &middot; {entry.note}</span>}
+                            </span>
+                            <span className="text-sm text-slate-500">{entry.by || 'Unknown'}, {new Date(entry.at).toLocaleString()}</span>
+                        </div>
+                        {entry.action !== 'created' && (
+                            <ul className="mt-2 text-sm text-slate-600 space-y-1">
+                                {entry.changes.map(change => (
+                                    <li key={change.field}>
+                                        <span className="font-medium text-slate-700">{HISTORY_FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                                        {describeHistoryValue(change.from)} → {describeHistoryValue(change.to)}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        {entry.id !== latestId && (
+                            <button onClick={() => handleRestore(entry.id)} className="mt-2 text-sm text-blue-600 font-semibold hover:underline">
+                                Restore this version
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+
+// `localUserName` is null when the user is signed in and named by their account.
+const StatusPanel = ({ show, localUserName, onUserNameChange, onTransition }) => {
+    const [note, setNote] = useState('');
+    const [transitionError, setTransitionError] = useState(null);
+    const status = getStatus(show);
+    const currentIndex = STATUSES.findIndex(s => s.id === status);
+
+    const handleTransition = (to) => {
+        try {
+            onTransition(show, to, note);
+            setNote('');
+            setTransitionError(null);
+        } catch (error) {
+            setTransitionError(error.message);
+        }
+    };
+
+    return (
+        <div className="mb-6 p-4 bg-slate-50 rounded-lg border border-slate-200 space-y-3">
+            <ol className="flex flex-wrap gap-2 text-xs font-semibold">
+                {STATUSES.map((s, i) => (
+                    <li key={s.id} className={`px-2 py-1 rounded-full ${i === currentIndex ? s.color : i < currentIndex ? 'bg-white text-slate-500 border border-slate-200' : 'text-slate-400'}`}>
+                        {i + 1}. {s.label}
+                    </li>
+                ))}
+            </ol>
+            {isFinancialsLocked(show) && (
+                <p className="text-sm text-slate-600">
+                    Figures are locked because commission has been {status === 'paid' ? 'paid' : 'approved'}. Record an adjustment below to change them.
+                </p>
+            )}
+            <div className="no-print flex flex-wrap items-end gap-2">
+                {localUserName !== null && (
+                    <label className="text-sm">
+                        <span className="block text-slate-500 mb-1">Your name</span>
+                        <input
+                            value={localUserName}
+                            onChange={(e) => onUserNameChange(e.target.value)}
+                            className="px-3 py-1.5 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                    </label>
+                )}
+                <label className="text-sm flex-1 min-w-[10rem]">
+                    <span className="block text-slate-500 mb-1">Note (optional)</span>
+                    <input
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        className="w-full px-3 py-1.5 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </label>
+                {getAllowedTransitions(show).map(t => (
+                    <button
+                        key={t.to}
+                        onClick={() => handleTransition(t.to)}
+                        className={t.direction === 'forward'
+                            ? 'py-1.5 px-3 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors'
+                            : 'py-1.5 px-3 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors'}
+                    >
+                        {t.direction === 'forward' ? `Mark ${getStatusInfo(t.to).label}` : `Back to ${getStatusInfo(t.to).label}`}
+                    </button>
+                ))}
+            </div>
+            {transitionError && <p className="text-sm text-red-600" role="alert">{transitionError}</p>}
+            {(show.statusHistory || []).length > 0 && (
+                <ul className="text-xs text-slate-500 space-y-1">
+                    {[...show.statusHistory].reverse().map((entry, i) => (
+                        <li key={i}>
+                            {getStatusInfo(entry.from).label} → {getStatusInfo(entry.to).label} by {entry.by} on {new Date(entry.at).toLocaleString()}
+                            {entry.note && <> &middot; {entry.note}</>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const AdjustmentsSection = ({ show, currency, currentUserName, onAddAdjustment }) => {
+    const [draft, setDraft] = useState({ amount: '', reason: '' });
+    const [adjustmentError, setAdjustmentError] = useState(null);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        try {
+            onAddAdjustment(show, { amount: Number(draft.amount), reason: draft.reason });
+            setDraft({ amount: '', reason: '' });
+            setAdjustmentError(null);
+        } catch (error) {
+            setAdjustmentError(error.message);
+        }
+    };
+
+    return (
+        <div className="mb-6">
+            <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Adjustments</h3>
+            {getAdjustments(show).length > 0 ? (
+                <table className="w-full text-sm mb-3">
+                    <tbody>
+                        {getAdjustments(show).map(a => (
+                            <tr key={a.id} className="border-t border-slate-200">
+                                <td className="py-2 pr-4 font-semibold">{formatMoney(a.amount, currency)}</td>
+                                <td className="py-2 pr-4">{a.reason}</td>
+                                <td className="py-2 text-right text-slate-500">{a.by}, {new Date(a.at).toLocaleDateString()}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : (
+                <p className="text-sm text-slate-500 mb-3">No adjustments recorded.</p>
+            )}
+            {isFinancialsLocked(show) && (
+                <form onSubmit={handleSubmit} className="no-print grid grid-cols-1 sm:grid-cols-[10rem_1fr_auto] gap-2 items-end">
+                    <InputField label={`Cost change (${currency})`} name="adjustmentAmount" type="number" step="0.01" value={draft.amount} onChange={(e) => setDraft(prev => ({ ...prev, amount: e.target.value }))} placeholder="e.g., -120" required />
+                    <InputField label="Reason" name="adjustmentReason" value={draft.reason} onChange={(e) => setDraft(prev => ({ ...prev, reason: e.target.value }))} required />
+                    <button type="submit" disabled={!currentUserName} title={currentUserName ? undefined : 'Enter your name above first'} className="py-2 px-4 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors disabled:bg-slate-300">
+                        Record Adjustment
+                    </button>
+                </form>
+            )}
+            {adjustmentError && <p className="mt-2 text-sm text-red-600" role="alert">{adjustmentError}</p>}
+        </div>
+    );
+};
+
+// The quote fields on the form, saved together as the show's `forecast`.
+const FORECAST_FIELDS = ['quotedRoomRate', 'roomBlock', 'attritionPercent', 'meetingQuote'];
+
+// Previous shows offered to start a new one from, most recent first.
+const MAX_COPY_SOURCES = 30;
+
+// The form's fields for a saved show, or for the setup copied from one, or
+// blank. A saved show's existing warnings count as seen: they were shown
+// when it was first saved.
+const toFormState = (source, { shows, settings }) => {
+    const existing = getAssignees(source || {});
+    return {
+        formData: {
+            destination: source?.destination || '',
+            marketTierId: source?.marketTierId || '',
+            checkIn: source?.checkIn || '',
+            checkOut: source?.checkOut || '',
+            meetingDates: source?.meetingDates || [],
+            nights: source?.nights ?? '',
+            // Shows entered before dates existed keep their typed-in counts.
+            nightsOverride: source?.nightsOverride ?? Boolean(source && !source.checkIn && source.nights),
+            meetingDays: source?.meetingDays ?? '',
+            meetingDaysOverride: source?.meetingDaysOverride ?? Boolean(source && !(source.meetingDates || []).length && source.meetingDays),
+            actualRoomCost: source?.actualRoomCost ?? '',
+            actualMeetingCost: source?.actualMeetingCost ?? '',
+            currency: source ? getShowCurrency(source, settings) : getReportingCurrency(settings),
+            exchangeRate: String(source ? getShowExchangeRate(source) : 1),
+            quotedRoomRate: source?.forecast?.quotedRoomRate ?? '',
+            roomBlock: source?.forecast?.roomBlock ?? '',
+            attritionPercent: source?.forecast?.attritionPercent ?? '',
+            meetingQuote: source?.forecast?.meetingQuote ?? '',
+            clientId: source?.clientId || '',
+            billableAmount: source?.billing?.amount ?? '',
+            invoiceNumber: source?.billing?.invoiceNumber || '',
+            invoicedOn: source?.billing?.invoicedOn || '',
+            paidOn: source?.billing?.paidOn || '',
+            rebatePercent: source?.rebate?.percent ?? '',
+            rebateAmount: source?.rebate?.amount ?? '',
+            rebateReceivedOn: source?.rebate?.receivedOn || '',
+            notes: source?.notes || ''
+        },
+        expenses: getExpenses(source || {}).map(item => ({
+            ...item,
+            amount: item.amount == null ? '' : String(item.amount),
+            rooms: item.rooms == null ? '' : String(item.rooms),
+            nights: item.nights == null ? '' : String(item.nights),
+            rate: item.rate == null ? '' : String(item.rate),
+            currency: item.currency || '',
+            exchangeRate: item.exchangeRate == null ? '' : String(item.exchangeRate)
+        })),
+        assignees: existing.length > 0
+            ? existing.map(a => ({ salespersonId: a.salespersonId, split: String(a.split) }))
+            : [{ salespersonId: '', split: '100' }],
+        acknowledgedWarnings: source?.id ? findShowWarnings(source, { shows, settings, excludeId: source.id }).join('\n') : null
+    };
+};
+
+// Mounted each time it opens, so it starts from the show it was opened for.
+const ShowFormModal = ({ show, shows, marketTiers, expenseCategories, settings, salespeople, onClose, onSave }) => {
+    const reportingCurrency = getReportingCurrency(settings);
+    const isLocked = Boolean(show) && isFinancialsLocked(show);
+    const [initial] = useState(() => toFormState(show, { shows, settings }));
+    const [formData, setFormData] = useState(initial.formData);
+    const [assignees, setAssignees] = useState(initial.assignees);
+    const [expenses, setExpenses] = useState(initial.expenses);
+    const [formError, setFormError] = useState(null);
+    // Field errors show once a field has been left or a save attempted.
+    const [touched, setTouched] = useState({});
+    const [submitted, setSubmitted] = useState(false);
+    // The warnings the user has already been shown once on saving.
+    const [acknowledgedWarnings, setAcknowledgedWarnings] = useState(initial.acknowledgedWarnings);
+
+    // Starts the form again from the setup copied from another show.
+    const fillForm = (source) => {
+        const next = toFormState(source, { shows, settings });
+        setFormData(next.formData);
+        setExpenses(next.expenses);
+        setAssignees(next.assignees);
+        setTouched({});
+        setSubmitted(false);
+        setFormError(null);
+        setAcknowledgedWarnings(next.acknowledgedWarnings);
+    };
+
+    const destinationSuggestions = useMemo(() => suggestDestinations(shows), [shows]);
+    const vendorSuggestions = useMemo(() => suggestVendors(shows), [shows]);
+    const clients = getClients(settings);
+    const copySources = useMemo(() => [...shows]
+        .sort((a, b) => (getShowRange(b).start || '').localeCompare(getShowRange(a).start || ''))
+        .slice(0, MAX_COPY_SOURCES), [shows]);
+
+    const activeSalespeople = salespeople.filter(p => p.active !== false || assignees.some(a => a.salespersonId === p.id));
+
+    const handleAssigneeChange = (index, field, value) => {
+        setAssignees(prev => prev.map((a, i) => i === index ? { ...a, [field]: value } : a));
+    };
+
+    // Adding a co-seller splits the show evenly until the user adjusts it.
+    const handleAddAssignee = () => {
+        setAssignees(prev => {
+            const next = [...prev, { salespersonId: '', split: '' }];
+            const even = +(100 / next.length).toFixed(2);
+            return next.map((a, i) => ({ ...a, split: String(i === 0 ? +(100 - even * (next.length - 1)).toFixed(2) : even) }));
+        });
+    };
+
+    const handleRemoveAssignee = (index) => {
+        setAssignees(prev => {
+            const next = prev.filter((_, i) => i !== index);
+            return next.length === 1 ? [{ ...next[0], split: '100' }] : next;
+        });
+    };
+
+
+    const derivedNights = deriveNights(formData.checkIn, formData.checkOut);
+    const derivedMeetingDays = deriveMeetingDays(formData.meetingDates);
+
+    // Blank counts as zero here; anything unreadable is caught by the
+    // validation below before it can be saved.
+    const amountOf = (value) => parseAmount(value) ?? 0;
+
+    // Line items in the show's own currency don't carry a currency of their own.
+    const isForeignItem = (item) => item.currency && item.currency !== formData.currency;
+    const processedExpenses = expenses.map(item => {
+        const base = { id: item.id, category: item.category, vendor: item.vendor.trim(), date: item.date || null };
+        if (isForeignItem(item)) {
+            base.currency = item.currency;
+            base.exchangeRate = item.currency === reportingCurrency ? 1 : amountOf(item.exchangeRate);
+        }
+        return item.category === 'room_block'
+            ? { ...base, rooms: amountOf(item.rooms), nights: amountOf(item.nights), rate: amountOf(item.rate) }
+            : { ...base, amount: amountOf(item.amount) };
+    });
+    const showExchangeRate = formData.currency === reportingCurrency ? 1 : amountOf(formData.exchangeRate);
+    const expenseTotals = getCostTotals(
+        { currency: formData.currency, exchangeRate: showExchangeRate || 1, expenses: processedExpenses },
+        { expenseCategories }
+    );
+    const isItemized = expenses.length > 0;
+
+    const handleAddExpense = () => {
+        const nights = formData.nightsOverride ? formData.nights : derivedNights;
+        setExpenses(prev => [...prev, {
+            id: crypto.randomUUID(),
+            category: prev.length === 0 ? 'room_block' : 'meeting_room',
+            vendor: prev[prev.length - 1]?.vendor || '',
+            date: formData.checkIn || '',
+            amount: '',
+            rooms: '',
+            nights: String(nights || ''),
+            rate: ''
+        }]);
+    };
+
+    // Rates are captured from the table in Settings when a currency is picked
+    // and can be adjusted before saving.
+    const lookUpRate = (currency, date) => {
+        const rate = findExchangeRate(settings, currency, date || formData.checkIn || formData.meetingDates[0] || today());
+        return rate ? String(rate) : '';
+    };
+
+    const handleExpenseChange = (index, field, value) => {
+        setExpenses(prev => prev.map((item, i) => {
+            if (i !== index) return item;
+            if (field === 'currency') return { ...item, currency: value, exchangeRate: value ? lookUpRate(value, item.date) : '' };
+            return { ...item, [field]: value };
+        }));
+    };
+
+    const handleRemoveExpense = (index) => {
+        setExpenses(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const handleMeetingDateChange = (index, value) => {
+        setFormData(prev => ({ ...prev, meetingDates: prev.meetingDates.map((d, i) => i === index ? value : d) }));
+    };
+
+    const handleAddMeetingDate = () => {
+        setFormData(prev => {
+            const last = prev.meetingDates[prev.meetingDates.length - 1];
+            const next = last ? addDays(last, 1) : (prev.checkIn || '');
+            return { ...prev, meetingDates: [...prev.meetingDates, next] };
+        });
+    };
+
+    const handleRemoveMeetingDate = (index) => {
+        setFormData(prev => ({ ...prev, meetingDates: prev.meetingDates.filter((_, i) => i !== index) }));
+    };
+
+    const handleOverrideChange = (e) => {
+        const { name, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: checked }));
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        if (name === 'currency') {
+            setFormData(prev => ({ ...prev, currency: value, exchangeRate: value === reportingCurrency ? '1' : lookUpRate(value) }));
+            return;
+        }
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleBlur = (e) => {
+        const { name } = e.target;
+        setTouched(prev => (prev[name] ? prev : { ...prev, [name]: true }));
+    };
+
+    const handleCopyFrom = (showId) => {
+        const source = shows.find(s => s.id === showId);
+        if (!source) return;
+        const setup = copyShowSetup(source);
+        fillForm(setup);
+        setFormData(prev => ({ ...prev, exchangeRate: setup.currency === reportingCurrency ? '1' : lookUpRate(setup.currency) }));
+    };
+
+    // The counts from the dates and the itemized totals aren't typed in, so
+    // they aren't checked; costs are required unless itemized.
+    const fieldErrors = {
+        ...(isLocked ? {} : validateShowForm(
+            {
+                ...formData,
+                nights: formData.nightsOverride ? formData.nights : derivedNights,
+                meetingDays: formData.meetingDaysOverride ? formData.meetingDays : derivedMeetingDays,
+                actualRoomCost: isItemized ? expenseTotals.room : formData.actualRoomCost,
+                actualMeetingCost: isItemized ? expenseTotals.meeting : formData.actualMeetingCost,
+                exchangeRate: formData.currency === reportingCurrency ? 1 : formData.exchangeRate
+            },
+            expenses.map(item => ({ ...item, needsRate: isForeignItem(item) && item.currency !== reportingCurrency })),
+            { required: ['nights', 'meetingDays', 'actualRoomCost', 'actualMeetingCost', 'exchangeRate'] }
+        )),
+        ...validateBilling(formData)
+    };
+    const errorFor = (name) => (submitted || touched[name] ? fieldErrors[name] : undefined);
+
+    const processedData = {
+        assignees: assignees.map(a => ({ salespersonId: a.salespersonId, split: amountOf(a.split) })),
+        destination: formData.destination.trim(),
+        marketTierId: formData.marketTierId || null,
+        checkIn: formData.checkIn || null,
+        checkOut: formData.checkOut || null,
+        meetingDates: [...new Set(formData.meetingDates.filter(Boolean))].sort(),
+        nights: formData.nightsOverride ? amountOf(formData.nights) : derivedNights,
+        nightsOverride: formData.nightsOverride,
+        meetingDays: formData.meetingDaysOverride ? amountOf(formData.meetingDays) : derivedMeetingDays,
+        meetingDaysOverride: formData.meetingDaysOverride,
+        // Line items, when present, replace the lump sums.
+        expenses: processedExpenses,
+        actualRoomCost: isItemized ? expenseTotals.room : amountOf(formData.actualRoomCost),
+        actualMeetingCost: isItemized ? expenseTotals.meeting : amountOf(formData.actualMeetingCost),
+        currency: formData.currency,
+        exchangeRate: showExchangeRate,
+        // Blank quotes are left out rather than saved as zero.
+        forecast: FORECAST_FIELDS.some(field => amountOf(formData[field]) > 0)
+            ? Object.fromEntries(FORECAST_FIELDS.map(field => [field, amountOf(formData[field]) || null]))
+            : null,
+        // Billing isn't part of the locked figures; invoices and rebates
+        // settle after commission is approved.
+        clientId: formData.clientId || null,
+        billing: amountOf(formData.billableAmount) > 0 || formData.invoiceNumber.trim() || formData.invoicedOn || formData.paidOn
+            ? {
+                amount: amountOf(formData.billableAmount),
+                invoiceNumber: formData.invoiceNumber.trim(),
+                invoicedOn: formData.invoicedOn || null,
+                paidOn: formData.paidOn || null
+            }
+            : null,
+        rebate: amountOf(formData.rebatePercent) > 0 || amountOf(formData.rebateAmount) > 0
+            ? {
+                percent: amountOf(formData.rebatePercent) || null,
+                amount: amountOf(formData.rebateAmount) || null,
+                receivedOn: formData.rebateReceivedOn || null
+            }
+            : null,
+        notes: formData.notes
+    };
+    const warnings = isLocked ? [] : findShowWarnings(processedData, { shows, settings, excludeId: show?.id });
+    const warningKey = warnings.join('\n');
+    const isConfirmingWarnings = warnings.length > 0 && acknowledgedWarnings === warningKey;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        setSubmitted(true);
+        if (Object.keys(fieldErrors).length > 0) {
+            setFormError('Some fields need fixing before this can be saved.');
+            return;
+        }
+        const assigneeError = validateAssignees(processedData.assignees);
+        if (assigneeError) {
+            setFormError(assigneeError);
+            return;
+        }
+        setFormError(null);
+        // Warnings hold up the first save so they're read; the second goes through.
+        if (warnings.length > 0 && !isConfirmingWarnings) {
+            setAcknowledgedWarnings(warningKey);
+            return;
+        }
+        onSave(processedData);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-2xl max-h-full overflow-y-auto">
+                <div className="p-6 border-b flex justify-between items-center">
+                    <h2 className="text-2xl font-bold text-slate-800">{show ? 'Edit Show' : 'Add New Show'}</h2>
+                    <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-200">
+                        <X size={24} className="text-slate-600" />
+                    </button>
+                </div>
+                <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                    {formError && <p className="text-sm text-red-600" role="alert">{formError}</p>}
+                    {!show && copySources.length > 0 && (
+                        <SelectField label="Start from a previous show" name="copyFrom" value="" onChange={(e) => handleCopyFrom(e.target.value)}>
+                            <option value="">Start blank</option>
+                            {copySources.map(source => (
+                                <option key={source.id} value={source.id}>{source.destination} ({formatDateRange(getShowRange(source))})</option>
+                            ))}
+                        </SelectField>
+                    )}
+                    {isLocked && (
+                        <p className="text-sm text-slate-600 p-3 bg-slate-50 rounded-lg border border-slate-200">
+                            Commission on this show has been {getStatus(show) === 'paid' ? 'paid' : 'approved'}, so only the notes can be edited. Record an adjustment from the show's page to change its figures.
+                        </p>
+                    )}
+                    <fieldset disabled={isLocked} className="space-y-4">
+                        <InputField label="Destination / Show Name" name="destination" value={formData.destination} onChange={handleChange} onBlur={handleBlur} error={errorFor('destination')} list="destination-suggestions" autoComplete="off" />
+                        <datalist id="destination-suggestions">
+                            {destinationSuggestions.map(destination => <option key={destination} value={destination} />)}
+                        </datalist>
+                        <SelectField label="Market Tier" name="marketTierId" value={formData.marketTierId} onChange={handleChange}>
+                            <option value="">
+                                Auto ({resolveMarketTier({ destination: formData.destination }, { marketTiers }).name})
+                            </option>
+                            {marketTiers.map(tier => (
+                                <option key={tier.id} value={tier.id}>{tier.name}</option>
+                            ))}
+                        </SelectField>
+                        <div>
+                            <p className="block text-sm font-medium text-slate-600 mb-1">Salesperson</p>
+                            {salespeople.length === 0 ? (
+                                <p className="text-sm text-slate-500">Add your sales team from the Sales Team screen before assigning shows.</p>
+                            ) : (
+                                <div className="space-y-2">
+                                    {assignees.map((assignee, index) => (
+                                        <div key={index} className="flex items-center gap-2">
+                                            <select
+                                                aria-label={`Salesperson ${index + 1}`}
+                                                value={assignee.salespersonId}
+                                                onChange={(e) => handleAssigneeChange(index, 'salespersonId', e.target.value)}
+                                                className="flex-1 px-3 py-2 border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                required
+                                            >
+                                                <option value="">Select a salesperson...</option>
+                                                {activeSalespeople.map(person => (
+                                                    <option key={person.id} value={person.id}>{person.name}</option>
+                                                ))}
+                                            </select>
+                                            {assignees.length > 1 && (
+                                                <>
+                                                    <input
+                                                        aria-label={`Split ${index + 1}`}
+                                                        type="number"
+                                                        min="0"
+                                                        max="100"
+                                                        step="0.01"
+                                                        value={assignee.split}
+                                                        onChange={(e) => handleAssigneeChange(index, 'split', e.target.value)}
+                                                        className="w-24 px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                        required
+                                                    />
+                                                    <span className="text-slate-500">%</span>
+                                                    <button type="button" onClick={() => handleRemoveAssignee(index)} className="p-2 rounded-full hover:bg-red-100 transition-colors">
+                                                        <Trash2 size={16} className="text-red-500" />
+                                                    </button>
+                                                </>
+                                            )}
+                                        </div>
+                                    ))}
+                                    {assignees.length < activeSalespeople.length && (
+                                        <button type="button" onClick={handleAddAssignee} className="text-sm text-blue-600 font-semibold hover:underline">
+                                            + Split with another salesperson
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <InputField label="Check-in" name="checkIn" type="date" value={formData.checkIn} onChange={handleChange} />
+                            <InputField label="Check-out" name="checkOut" type="date" value={formData.checkOut} min={formData.checkIn || undefined} onChange={handleChange} onBlur={handleBlur} error={errorFor('checkOut')} />
+                        </div>
+                        <div>
+                            <p className="block text-sm font-medium text-slate-600 mb-1">Meeting Dates</p>
+                            <div className="space-y-2">
+                                {formData.meetingDates.map((date, index) => (
+                                    <div key={index} className="flex items-center gap-2">
+                                        <input
+                                            aria-label={`Meeting date ${index + 1}`}
+                                            type="date"
+                                            value={date}
+                                            onChange={(e) => handleMeetingDateChange(index, e.target.value)}
+                                            className="flex-1 px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        />
+                                        <button type="button" onClick={() => handleRemoveMeetingDate(index)} className="p-2 rounded-full hover:bg-red-100 transition-colors">
+                                            <Trash2 size={16} className="text-red-500" />
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                            <button type="button" onClick={handleAddMeetingDate} className="mt-2 text-sm text-blue-600 font-semibold hover:underline">
+                                + Add meeting date
+                            </button>
+                        </div>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <div>
+                                <InputField
+                                    label="Nights for Sleeping Rooms"
+                                    name="nights"
+                                    inputMode="numeric"
+                                    value={formData.nightsOverride ? formData.nights : derivedNights}
+                                    onChange={handleChange}
+                                    onBlur={handleBlur}
+                                    disabled={!formData.nightsOverride}
+                                    error={errorFor('nights')}
+                                />
+                                <OverrideToggle name="nightsOverride" checked={formData.nightsOverride} onChange={handleOverrideChange} />
+                            </div>
+                            <div>
+                                <InputField
+                                    label="Days for Meeting Space"
+                                    name="meetingDays"
+                                    inputMode="numeric"
+                                    value={formData.meetingDaysOverride ? formData.meetingDays : derivedMeetingDays}
+                                    onChange={handleChange}
+                                    onBlur={handleBlur}
+                                    disabled={!formData.meetingDaysOverride}
+                                    error={errorFor('meetingDays')}
+                                />
+                                <OverrideToggle name="meetingDaysOverride" checked={formData.meetingDaysOverride} onChange={handleOverrideChange} />
+                            </div>
+                        </div>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <SelectField label="Currency" name="currency" value={formData.currency} onChange={handleChange}>
+                                {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code} · {c.label}</option>)}
+                            </SelectField>
+                            <InputField
+                                label={`Exchange Rate (${reportingCurrency} per ${formData.currency})`}
+                                name="exchangeRate"
+                                inputMode="decimal"
+                                value={formData.currency === reportingCurrency ? '1' : formData.exchangeRate}
+                                onChange={handleChange}
+                                onBlur={handleBlur}
+                                disabled={formData.currency === reportingCurrency}
+                                placeholder="e.g., 0.73"
+                                error={errorFor('exchangeRate')}
+                            />
+                        </div>
+                        <div>
+                            <p className="block text-sm font-medium text-slate-600 mb-1">Quotes</p>
+                            <p className="text-sm text-slate-500 mb-2">Contracted figures for forecasting before the invoices are in. Leave blank if not quoted yet.</p>
+                            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                                <InputField label={`Room Rate (${formData.currency}/night)`} name="quotedRoomRate" inputMode="decimal" value={formData.quotedRoomRate} onChange={handleChange} onBlur={handleBlur} error={errorFor('quotedRoomRate')} placeholder="e.g., 189" />
+                                <InputField label="Room Block (rooms)" name="roomBlock" inputMode="numeric" value={formData.roomBlock} onChange={handleChange} onBlur={handleBlur} error={errorFor('roomBlock')} placeholder="e.g., 20" />
+                                <InputField label="Attrition (%)" name="attritionPercent" inputMode="decimal" value={formData.attritionPercent} onChange={handleChange} onBlur={handleBlur} error={errorFor('attritionPercent')} placeholder="e.g., 20" />
+                                <InputField label={`Meeting Room Quote (${formData.currency})`} name="meetingQuote" inputMode="decimal" value={formData.meetingQuote} onChange={handleChange} onBlur={handleBlur} error={errorFor('meetingQuote')} placeholder="e.g., 1200" />
+                            </div>
+                        </div>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <InputField
+                                label={`Actual Room Cost (${formData.currency})`}
+                                name="actualRoomCost"
+                                inputMode="decimal"
+                                value={isItemized ? expenseTotals.room.toFixed(2) : formData.actualRoomCost}
+                                onChange={handleChange}
+                                onBlur={handleBlur}
+                                disabled={isItemized}
+                                placeholder="e.g., 1500.50"
+                                error={errorFor('actualRoomCost')}
+                            />
+                            <InputField
+                                label={`Actual Meeting Cost (${formData.currency})`}
+                                name="actualMeetingCost"
+                                inputMode="decimal"
+                                value={isItemized ? expenseTotals.meeting.toFixed(2) : formData.actualMeetingCost}
+                                onChange={handleChange}
+                                onBlur={handleBlur}
+                                disabled={isItemized}
+                                placeholder="e.g., 800"
+                                error={errorFor('actualMeetingCost')}
+                            />
+                        </div>
+                        <ExpenseItemsEditor
+                            expenses={expenses}
+                            expenseCategories={expenseCategories}
+                            totals={expenseTotals}
+                            showCurrency={formData.currency}
+                            reportingCurrency={reportingCurrency}
+                            onAdd={handleAddExpense}
+                            onChange={handleExpenseChange}
+                            onRemove={handleRemoveExpense}
+                            onBlur={handleBlur}
+                            errorFor={errorFor}
+                        />
+                        <datalist id="vendor-suggestions">
+                            {vendorSuggestions.map(vendor => <option key={vendor} value={vendor} />)}
+                        </datalist>
+                    </fieldset>
+                    <div>
+                        <p className="block text-sm font-medium text-slate-600 mb-1">Client Billing</p>
+                        {clients.length === 0 && !formData.clientId ? (
+                            <p className="text-sm text-slate-500">Add clients from the Clients screen to bill shows back to them.</p>
+                        ) : (
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                <div>
+                                    <SelectField label="Client" name="clientId" value={formData.clientId} onChange={handleChange} onBlur={handleBlur}>
+                                        <option value="">Not billed to a client</option>
+                                        {clients.filter(c => c.active !== false || c.id === formData.clientId).map(client => (
+                                            <option key={client.id} value={client.id}>{client.name}</option>
+                                        ))}
+                                    </SelectField>
+                                    {errorFor('clientId') && <p className="mt-1 text-xs text-red-600">{errorFor('clientId')}</p>}
+                                </div>
+                                <InputField label={`Billable Amount (${formData.currency})`} name="billableAmount" inputMode="decimal" value={formData.billableAmount} onChange={handleChange} onBlur={handleBlur} placeholder="e.g., 5000" error={errorFor('billableAmount')} />
+                                <InputField label="Invoice Number" name="invoiceNumber" value={formData.invoiceNumber} onChange={handleChange} />
+                                <div className="grid grid-cols-2 gap-4">
+                                    <InputField label="Invoiced" name="invoicedOn" type="date" value={formData.invoicedOn} onChange={handleChange} />
+                                    <InputField label="Paid" name="paidOn" type="date" value={formData.paidOn} min={formData.invoicedOn || undefined} onChange={handleChange} onBlur={handleBlur} error={errorFor('paidOn')} />
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                    <div>
+                        <p className="block text-sm font-medium text-slate-600 mb-1">Hotel Rebate</p>
+                        <p className="text-sm text-slate-500 mb-2">Paid by the hotel on the room block, as a percentage of the room cost or a fixed amount.</p>
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                            <InputField label="Rebate (% of room cost)" name="rebatePercent" inputMode="decimal" value={formData.rebatePercent} onChange={handleChange} onBlur={handleBlur} placeholder="e.g., 10" error={errorFor('rebatePercent')} />
+                            <InputField label={`Rebate Amount (${formData.currency})`} name="rebateAmount" inputMode="decimal" value={formData.rebateAmount} onChange={handleChange} onBlur={handleBlur} placeholder="e.g., 450" error={errorFor('rebateAmount')} />
+                            <InputField label="Received" name="rebateReceivedOn" type="date" value={formData.rebateReceivedOn} onChange={handleChange} />
+                        </div>
+                    </div>
+                    {warnings.length > 0 && (
+                        <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800" role="status">
+                            <p className="font-semibold flex items-center gap-2"><AlertTriangle size={16} /> Check before saving</p>
+                            <ul className="mt-1 list-disc list-inside space-y-1">
+                                {warnings.map(warning => <li key={warning}>{warning}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                    <div>
+                        <label className="block text-sm font-medium text-slate-600 mb-1">Notes</label>
+                        <textarea
+                            name="notes"
+                            value={formData.notes}
+                            onChange={handleChange}
+                            rows="4"
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            placeholder="Add any relevant notes for this show..."
+                        ></textarea>
+                    </div>
+                    <div className="flex justify-end gap-3 pt-4">
+                        <button type="button" onClick={onClose} className="py-2 px-4 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors">
+                            Cancel
+                        </button>
+                        <button type="submit" className="py-2 px-4 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors">
+                            {submitted && isConfirmingWarnings ? 'Save Anyway' : show ? 'Save Changes' : 'Add Show'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// --- Settings: market tiers and rate cards ---
+const SettingsView = ({ settings, shows, quarantined, onChange, onDownloadBackup, onRestoreBackup, onDiscardQuarantine, onBack }) => {
+    const [draftCard, setDraftCard] = useState(null);
+    const [newTier, setNewTier] = useState({ name: '', cities: '' });
+
+    const tierName = (tierId) => settings.marketTiers.find(t => t.id === tierId)?.name || 'Unknown tier';
+    const reportingCurrency = getReportingCurrency(settings);
+
+    const sortedCards = [...settings.rateCards].sort((a, b) =>
+        tierName(a.marketTierId).localeCompare(tierName(b.marketTierId)) || b.effectiveFrom.localeCompare(a.effectiveFrom)
+    );
+
+    const handleAddTier = (e) => {
+        e.preventDefault();
+        if (!newTier.name.trim()) return;
+        const tier = { id: crypto.randomUUID(), name: newTier.name.trim(), cities: splitCities(newTier.cities) };
+        onChange({ ...settings, marketTiers: [...settings.marketTiers, tier] });
+        setNewTier({ name: '', cities: '' });
+    };
+
+    const handleTierCitiesChange = (tierId, value) => {
+        onChange({
+            ...settings,
+            marketTiers: settings.marketTiers.map(t => t.id === tierId ? { ...t, cities: splitCities(value) } : t)
+        });
+    };
+
+    const isTierInUse = (tierId) => tierId === DEFAULT_TIER_ID
+        || settings.rateCards.some(card => card.marketTierId === tierId)
+        || shows.some(show => show.marketTierId === tierId || getCosting(show)?.marketTierId === tierId);
+
+    const handleDeleteTier = (tierId) => {
+        onChange({ ...settings, marketTiers: settings.marketTiers.filter(t => t.id !== tierId) });
+    };
+
+    const handleCategoryToggle = (categoryId, countsTowardBudget) => {
+        onChange({
+            ...settings,
+            expenseCategories: settings.expenseCategories.map(c => c.id === categoryId ? { ...c, countsTowardBudget } : c)
+        });
+    };
+
+    const handleSaveCard = (card) => {
+        onChange({ ...settings, rateCards: [...settings.rateCards, { ...card, id: crypto.randomUUID() }] });
+        setDraftCard(null);
+    };
+
+    const handleDeleteCard = (cardId) => {
+        onChange({ ...settings, rateCards: settings.rateCards.filter(card => card.id !== cardId) });
+    };
+
+    // A superseding card starts as a copy of the current one, effective today.
+    const handleSupersede = (card) => {
+        setDraftCard({ ...card, id: null, effectiveFrom: new Date().toISOString().slice(0, 10) });
+    };
+
+    return (
+        <div className="bg-slate-100 min-h-screen font-sans text-slate-800">
+            <div className="container mx-auto p-4 sm:p-6 lg:p-8">
+                <div className="bg-white p-6 sm:p-8 rounded-xl shadow-lg max-w-5xl mx-auto border border-slate-200 space-y-8">
+                    <button onClick={onBack} className="flex items-center gap-2 text-blue-600 font-semibold hover:underline">
+                        <ArrowLeft size={18} />
+                        Back to All Shows
+                    </button>
+                    <h2 className="text-3xl font-bold text-slate-900">Settings</h2>
+
+                    <section>
+                        <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Market Tiers</h3>
+                        <p className="text-sm text-slate-500 mb-4">
+                            Shows are matched to a tier by destination city unless a tier is picked on the show itself.
+                            A show keeps the tier it was costed with until its destination or dates are edited.
+                        </p>
+                        <div className="space-y-3">
+                            {settings.marketTiers.map(tier => (
+                                <div key={tier.id} className="flex flex-col sm:flex-row sm:items-center gap-3 p-3 bg-slate-50 rounded-lg">
+                                    <span className="font-semibold text-slate-800 sm:w-40">{tier.name}</span>
+                                    <input
+                                        aria-label={`Cities for ${tier.name}`}
+                                        defaultValue={(tier.cities || []).join(', ')}
+                                        onBlur={(e) => handleTierCitiesChange(tier.id, e.target.value)}
+                                        placeholder={tier.id === DEFAULT_TIER_ID ? 'All other cities' : 'e.g., New York, Boston'}
+                                        className="flex-1 px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                    {!isTierInUse(tier.id) && (
+                                        <button onClick={() => handleDeleteTier(tier.id)} className="p-2 rounded-full hover:bg-red-100 transition-colors">
+                                            <Trash2 size={18} className="text-red-500" />
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                        <form onSubmit={handleAddTier} className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+                            <InputField label="New Tier Name" name="tierName" value={newTier.name} onChange={(e) => setNewTier(prev => ({ ...prev, name: e.target.value }))} />
+                            <InputField label="Cities (comma separated)" name="tierCities" value={newTier.cities} onChange={(e) => setNewTier(prev => ({ ...prev, cities: e.target.value }))} />
+                            <button type="submit" className="py-2 px-4 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors">
+                                Add Tier
+                            </button>
+                        </form>
+                    </section>
+
+                    <section>
+                        <div className="flex justify-between items-center border-b pb-2 mb-3">
+                            <h3 className="text-lg font-semibold text-slate-700">Rate Cards</h3>
+                            <button
+                                onClick={() => setDraftCard({ ...DEFAULT_SETTINGS.rateCards[0], id: null, effectiveFrom: new Date().toISOString().slice(0, 10) })}
+                                className="flex items-center gap-2 text-blue-600 font-semibold hover:underline"
+                            >
+                                <Plus size={18} />
+                                New Rate Card
+                            </button>
+                        </div>
+                        <p className="text-sm text-slate-500 mb-4">
+                            Rate cards can't be edited once created. To change rates, supersede a card with a new effective date; shows dated before it keep the old rates.
+                        </p>
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-slate-500">
+                                        <th className="py-2 pr-4">Tier</th>
+                                        <th className="py-2 pr-4">Effective From</th>
+                                        <th className="py-2 pr-4">Room / Night</th>
+                                        <th className="py-2 pr-4">Meeting / Day</th>
+                                        <th className="py-2 pr-4">Commission</th>
+                                        <th className="py-2"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {sortedCards.map(card => (
+                                        <tr key={card.id} className="border-t border-slate-200">
+                                            <td className="py-2 pr-4 font-semibold text-slate-800">{tierName(card.marketTierId)}</td>
+                                            <td className="py-2 pr-4">{card.effectiveFrom}</td>
+                                            <td className="py-2 pr-4">{formatMoney(card.roomRatePerNight, reportingCurrency)}</td>
+                                            <td className="py-2 pr-4">{formatMoney(card.meetingRatePerDay, reportingCurrency)}</td>
+                                            <td className="py-2 pr-4">{describeCommissionRules(card.commission, reportingCurrency)}</td>
+                                            <td className="py-2 flex justify-end gap-1">
+                                                <button onClick={() => handleSupersede(card)} title="Supersede" className="p-2 rounded-full hover:bg-slate-200 transition-colors">
+                                                    <Copy size={16} className="text-slate-600" />
+                                                </button>
+                                                {!isRateCardInUse(card, shows, settings) && settings.rateCards.length > 1 && (
+                                                    <button onClick={() => handleDeleteCard(card.id)} title="Delete" className="p-2 rounded-full hover:bg-red-100 transition-colors">
+                                                        <Trash2 size={16} className="text-red-500" />
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </section>
+
+                    <section>
+                        <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Expense Categories</h3>
+                        <p className="text-sm text-slate-500 mb-4">
+                            Room and meeting line items always count toward the budget. Choose whether extra categories are included in the budget comparison.
+                        </p>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            {settings.expenseCategories.map(category => (
+                                <label key={category.id} className="flex items-center justify-between gap-3 p-3 bg-slate-50 rounded-lg">
+                                    <span className="font-semibold text-slate-800">
+                                        {category.label}
+                                        <span className="ml-2 text-xs font-normal text-slate-500">
+                                            {category.bucket === 'room' ? 'Rooms' : category.bucket === 'meeting' ? 'Meetings' : 'Extra'}
+                                        </span>
+                                    </span>
+                                    <span className="flex items-center gap-2 text-sm text-slate-600">
+                                        <input
+                                            type="checkbox"
+                                            checked={category.bucket !== 'extra' || category.countsTowardBudget}
+                                            disabled={category.bucket !== 'extra'}
+                                            onChange={(e) => handleCategoryToggle(category.id, e.target.checked)}
+                                        />
+                                        Counts toward budget
+                                    </span>
+                                </label>
+                            ))}
+                        </div>
+                    </section>
+
+                    <CurrencySettingsSection settings={settings} shows={shows} onChange={onChange} />
+
+                    <section>
+                        <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Reporting Periods</h3>
+                        <p className="text-sm text-slate-500 mb-4">
+                            Quarters and years on the analytics page follow this fiscal year.
+                        </p>
+                        <div className="sm:w-64">
+                            <SelectField
+                                label="Fiscal year starts in"
+                                name="fiscalYearStartMonth"
+                                value={getFiscalYearStartMonth(settings)}
+                                onChange={(e) => onChange({ ...settings, fiscalYearStartMonth: Number(e.target.value) })}
+                            >
+                                {MONTH_NAMES.map((name, i) => <option key={name} value={i + 1}>{name}</option>)}
+                            </SelectField>
+                        </div>
+                    </section>
+
+                    <BackupRestoreSection
+                        shows={shows}
+                        quarantined={quarantined}
+                        onDownloadBackup={onDownloadBackup}
+                        onRestoreBackup={onRestoreBackup}
+                        onDiscardQuarantine={onDiscardQuarantine}
+                    />
+                </div>
+            </div>
+
+            {draftCard && (
+                <RateCardFormModal
+                    card={draftCard}
+                    settings={settings}
+                    shows={shows}
+                    onClose={() => setDraftCard(null)}
+                    onSave={handleSaveCard}
+                />
+            )}
+        </div>
+    );
+};
+
+// --- Spreadsheet import wizard: upload → map columns → preview → merge ---
+const ImportWizardModal = ({ shows, salespeople, settings, onClose, onImport }) => {
+    const [step, setStep] = useState('upload');
+    const [sheet, setSheet] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [includeDuplicates, setIncludeDuplicates] = useState(false);
+    const [importError, setImportError] = useState(null);
+
+    const results = useMemo(
+        () => (step === 'preview' ? validateImportRows(sheet.rows, mapping, { shows, salespeople, settings }) : []),
+        [step, sheet, mapping, shows, salespeople, settings]
+    );
+    const isDuplicate = (result) => Boolean(result.duplicateOf) || result.duplicateInFile;
+    const importable = results.filter(r => r.errors.length === 0 && (includeDuplicates || !isDuplicate(r)));
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        setImportError(null);
+        try {
+            const parsed = await readSpreadsheet(file);
+            if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+                setImportError('That file has no rows to import.');
+                return;
+            }
+            setSheet({ ...parsed, fileName: file.name });
+            setMapping(guessColumnMapping(parsed.headers));
+            setStep('map');
+        } catch (error) {
+            console.error("Error reading spreadsheet", error);
+            setImportError('Could not read that file. Use a .csv or .xlsx spreadsheet.');
+        }
+    };
+
+    const handleMappingChange = (fieldKey, value) => {
+        setMapping(prev => ({ ...prev, [fieldKey]: value === '' ? null : Number(value) }));
+    };
+
+    const statusFor = (result) => {
+        if (result.errors.length > 0) return { label: 'Error', className: 'bg-red-100 text-red-700' };
+        if (result.duplicateOf) return { label: 'Duplicate', className: 'bg-amber-100 text-amber-700' };
+        if (result.duplicateInFile) return { label: 'Repeated in file', className: 'bg-amber-100 text-amber-700' };
+        return { label: 'Ready', className: 'bg-green-100 text-green-700' };
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl max-h-full overflow-y-auto">
+                <div className="p-6 border-b flex justify-between items-center">
+                    <h2 className="text-2xl font-bold text-slate-800">Import Shows</h2>
+                    <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-200">
+                        <X size={24} className="text-slate-600" />
+                    </button>
+                </div>
+                <div className="p-6 space-y-4">
+                    {importError && <p className="text-sm text-red-600" role="alert">{importError}</p>}
+
+                    {step === 'upload' && (
+                        <div>
+                            <label htmlFor="importFile" className="block text-sm font-medium text-slate-600 mb-1">Spreadsheet (.csv or .xlsx)</label>
+                            <input id="importFile" type="file" accept=".csv,.xlsx,.xls" onChange={handleFile} className="block w-full text-sm text-slate-600" />
+                            <p className="mt-2 text-sm text-slate-500">The first row must contain column headings. Only the first sheet is read.</p>
+                        </div>
+                    )}
+
+                    {step === 'map' && (
+                        <>
+                            <p className="text-sm text-slate-500">
+                                {sheet.fileName}: {sheet.rows.length} rows. Match each field to a column in your file.
+                            </p>
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                {IMPORT_FIELDS.map(field => (
+                                    <SelectField
+                                        key={field.key}
+                                        label={`${field.label}${field.required ? ' *' : ''}`}
+                                        name={`map-${field.key}`}
+                                        value={mapping[field.key] ?? ''}
+                                        onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                                    >
+                                        <option value="">(not imported)</option>
+                                        {sheet.headers.map((header, index) => (
+                                            <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                                        ))}
+                                    </SelectField>
+                                ))}
+                            </div>
+                            <div className="flex justify-end gap-3 pt-4">
+                                <button onClick={() => setStep('upload')} className="py-2 px-4 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors">
+                                    Back
+                                </button>
+                                <button
+                                    onClick={() => setStep('preview')}
+                                    disabled={mapping.destination == null}
+                                    className="py-2 px-4 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors disabled:bg-slate-300"
+                                >
+                                    Preview
+                                </button>
+                            </div>
+                        </>
+                    )}
+
+                    {step === 'preview' && (
+                        <>
+                            <p className="text-sm text-slate-600">
+                                {results.filter(r => r.errors.length === 0 && !isDuplicate(r)).length} ready &middot;{' '}
+                                {results.filter(r => r.errors.length === 0 && isDuplicate(r)).length} duplicates &middot;{' '}
+                                {results.filter(r => r.errors.length > 0).length} with errors (skipped)
+                            </p>
+                            <label className="flex items-center gap-2 text-sm text-slate-600">
+                                <input type="checkbox" checked={includeDuplicates} onChange={(e) => setIncludeDuplicates(e.target.checked)} />
+                                Import duplicates as new shows
+                            </label>
+                            <div className="overflow-x-auto max-h-96 border border-slate-200 rounded-lg">
+                                <table className="w-full text-sm">
+                                    <thead className="bg-slate-50 sticky top-0">
+                                        <tr className="text-left text-slate-500">
+                                            <th className="py-2 px-3">Row</th>
+                                            <th className="py-2 px-3">Status</th>
+                                            <th className="py-2 px-3">Destination</th>
+                                            <th className="py-2 px-3">Dates</th>
+                                            <th className="py-2 px-3 text-right">Room</th>
+                                            <th className="py-2 px-3 text-right">Meeting</th>
+                                            <th className="py-2 px-3">Issues</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {results.map(result => {
+                                            const status = statusFor(result);
+                                            return (
+                                                <tr key={result.rowNumber} className="border-t border-slate-200 align-top">
+                                                    <td className="py-2 px-3">{result.rowNumber}</td>
+                                                    <td className="py-2 px-3">
+                                                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${status.className}`}>{status.label}</span>
+                                                    </td>
+                                                    <td className="py-2 px-3 font-semibold">{result.data.destination || '—'}</td>
+                                                    <td className="py-2 px-3">{[result.data.checkIn, result.data.checkOut].filter(Boolean).join(' → ') || '—'}</td>
+                                                    <td className="py-2 px-3 text-right">{formatMoney(result.data.actualRoomCost, result.data.currency)}</td>
+                                                    <td className="py-2 px-3 text-right">{formatMoney(result.data.actualMeetingCost, result.data.currency)}</td>
+                                                    <td className="py-2 px-3">
+                                                        {result.errors.map(message => <p key={message} className="text-red-600">{message}</p>)}
+                                                        {result.duplicateOf && <p className="text-amber-700">Matches existing show "{result.duplicateOf.destination}".</p>}
+                                                        {result.warnings.map(message => <p key={message} className="text-slate-500">{message}</p>)}
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </div>
+                            <div className="flex justify-end gap-3 pt-4">
+                                <button onClick={() => setStep('map')} className="py-2 px-4 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors">
+                                    Back
+                                </button>
+                                <button
+                                    onClick={() => onImport(importable.map(r => r.data))}
+                                    disabled={importable.length === 0}
+                                    className="py-2 px-4 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors disabled:bg-slate-300"
+                                >
+                                    Import {importable.length} Show{importable.length === 1 ? '' : 's'}
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Trash ---
+// Deleted shows wait here until they're restored or deleted for good.
+const TrashView = ({ shows, onRestore, onPurge, onBack }) => {
+    const [confirmPurgeId, setConfirmPurgeId] = useState(null);
+
+    return (
+        <div className="bg-slate-100 min-h-screen font-sans text-slate-800">
+            <div className="container mx-auto p-4 sm:p-6 lg:p-8">
+                <div className="bg-white p-6 sm:p-8 rounded-xl shadow-lg max-w-4xl mx-auto border border-slate-200 space-y-6">
+                    <button onClick={onBack} className="flex items-center gap-2 text-blue-600 font-semibold hover:underline">
+                        <ArrowLeft size={18} />
+                        Back to All Shows
+                    </button>
+                    <h2 className="text-3xl font-bold text-slate-900">Trash</h2>
+                    {shows.length === 0 ? (
+                        <p className="text-slate-500">The trash is empty.</p>
+                    ) : (
+                        <ul className="space-y-3">
+                            {shows.map(show => (
+                                <li key={show.id} className="p-4 bg-slate-50 rounded-lg border border-slate-200 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                                    <div>
+                                        <p className="font-semibold text-slate-800">{show.destination}</p>
+                                        <p className="text-sm text-slate-500">
+                                            {formatDateRange(getShowRange(show))} &middot; Deleted {show.trashedBy ? `by ${show.trashedBy} ` : ''}on {new Date(show.trashedAt).toLocaleString()}
+                                        </p>
+                                    </div>
+                                    {confirmPurgeId === show.id ? (
+                                        <div className="flex flex-wrap items-center gap-2" role="alert">
+                                            <span className="text-sm text-red-700">Delete for good? This can't be undone.</span>
+                                            <button onClick={() => setConfirmPurgeId(null)} className="py-1.5 px-3 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors">
+                                                Cancel
+                                            </button>
+                                            <button onClick={() => { onPurge(show); setConfirmPurgeId(null); }} className="py-1.5 px-3 bg-red-600 text-white font-semibold rounded-lg hover:bg-red-700 transition-colors">
+                                                Delete Permanently
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <div className="flex gap-2">
+                                            <button onClick={() => onRestore(show)} className="py-1.5 px-3 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors">
+                                                Restore
+                                            </button>
+                                            <button onClick={() => setConfirmPurgeId(show.id)} className="py-1.5 px-3 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors">
+                                                Delete Permanently
+                                            </button>
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Calendar: month grid and season timeline ---
+const CalendarView = ({ shows, onSelectShow, onBack }) => {
+    const [mode, setMode] = useState('month');
+    const [month, setMonth] = useState(() => {
+        const now = new Date();
+        return { year: now.getFullYear(), month: now.getMonth() };
+    });
+
+    const overlappingIds = useMemo(() => findOverlappingShowIds(shows), [shows]);
+    const ranges = useMemo(() => shows.map(show => ({ show, ...getShowRange(show) })).filter(r => r.isDated), [shows]);
+    const undatedCount = shows.length - ranges.length;
+
+    const changeMonth = (delta) => {
+        setMonth(prev => {
+            const date = new Date(Date.UTC(prev.year, prev.month + delta, 1));
+            return { year: date.getUTCFullYear(), month: date.getUTCMonth() };
+        });
+    };
+
+    return (
+        <div className="bg-slate-100 min-h-screen font-sans text-slate-800">
+            <div className="container mx-auto p-4 sm:p-6 lg:p-8">
+                <div className="bg-white p-6 sm:p-8 rounded-xl shadow-lg mx-auto border border-slate-200 space-y-6">
+                    <button onClick={onBack} className="flex items-center gap-2 text-blue-600 font-semibold hover:underline">
+                        <ArrowLeft size={18} />
+                        Back to All Shows
+                    </button>
+                    <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3">
+                        <h2 className="text-3xl font-bold text-slate-900">Calendar</h2>
+                        <div className="flex rounded-lg border border-slate-300 overflow-hidden">
+                            {[['month', 'Month'], ['timeline', 'Timeline']].map(([value, label]) => (
+                                <button
+                                    key={value}
+                                    onClick={() => setMode(value)}
+                                    className={`py-2 px-4 font-semibold ${mode === value ? 'bg-blue-600 text-white' : 'bg-white text-slate-700 hover:bg-slate-50'}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    {undatedCount > 0 && (
+                        <p className="text-sm text-slate-500">
+                            {undatedCount} show{undatedCount === 1 ? ' has' : 's have'} no check-in, check-out or meeting dates and {undatedCount === 1 ? 'is' : 'are'} not shown.
+                        </p>
+                    )}
+                    {mode === 'month' ? (
+                        <MonthCalendar
+                            month={month}
+                            ranges={ranges}
+                            overlappingIds={overlappingIds}
+                            onChangeMonth={changeMonth}
+                            onSelectShow={onSelectShow}
+                        />
+                    ) : (
+                        <SeasonTimeline shows={shows} onSelectShow={onSelectShow} />
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const MonthCalendar = ({ month, ranges, overlappingIds, onChangeMonth, onSelectShow }) => {
+    const weeks = buildMonthGrid(month.year, month.month);
+    const title = new Date(Date.UTC(month.year, month.month, 1)).toLocaleDateString(undefined, { timeZone: 'UTC', month: 'long', year: 'numeric' });
+    const currentDay = today();
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-4">
+                <button onClick={() => onChangeMonth(-1)} aria-label="Previous month" className="p-2 rounded-full hover:bg-slate-200 transition-colors">
+                    <ChevronLeft size={20} />
+                </button>
+                <h3 className="text-xl font-bold text-slate-800">{title}</h3>
+                <button onClick={() => onChangeMonth(1)} aria-label="Next month" className="p-2 rounded-full hover:bg-slate-200 transition-colors">
+                    <ChevronRight size={20} />
+                </button>
+            </div>
+            <div className="grid grid-cols-7 text-xs font-semibold text-slate-500 mb-1">
+                {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
+                    <div key={day} className="px-2 py-1">{day}</div>
+                ))}
+            </div>
+            <div className="grid grid-cols-7 border-t border-l border-slate-200">
+                {weeks.flat().map(day => {
+                    const dayShows = ranges.filter(r => r.start <= day.date && day.date <= r.end);
+                    return (
+                        <div
+                            key={day.date}
+                            className={`min-h-[90px] border-r border-b border-slate-200 p-1 ${day.inMonth ? 'bg-white' : 'bg-slate-50 text-slate-400'} ${dayShows.length > 1 ? 'ring-1 ring-inset ring-red-300' : ''}`}
+                        >
+                            <p className={`text-xs font-semibold mb-1 ${day.date === currentDay ? 'text-blue-600' : ''}`}>
+                                {Number(day.date.slice(8))}
+                            </p>
+                            <div className="space-y-1">
+                                {dayShows.map(({ show }) => (
+                                    <button
+                                        key={show.id}
+                                        onClick={() => onSelectShow(show)}
+                                        title={show.destination}
+                                        className={`block w-full truncate text-left text-xs px-1 py-0.5 rounded ${overlappingIds.has(show.id) ? 'bg-red-100 text-red-700' : 'bg-blue-100 text-blue-700'}`}
+                                    >
+                                        {(show.meetingDates || []).includes(day.date) ? '● ' : ''}{show.destination}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+            <p className="mt-2 text-xs text-slate-500">● meeting day &middot; red entries overlap another show</p>
+        </div>
+    );
+};
+
+const SeasonTimeline = ({ shows, onSelectShow }) => {
+    const timeline = useMemo(() => buildTimeline(shows), [shows]);
+    const currentDay = today();
+    const upcoming = timeline.filter(entry => entry.end >= currentDay);
+    const past = timeline.filter(entry => entry.end < currentDay).reverse();
+
+    const renderEntry = (entry, showGap) => (
+        <li key={entry.show.id}>
+            {showGap && entry.gapDays != null && entry.gapDays > 0 && (
+                <p className="text-xs text-slate-400 pl-4 py-1">{entry.gapDays}-day gap</p>
+            )}
+            {showGap && entry.gapDays != null && entry.gapDays < 0 && (
+                <p className="text-xs text-red-600 pl-4 py-1">Overlaps the previous show by {-entry.gapDays} day{entry.gapDays === -1 ? '' : 's'}</p>
+            )}
+            <button
+                onClick={() => onSelectShow(entry.show)}
+                className="w-full flex justify-between items-center p-3 bg-slate-50 rounded-lg border-l-4 border-blue-500 hover:bg-slate-100 text-left"
+            >
+                <span className="font-semibold text-slate-800">{entry.show.destination}</span>
+                <span className="text-sm text-slate-500">{formatDateRange(entry)}</span>
+            </button>
+        </li>
+    );
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <section>
+                <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Upcoming ({upcoming.length})</h3>
+                {upcoming.length === 0
+                    ? <p className="text-slate-500">No upcoming roadshows.</p>
+                    : <ul className="space-y-1">{upcoming.map(entry => renderEntry(entry, true))}</ul>}
+            </section>
+            <section>
+                <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Past ({past.length})</h3>
+                {past.length === 0
+                    ? <p className="text-slate-500">No past roadshows.</p>
+                    : <ul className="space-y-1">{past.map(entry => renderEntry(entry, false))}</ul>}
+            </section>
+        </div>
+    );
+};
+
+// --- Analytics ---
+const CHART_COLORS = { savings: '#22c55e', commission: '#3b82f6', budget: '#94a3b8', spend: '#f97316', rate: '#a855f7' };
+
+const formatPercent = (value) => (value === null ? '—' : `${value.toFixed(1)}%`);
+
+const AnalyticsView = ({ shows, settings, calculateMetrics, onBack }) => {
+    const fiscalYearStartMonth = getFiscalYearStartMonth(settings);
+    const currency = getReportingCurrency(settings);
+    const money = (value) => formatMoney(value, currency);
+    const [range, setRange] = useState(() => ({
+        from: shiftPeriod(getPeriod(today(), 'year', fiscalYearStartMonth), 'year', -1, fiscalYearStartMonth).start,
+        to: getPeriod(today(), 'year', fiscalYearStartMonth).end
+    }));
+    const [comparison, setComparison] = useState({ kind: 'quarter', against: 'previous', anchor: today() });
+
+    const monthly = useMemo(() => buildMonthlySeries(shows, range, calculateMetrics), [shows, range, calculateMetrics]);
+    const perShow = useMemo(() => buildBudgetVsActual(shows, range, calculateMetrics), [shows, range, calculateMetrics]);
+    const destinations = useMemo(() => rankDestinationsByRoomNightCost(shows, range, calculateMetrics), [shows, range, calculateMetrics]);
+    const compared = useMemo(
+        () => comparePeriods(shows, comparison, calculateMetrics, fiscalYearStartMonth),
+        [shows, comparison, calculateMetrics, fiscalYearStartMonth]
+    );
+    const totals = useMemo(() => summarizePeriod(shows, { start: range.from, end: range.to }, calculateMetrics), [shows, range, calculateMetrics]);
+    const isValidRange = range.from && range.to && range.from <= range.to;
+
+    return (
+        <div className="bg-slate-100 min-h-screen font-sans text-slate-800">
+            <div className="container mx-auto p-4 sm:p-6 lg:p-8">
+                <div className="bg-white p-6 sm:p-8 rounded-xl shadow-lg mx-auto border border-slate-200 space-y-8">
+                    <button onClick={onBack} className="flex items-center gap-2 text-blue-600 font-semibold hover:underline">
+                        <ArrowLeft size={18} />
+                        Back to All Shows
+                    </button>
+                    <div className="flex flex-col sm:flex-row justify-between sm:items-end gap-3">
+                        <h2 className="text-3xl font-bold text-slate-900">Analytics</h2>
+                        <div className="flex flex-wrap gap-3">
+                            <InputField label="From" name="from" type="date" value={range.from} onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))} />
+                            <InputField label="To" name="to" type="date" value={range.to} onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))} />
+                        </div>
+                    </div>
+
+                    {!isValidRange ? (
+                        <p className="text-slate-500">Pick a start date on or before the end date.</p>
+                    ) : (
+                        <>
+                            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                                <StatCard icon={<BarChart2 className="text-purple-500" />} label="Shows" value={totals.showCount} color="text-purple-600" />
+                                <StatCard icon={<FileText className="text-slate-500" />} label="Budgeted" value={money(totals.budget)} color="text-slate-700" />
+                                <StatCard icon={<FileText className="text-orange-500" />} label="Spent" value={money(totals.spend)} color="text-orange-600" />
+                                <StatCard icon={<TrendingUp className="text-green-500" />} label="Savings" value={money(totals.savings)} color="text-green-600" />
+                                <StatCard icon={<DollarSign className="text-purple-500" />} label="Savings Rate" value={formatPercent(totals.savingsRate)} color="text-purple-600" />
+                            </div>
+
+                            <ChartCard title="Savings & Commission by Month">
+                                <BarChart
+                                    labels={monthly.map(m => m.label)}
+                                    series={[
+                                        { label: 'Savings', color: CHART_COLORS.savings, values: monthly.map(m => m.savings) },
+                                        { label: 'Commission', color: CHART_COLORS.commission, values: monthly.map(m => m.commission) }
+                                    ]}
+                                    formatValue={money}
+                                />
+                            </ChartCard>
+
+                            <ChartCard title="Savings Rate Trend" subtitle="Savings as a share of budget, by month. Months without shows are skipped.">
+                                <LineChart
+                                    labels={monthly.map(m => m.label)}
+                                    values={monthly.map(m => m.savingsRate)}
+                                    color={CHART_COLORS.rate}
+                                    formatValue={formatPercent}
+                                />
+                            </ChartCard>
+
+                            <ChartCard title="Budget vs. Actual per Show">
+                                {perShow.length > 0 ? (
+                                    <BarChart
+                                        labels={perShow.map(entry => entry.show.destination)}
+                                        series={[
+                                            { label: 'Budget', color: CHART_COLORS.budget, values: perShow.map(entry => entry.budget) },
+                                            { label: 'Actual', color: CHART_COLORS.spend, values: perShow.map(entry => entry.spend) }
+                                        ]}
+                                        formatValue={money}
+                                    />
+                                ) : (
+                                    <p className="text-sm text-slate-500">No shows in this range.</p>
+                                )}
+                            </ChartCard>
+
+                            <ChartCard title="Cost per Room-Night by Destination" subtitle="Average actual room cost per room-night, from the itemized room blocks or the quoted block. Shows without a room count are left out.">
+                                <DestinationRanking destinations={destinations} formatAmount={money} />
+                            </ChartCard>
+                        </>
+                    )}
+
+                    <PeriodComparison
+                        comparison={comparison}
+                        compared={compared}
+                        formatAmount={money}
+                        onChange={setComparison}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const ChartCard = ({ title, subtitle, children }) => (
+    <section>
+        <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">{title}</h3>
+        {subtitle && <p className="text-sm text-slate-500 mb-3">{subtitle}</p>}
+        {children}
+    </section>
+);
+
+const ChartLegend = ({ series }) => (
+    <div className="flex gap-4 text-sm text-slate-600 mb-2">
+        {series.map(s => (
+            <span key={s.label} className="flex items-center gap-2">
+                <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: s.color }} />
+                {s.label}
+            </span>
+        ))}
+    </div>
+);
+
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 10, bottom: 40, left: 70 };
+
+// Maps values onto the chart's vertical axis, always including zero so
+// negative savings hang below the baseline.
+const chartScale = (values) => {
+    const finite = values.filter(value => value !== null && Number.isFinite(value));
+    const max = Math.max(0, ...finite);
+    const min = Math.min(0, ...finite);
+    const span = max - min || 1;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const y = (value) => CHART_PADDING.top + ((max - value) / span) * plotHeight;
+    return { y, ticks: [max, (max + min) / 2, min] };
+};
+
+const ChartAxes = ({ width, ticks, y, formatValue }) => (
+    <>
+        {ticks.map((tick, i) => (
+            <g key={i}>
+                <line x1={CHART_PADDING.left} x2={width} y1={y(tick)} y2={y(tick)} stroke="#e2e8f0" />
+                <text x={CHART_PADDING.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="11" fill="#64748b">{formatValue(tick)}</text>
+            </g>
+        ))}
+        <line x1={CHART_PADDING.left} x2={width} y1={y(0)} y2={y(0)} stroke="#94a3b8" />
+    </>
+);
+
+const BarChart = ({ labels, series, formatValue }) => {
+    const { y, ticks } = chartScale(series.flatMap(s => s.values));
+    const groupWidth = Math.max(36, series.length * 14 + 12);
+    const width = CHART_PADDING.left + labels.length * groupWidth;
+    const barWidth = (groupWidth - 12) / series.length;
+    return (
+        <div>
+            <ChartLegend series={series} />
+            <div className="overflow-x-auto">
+                <svg width={width} height={CHART_HEIGHT} role="img" aria-label={series.map(s => s.label).join(' and ')}>
+                    <ChartAxes width={width} ticks={ticks} y={y} formatValue={formatValue} />
+                    {labels.map((label, i) => {
+                        const x = CHART_PADDING.left + i * groupWidth + 6;
+                        return (
+                            <g key={i}>
+                                {series.map((s, j) => {
+                                    const value = s.values[i];
+                                    return (
+                                        <rect
+                                            key={s.label}
+                                            x={x + j * barWidth}
+                                            y={Math.min(y(value), y(0))}
+                                            width={barWidth - 2}
+                                            height={Math.abs(y(value) - y(0))}
+                                            fill={s.color}
+                                        >
+                                            <title>{`${label} · ${s.label}: ${formatValue(value)}`}</title>
+                                        </rect>
+                                    );
+                                })}
+                                <text x={x + (groupWidth - 12) / 2} y={CHART_HEIGHT - CHART_PADDING.bottom + 14} textAnchor="middle" fontSize="10" fill="#64748b">
+                                    {label.length > 8 ? `${label.slice(0, 7)}…` : label}
+                                </text>
+                            </g>
+                        );
+                    })}
+                </svg>
+            </div>
+        </div>
+    );
+};
+
+const LineChart = ({ labels, values, color, formatValue }) => {
+    const { y, ticks } = chartScale(values);
+    const step = 44;
+    const width = CHART_PADDING.left + labels.length * step;
+    const points = values
+        .map((value, i) => (value === null ? null : { x: CHART_PADDING.left + i * step + step / 2, y: y(value), value, label: labels[i] }))
+        .filter(Boolean);
+    return (
+        <div className="overflow-x-auto">
+            <svg width={width} height={CHART_HEIGHT} role="img" aria-label="Savings rate trend">
+                <ChartAxes width={width} ticks={ticks} y={y} formatValue={formatValue} />
+                <polyline points={points.map(p => `${p.x},${p.y}`).join(' ')} fill="none" stroke={color} strokeWidth="2" />
+                {points.map(p => (
+                    <circle key={p.label} cx={p.x} cy={p.y} r="4" fill={color}>
+                        <title>{`${p.label}: ${formatValue(p.value)}`}</title>
+                    </circle>
+                ))}
+                {labels.map((label, i) => (
+                    <text key={i} x={CHART_PADDING.left + i * step + step / 2} y={CHART_HEIGHT - CHART_PADDING.bottom + 14} textAnchor="middle" fontSize="10" fill="#64748b">
+                        {label}
+                    </text>
+                ))}
+            </svg>
+        </div>
+    );
+};
+
+const DestinationRanking = ({ destinations, formatAmount }) => {
+    if (destinations.length === 0) {
+        return <p className="text-sm text-slate-500">No shows with room nights in this range.</p>;
+    }
+    const count = Math.min(5, Math.ceil(destinations.length / 2));
+    const max = Math.max(...destinations.map(d => d.averageCost)) || 1;
+    const renderList = (title, list, color) => (
+        <div>
+            <h4 className="font-semibold text-slate-700 mb-2">{title}</h4>
+            <ul className="space-y-2">
+                {list.map(d => (
+                    <li key={d.destination} className="text-sm">
+                        <div className="flex justify-between">
+                            <span className="font-medium text-slate-800">{d.destination}</span>
+                            <span className="text-slate-600">{formatAmount(d.averageCost)} / room-night · {d.roomNights} room-nights</span>
+                        </div>
+                        <div className="h-2 bg-slate-100 rounded">
+                            <div className="h-2 rounded" style={{ width: `${(d.averageCost / max) * 100}%`, backgroundColor: color }} />
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {renderList('Lowest cost', destinations.slice(0, count), CHART_COLORS.savings)}
+            {renderList('Highest cost', destinations.slice(-count).reverse(), CHART_COLORS.spend)}
+        </div>
+    );
+};
+
+const PeriodComparison = ({ comparison, compared, formatAmount, onChange }) => {
+    const { current, previous } = compared;
+    const rows = [
+        { label: 'Shows', key: 'showCount', format: (v) => v },
+        { label: 'Budgeted', key: 'budget', format: formatAmount },
+        { label: 'Spent', key: 'spend', format: formatAmount },
+        { label: 'Savings', key: 'savings', format: formatAmount },
+        { label: 'Commission', key: 'commission', format: formatAmount }
+    ];
+    const renderChange = (now, before) => {
+        const change = percentChange(now, before);
+        if (change === null) return <span className="text-slate-400">—</span>;
+        return <span className={change >= 0 ? 'text-green-600' : 'text-red-600'}>{change >= 0 ? '+' : ''}{change.toFixed(1)}%</span>;
+    };
+    return (
+        <section>
+            <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Period Comparison</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-4">
+                <SelectField label="Period" name="kind" value={comparison.kind} onChange={(e) => onChange({ ...comparison, kind: e.target.value })}>
+                    <option value="quarter">Quarter</option>
+                    <option value="year">Year</option>
+                </SelectField>
+                <SelectField label="Compare with" name="against" value={comparison.against} onChange={(e) => onChange({ ...comparison, against: e.target.value })}>
+                    <option value="previous">Previous {comparison.kind}</option>
+                    <option value="year">Same {comparison.kind} last year</option>
+                </SelectField>
+                <InputField label="Period containing" name="anchor" type="date" value={comparison.anchor} onChange={(e) => e.target.value && onChange({ ...comparison, anchor: e.target.value })} />
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-slate-500">
+                            <th className="py-2 pr-4"></th>
+                            <th className="py-2 pr-4">{current.label} <span className="font-normal">({formatDateRange(current)})</span></th>
+                            <th className="py-2 pr-4">{previous.label} <span className="font-normal">({formatDateRange(previous)})</span></th>
+                            <th className="py-2">Change</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(row => (
+                            <tr key={row.key} className="border-t border-slate-200">
+                                <td className="py-2 pr-4 font-semibold text-slate-800">{row.label}</td>
+                                <td className="py-2 pr-4">{row.format(current[row.key])}</td>
+                                <td className="py-2 pr-4">{row.format(previous[row.key])}</td>
+                                <td className="py-2">{renderChange(current[row.key], previous[row.key])}</td>
+                            </tr>
+                        ))}
+                        <tr className="border-t border-slate-200">
+                            <td className="py-2 pr-4 font-semibold text-slate-800">Savings Rate</td>
+                            <td className="py-2 pr-4">{formatPercent(current.savingsRate)}</td>
+                            <td className="py-2 pr-4">{formatPercent(previous.savingsRate)}</td>
+                            <td className="py-2">
+                                {current.savingsRate === null || previous.savingsRate === null
+                                    ? <span className="text-slate-400">—</span>
+                                    : `${current.savingsRate - previous.savingsRate >= 0 ? '+' : ''}${(current.savingsRate - previous.savingsRate).toFixed(1)} pts`}
+                            </td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        </section>
+    );
+};
+
+// --- Period Report: on screen, printed or as a PDF ---
+const PeriodReportView = ({ shows, settings, calculateMetrics, initialPeriod, onBack }) => {
+    // Opens on the All Shows date filter, or the current quarter without one.
+    const [period, setPeriod] = useState(() => {
+        if (initialPeriod.from || initialPeriod.to) return initialPeriod;
+        const quarter = getPeriod(today(), 'quarter', getFiscalYearStartMonth(settings));
+        return { from: quarter.start, to: quarter.end };
+    });
+    const [pdfError, setPdfError] = useState(null);
+    const report = useMemo(() => buildPeriodReport(shows, period, calculateMetrics, settings), [shows, period, calculateMetrics, settings]);
+
+    const handleDownloadPdf = async () => {
+        try {
+            const doc = await renderPeriodReportPdf(report);
+            downloadBlob(doc.output('blob'), `period-summary-${period.from || 'start'}-to-${period.to || today()}.pdf`);
+            setPdfError(null);
+        } catch (error) {
+            console.error("Error creating period report PDF", error);
+            setPdfError('Could not create the PDF. Use Print instead; the printout has the same figures.');
+        }
+    };
+
+    return (
+        <div className="bg-slate-100 min-h-screen font-sans text-slate-800">
+            <div className="container mx-auto p-4 sm:p-6 lg:p-8">
+                <div className="bg-white p-6 sm:p-8 rounded-xl shadow-lg max-w-5xl mx-auto border border-slate-200 space-y-6 print-sheet">
+                    <button onClick={onBack} className="no-print flex items-center gap-2 text-blue-600 font-semibold hover:underline">
+                        <ArrowLeft size={18} />
+                        Back to All Shows
+                    </button>
+                    <div className="no-print flex flex-col sm:flex-row sm:items-end gap-3">
+                        <InputField label="From" name="reportFrom" type="date" value={period.from} onChange={(e) => setPeriod(prev => ({ ...prev, from: e.target.value }))} />
+                        <InputField label="To" name="reportTo" type="date" value={period.to} onChange={(e) => setPeriod(prev => ({ ...prev, to: e.target.value }))} />
+                        <div className="flex gap-2 sm:ml-auto">
+                            <ToolbarButton icon={<FileDown size={16} />} label="Download PDF" onClick={handleDownloadPdf} />
+                            <ToolbarButton icon={<Printer size={16} />} label="Print" onClick={() => window.print()} />
+                        </div>
+                    </div>
+                    {pdfError && <p className="no-print text-sm text-red-600" role="alert">{pdfError}</p>}
+
+                    <div>
+                        <p className="text-slate-500">{report.title}</p>
+                        <h2 className="text-3xl font-bold text-slate-900">{report.heading}</h2>
+                    </div>
+                    <dl className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                        {report.summary.map(([label, value]) => (
+                            <div key={label} className="p-3 bg-slate-50 rounded-lg">
+                                <dt className="text-sm text-slate-500">{label}</dt>
+                                <dd className="text-xl font-bold text-slate-800">{value}</dd>
+                            </div>
+                        ))}
+                    </dl>
+                    {report.showCount === 0 ? (
+                        <p className="text-slate-500">No shows in this period.</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-slate-500">
+                                        {report.table.columns.map((column, index) => (
+                                            <th key={column} className={`py-2 ${index >= 3 ? 'pl-4 text-right' : 'pr-4'}`}>{column}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.table.rows.map((cells, rowIndex) => (
+                                        <tr key={rowIndex} className="border-t border-slate-200">
+                                            {cells.map((cell, index) => (
+                                                <td key={index} className={`py-2 ${index >= 3 ? 'pl-4 text-right' : 'pr-4'} ${index === 1 ? 'font-semibold text-slate-800' : ''}`}>{cell}</td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                                <tfoot>
+                                    <tr className="border-t-2 border-slate-400 font-bold">
+                                        {report.table.total.map((cell, index) => (
+                                            <td key={index} className={`py-2 ${index >= 3 ? 'pl-4 text-right' : 'pr-4'}`}>{cell}</td>
+                                        ))}
+                                    </tr>
+                                </tfoot>
+                            </table>
+                        </div>
+                    )}
+                    <div className="hidden print-only mt-16 grid grid-cols-2 gap-12 text-sm">
+                        {report.signOff.map(label => <p key={label} className="border-t border-slate-400 pt-2">{label} / Date</p>)}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Planning: commission pipeline and quote variance ---
+const QUARTER_OPTIONS = [
+    { offset: 0, label: 'This quarter' },
+    { offset: 1, label: 'Next quarter' },
+    { offset: 2, label: 'The quarter after' }
+];
+
+const PIPELINE_SOURCE_LABELS = { actual: 'Actual', quote: 'Quote', none: 'Not quoted' };
+
+const PlanningView = ({ shows, settings, salespeople, calculateMetrics, onSettingsChange, onSelectShow, onBack }) => {
+    const currency = getReportingCurrency(settings);
+    const fiscalYearStartMonth = getFiscalYearStartMonth(settings);
+    const threshold = getVarianceThreshold(settings);
+    const [quarterOffset, setQuarterOffset] = useState(1);
+    const [thresholdDraft, setThresholdDraft] = useState(String(threshold));
+    const [flaggedOnly, setFlaggedOnly] = useState(false);
+
+    const period = useMemo(
+        () => shiftPeriod(getPeriod(today(), 'quarter', fiscalYearStartMonth), 'quarter', quarterOffset, fiscalYearStartMonth),
+        [quarterOffset, fiscalYearStartMonth]
+    );
+    const pipeline = useMemo(() => buildPipeline(shows, period, calculateMetrics), [shows, period, calculateMetrics]);
+    const variance = useMemo(() => buildVarianceReport(shows, calculateMetrics, threshold), [shows, calculateMetrics, threshold]);
+    const flaggedCount = variance.filter(row => row.flagged).length;
+    const signedMoney = (amount) => `${amount > 0 ? '+' : ''}${formatMoney(amount, currency)}`;
+
+    const handleThresholdChange = (value) => {
+        setThresholdDraft(value);
+        if (value !== '' && Number(value) >= 0) onSettingsChange({ ...settings, varianceThresholdPercent: Number(value) });
+    };
+
+    return (
+        <div className="bg-slate-100 min-h-screen font-sans text-slate-800">
+            <div className="container mx-auto p-4 sm:p-6 lg:p-8">
+                <div className="bg-white p-6 sm:p-8 rounded-xl shadow-lg max-w-5xl mx-auto border border-slate-200 space-y-8">
+                    <button onClick={onBack} className="flex items-center gap-2 text-blue-600 font-semibold hover:underline">
+                        <ArrowLeft size={18} />
+                        Back to All Shows
+                    </button>
+                    <h2 className="text-3xl font-bold text-slate-900">Planning</h2>
+
+                    <section>
+                        <div className="flex flex-wrap items-end justify-between gap-3 border-b pb-2 mb-4">
+                            <h3 className="text-lg font-semibold text-slate-700">Commission Pipeline &middot; {period.label}</h3>
+                            <select
+                                aria-label="Quarter"
+                                value={quarterOffset}
+                                onChange={(e) => setQuarterOffset(Number(e.target.value))}
+                                className="px-3 py-2 bg-white border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                                {QUARTER_OPTIONS.map(option => <option key={option.offset} value={option.offset}>{option.label}</option>)}
+                            </select>
+                        </div>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 mb-4">
+                            <StatCard
+                                icon={<DollarSign className="text-blue-500" />}
+                                label="Forecast Commission Liability"
+                                value={formatMoney(pipeline.totalCommission, currency)}
+                                detail={`${pipeline.rows.length} unpaid show${pipeline.rows.length === 1 ? '' : 's'}, ${formatDateRange({ start: period.start, end: period.end })}`}
+                                color="text-blue-600"
+                            />
+                            <StatCard
+                                icon={<AlertTriangle className="text-amber-500" />}
+                                label="Shows Not Quoted Yet"
+                                value={pipeline.unquotedCount}
+                                detail="Left out of the liability until their quotes are entered"
+                                color="text-amber-600"
+                            />
+                        </div>
+                        {pipeline.rows.length === 0 ? (
+                            <p className="text-slate-500">No unpaid shows in {period.label}.</p>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-slate-500">
+                                            <th className="py-2 pr-4">Show</th>
+                                            <th className="py-2 pr-4">Date</th>
+                                            <th className="py-2 pr-4">Status</th>
+                                            <th className="py-2 pr-4">Basis</th>
+                                            <th className="py-2 pr-4 text-right">Savings</th>
+                                            <th className="py-2 text-right">Commission</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {pipeline.rows.map(row => (
+                                            <tr key={row.show.id} className="border-t border-slate-200">
+                                                <td className="py-2 pr-4">
+                                                    <button onClick={() => onSelectShow(row.show)} className="font-semibold text-blue-600 hover:underline">{row.show.destination}</button>
+                                                </td>
+                                                <td className="py-2 pr-4">{formatDateRange({ start: row.date, end: row.date })}</td>
+                                                <td className="py-2 pr-4"><StatusBadge show={row.show} /></td>
+                                                <td className="py-2 pr-4">{PIPELINE_SOURCE_LABELS[row.source]}</td>
+                                                <td className="py-2 pr-4 text-right">
+                                                    {row.source === 'none' ? '—' : formatMoney(row.source === 'actual' ? row.metrics.savings : row.metrics.projectedSavings, currency)}
+                                                </td>
+                                                <td className="py-2 text-right font-semibold">{row.commission === null ? '—' : formatMoney(row.commission, currency)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                        {pipeline.bySalesperson.length > 0 && (
+                            <ul className="mt-4 text-sm text-slate-600 space-y-1">
+                                {pipeline.bySalesperson.map(entry => (
+                                    <li key={entry.salespersonId} className="flex justify-between max-w-sm">
+                                        <span>{salespeople.find(p => p.id === entry.salespersonId)?.name || 'Unknown'}</span>
+                                        <span className="font-semibold">{formatMoney(entry.commission, currency)}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </section>
+
+                    <section>
+                        <div className="flex flex-wrap items-end justify-between gap-3 border-b pb-2 mb-4">
+                            <h3 className="text-lg font-semibold text-slate-700">Variance Against Quotes</h3>
+                            <div className="flex flex-wrap items-end gap-3 text-sm">
+                                <label>
+                                    <span className="block text-xs font-medium text-slate-500 mb-1">Flag drift over (%)</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="any"
+                                        value={thresholdDraft}
+                                        onChange={(e) => handleThresholdChange(e.target.value)}
+                                        className="w-24 px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </label>
+                                <label className="flex items-center gap-2 py-2 text-slate-600">
+                                    <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+                                    Flagged only
+                                </label>
+                            </div>
+                        </div>
+                        {variance.length === 0 ? (
+                            <p className="text-slate-500">No shows have both quotes and actual costs yet.</p>
+                        ) : (
+                            <>
+                                <p className="text-sm text-slate-600 mb-3">
+                                    {flaggedCount} of {variance.length} quoted show{variance.length === 1 ? '' : 's'} drifted more than {threshold}% from their quotes.
+                                </p>
+                                <div className="overflow-x-auto">
+                                    <table className="w-full text-sm">
+                                        <thead>
+                                            <tr className="text-left text-slate-500">
+                                                <th className="py-2 pr-4">Show</th>
+                                                <th className="py-2 pr-4 text-right">Quoted</th>
+                                                <th className="py-2 pr-4 text-right">Actual</th>
+                                                <th className="py-2 pr-4 text-right">Rooms</th>
+                                                <th className="py-2 pr-4 text-right">Meeting Space</th>
+                                                <th className="py-2 text-right">Variance</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {variance.filter(row => row.flagged || !flaggedOnly).map(row => (
+                                                <tr key={row.show.id} className={`border-t border-slate-200 ${row.flagged ? 'bg-red-50 text-red-700' : ''}`}>
+                                                    <td className="py-2 pr-4">
+                                                        <button onClick={() => onSelectShow(row.show)} className="flex items-center gap-1 font-semibold hover:underline">
+                                                            {row.flagged && <AlertTriangle size={14} />}
+                                                            {row.show.destination}
+                                                        </button>
+                                                    </td>
+                                                    <td className="py-2 pr-4 text-right">{formatMoney(row.projected, currency)}</td>
+                                                    <td className="py-2 pr-4 text-right">{formatMoney(row.actual, currency)}</td>
+                                                    <td className="py-2 pr-4 text-right">{signedMoney(row.roomVariance)}</td>
+                                                    <td className="py-2 pr-4 text-right">{signedMoney(row.meetingVariance)}</td>
+                                                    <td className="py-2 text-right font-semibold">
+                                                        {signedMoney(row.variance)} ({formatPercent(row.variancePercent)})
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </>
+                        )}
+                    </section>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Sales Team: roster and commission statements ---
+const SalespeopleView = ({ salespeople, shows, calculateMetrics, currency, onChange, onBack }) => {
+    const [newPerson, setNewPerson] = useState({ name: '', email: '' });
+    const [selectedId, setSelectedId] = useState(salespeople[0]?.id || '');
+    const [period, setPeriod] = useState(() => {
+        const year = new Date().getFullYear();
+        return { from: `${year}-01-01`, to: `${year}-12-31` };
+    });
+
+    const selectedPerson = salespeople.find(p => p.id === selectedId);
+    const statement = useMemo(
+        () => buildStatement(selectedId, shows, calculateMetrics, period),
+        [selectedId, shows, calculateMetrics, period]
+    );
+
+    const hasShows = (personId) => shows.some(show => getAssignees(show).some(a => a.salespersonId === personId));
+
+    const handleAddPerson = (e) => {
+        e.preventDefault();
+        if (!newPerson.name.trim()) return;
+        const person = { id: crypto.randomUUID(), name: newPerson.name.trim(), email: newPerson.email.trim(), active: true };
+        onChange([...salespeople, person]);
+        setNewPerson({ name: '', email: '' });
+        if (!selectedId) setSelectedId(person.id);
+    };
+
+    const handleUpdatePerson = (personId, changes) => {
+        onChange(salespeople.map(p => p.id === personId ? { ...p, ...changes } : p));
+    };
+
+    const handleDeletePerson = (personId) => {
+        onChange(salespeople.filter(p => p.id !== personId));
+        if (selectedId === personId) setSelectedId('');
+    };
+
+    return (
+        <div className="bg-slate-100 min-h-screen font-sans text-slate-800">
+            <div className="container mx-auto p-4 sm:p-6 lg:p-8">
+                <div className="bg-white p-6 sm:p-8 rounded-xl shadow-lg max-w-5xl mx-auto border border-slate-200 space-y-8 print-sheet">
+                    <button onClick={onBack} className="no-print flex items-center gap-2 text-blue-600 font-semibold hover:underline">
+                        <ArrowLeft size={18} />
+                        Back to All Shows
+                    </button>
+                    <h2 className="no-print text-3xl font-bold text-slate-900">Sales Team</h2>
+
+                    <section className="no-print">
+                        <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Roster</h3>
+                        <div className="space-y-3">
+                            {salespeople.map(person => (
+                                <div key={person.id} className="flex flex-col sm:flex-row sm:items-center gap-3 p-3 bg-slate-50 rounded-lg">
+                                    <input
+                                        aria-label="Name"
+                                        defaultValue={person.name}
+                                        onBlur={(e) => e.target.value.trim() && handleUpdatePerson(person.id, { name: e.target.value.trim() })}
+                                        className="flex-1 px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                    <input
+                                        aria-label="Email"
+                                        defaultValue={person.email}
+                                        onBlur={(e) => handleUpdatePerson(person.id, { email: e.target.value.trim() })}
+                                        placeholder="Email"
+                                        className="flex-1 px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                    <label className="flex items-center gap-2 text-sm text-slate-600">
+                                        <input
+                                            type="checkbox"
+                                            checked={person.active !== false}
+                                            onChange={(e) => handleUpdatePerson(person.id, { active: e.target.checked })}
+                                        />
+                                        Active
+                                    </label>
+                                    {!hasShows(person.id) && (
+                                        <button onClick={() => handleDeletePerson(person.id)} className="p-2 rounded-full hover:bg-red-100 transition-colors">
+                                            <Trash2 size={18} className="text-red-500" />
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                        <form onSubmit={handleAddPerson} className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+                            <InputField label="Name" name="personName" value={newPerson.name} onChange={(e) => setNewPerson(prev => ({ ...prev, name: e.target.value }))} />
+                            <InputField label="Email" name="personEmail" type="email" value={newPerson.email} onChange={(e) => setNewPerson(prev => ({ ...prev, email: e.target.value }))} />
+                            <button type="submit" className="py-2 px-4 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors">
+                                Add Salesperson
+                            </button>
+                        </form>
+                    </section>
+
+                    <section>
+                        <div className="no-print flex flex-col sm:flex-row justify-between sm:items-center border-b pb-2 mb-3 gap-3">
+                            <h3 className="text-lg font-semibold text-slate-700">Commission Statement</h3>
+                            <button
+                                onClick={() => window.print()}
+                                disabled={!selectedPerson}
+                                className="flex items-center gap-2 text-blue-600 font-semibold hover:underline disabled:text-slate-400 disabled:no-underline"
+                            >
+                                <Printer size={18} />
+                                Print Statement
+                            </button>
+                        </div>
+                        <div className="no-print grid grid-cols-1 sm:grid-cols-3 gap-3 mb-6">
+                            <SelectField label="Salesperson" name="statementPerson" value={selectedId} onChange={(e) => setSelectedId(e.target.value)}>
+                                <option value="">Select a salesperson...</option>
+                                {salespeople.map(person => (
+                                    <option key={person.id} value={person.id}>{person.name}</option>
+                                ))}
+                            </SelectField>
+                            <InputField label="From" name="periodFrom" type="date" value={period.from} onChange={(e) => setPeriod(prev => ({ ...prev, from: e.target.value }))} />
+                            <InputField label="To" name="periodTo" type="date" value={period.to} onChange={(e) => setPeriod(prev => ({ ...prev, to: e.target.value }))} />
+                        </div>
+
+                        {selectedPerson ? (
+                            <CommissionStatement person={selectedPerson} period={period} statement={statement} currency={currency} />
+                        ) : (
+                            <p className="text-slate-500">Select a salesperson to see their statement.</p>
+                        )}
+                    </section>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const CommissionStatement = ({ person, period, statement, currency }) => (
+    <div>
+        <div className="mb-4">
+            <p className="text-2xl font-bold text-slate-900">{person.name}</p>
+            {person.email && <p className="text-slate-500">{person.email}</p>}
+            <p className="text-slate-500">Period: {period.from || 'start'} to {period.to || 'today'}</p>
+        </div>
+        {statement.lines.length === 0 ? (
+            <p className="text-slate-500">No shows in this period.</p>
+        ) : (
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-slate-500">
+                            <th className="py-2 pr-4">Date</th>
+                            <th className="py-2 pr-4">Show</th>
+                            <th className="py-2 pr-4 text-right">Split</th>
+                            <th className="py-2 pr-4 text-right">Savings</th>
+                            <th className="py-2 text-right">Commission</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {statement.lines.map(line => (
+                            <tr key={line.show.id} className="border-t border-slate-200">
+                                <td className="py-2 pr-4">{line.date}</td>
+                                <td className="py-2 pr-4 font-semibold text-slate-800">{line.show.destination}</td>
+                                <td className="py-2 pr-4 text-right">{line.split}%</td>
+                                <td className="py-2 pr-4 text-right">{formatMoney(line.savings, currency)}</td>
+                                <td className="py-2 text-right">{formatMoney(line.commission, currency)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                    <tfoot>
+                        <tr className="border-t-2 border-slate-400 font-bold">
+                            <td className="py-2 pr-4" colSpan="3">Total ({statement.lines.length} shows)</td>
+                            <td className="py-2 pr-4 text-right">{formatMoney(statement.totals.savings, currency)}</td>
+                            <td className="py-2 text-right text-blue-600">{formatMoney(statement.totals.commission, currency)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        )}
+        <div className="hidden print-only mt-16 grid grid-cols-2 gap-12 text-sm">
+            <p className="border-t border-slate-400 pt-2">Prepared by</p>
+            <p className="border-t border-slate-400 pt-2">Approved for payroll</p>
+        </div>
+    </div>
+);
+
+// --- Clients: roster and billing rollup ---
+const ClientsView = ({ shows, settings, calculateMetrics, onSettingsChange, onSelectShow, onBack }) => {
+    const [newName, setNewName] = useState('');
+    const clients = getClients(settings);
+    const currency = getReportingCurrency(settings);
+    const rollup = useMemo(() => buildClientRollup(shows, calculateMetrics, settings), [shows, calculateMetrics, settings]);
+    const money = (amount) => formatMoney(amount, currency);
+    const percent = (value) => (value === null ? '—' : `${value.toFixed(1)}%`);
+
+    const hasShows = (clientId) => shows.some(show => show.clientId === clientId);
+    const updateClients = (next) => onSettingsChange({ ...settings, clients: next });
+
+    const handleAddClient = (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        updateClients([...clients, { id: crypto.randomUUID(), name: newName.trim(), active: true }]);
+        setNewName('');
+    };
+
+    const handleUpdateClient = (clientId, changes) => {
+        updateClients(clients.map(c => c.id === clientId ? { ...c, ...changes } : c));
+    };
+
+    const outstanding = rollup.rows.filter(row => row.outstandingInvoices.length > 0);
+
+    return (
+        <div className="bg-slate-100 min-h-screen font-sans text-slate-800">
+            <div className="container mx-auto p-4 sm:p-6 lg:p-8">
+                <div className="bg-white p-6 sm:p-8 rounded-xl shadow-lg max-w-5xl mx-auto border border-slate-200 space-y-8 print-sheet">
+                    <button onClick={onBack} className="no-print flex items-center gap-2 text-blue-600 font-semibold hover:underline">
+                        <ArrowLeft size={18} />
+                        Back to All Shows
+                    </button>
+                    <h2 className="no-print text-3xl font-bold text-slate-900">Clients</h2>
+
+                    <section className="no-print">
+                        <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Client List</h3>
+                        <p className="text-sm text-slate-500 mb-3">Clients and sponsors that shows are billed back to. Pick one on a show's form to bill it.</p>
+                        <div className="space-y-3">
+                            {clients.map(client => (
+                                <div key={client.id} className="flex flex-col sm:flex-row sm:items-center gap-3 p-3 bg-slate-50 rounded-lg">
+                                    <input
+                                        aria-label="Client name"
+                                        defaultValue={client.name}
+                                        onBlur={(e) => e.target.value.trim() && handleUpdateClient(client.id, { name: e.target.value.trim() })}
+                                        className="flex-1 px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                    <label className="flex items-center gap-2 text-sm text-slate-600">
+                                        <input
+                                            type="checkbox"
+                                            checked={client.active !== false}
+                                            onChange={(e) => handleUpdateClient(client.id, { active: e.target.checked })}
+                                        />
+                                        Active
+                                    </label>
+                                    {!hasShows(client.id) && (
+                                        <button onClick={() => updateClients(clients.filter(c => c.id !== client.id))} title="Remove client" className="p-2 rounded-full hover:bg-red-100 transition-colors">
+                                            <Trash2 size={18} className="text-red-500" />
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                        <form onSubmit={handleAddClient} className="mt-4 grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+                            <div className="sm:col-span-2">
+                                <InputField label="Name" name="clientName" value={newName} onChange={(e) => setNewName(e.target.value)} />
+                            </div>
+                            <button type="submit" className="py-2 px-4 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors">
+                                Add Client
+                            </button>
+                        </form>
+                    </section>
+
+                    <section>
+                        <div className="flex flex-col sm:flex-row justify-between sm:items-center border-b pb-2 mb-3 gap-3">
+                            <h3 className="text-lg font-semibold text-slate-700">Billing by Client</h3>
+                            <button onClick={() => window.print()} className="no-print flex items-center gap-2 text-blue-600 font-semibold hover:underline">
+                                <Printer size={18} />
+                                Print
+                            </button>
+                        </div>
+                        <p className="text-sm text-slate-500 mb-3">Cost is each show's actual spend less any hotel rebate, across every show for the client.</p>
+                        {rollup.rows.length === 0 ? (
+                            <p className="text-slate-500">No clients yet.</p>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-slate-500">
+                                            <th className="py-2 pr-4">Client</th>
+                                            <th className="py-2 pr-4 text-right">Shows</th>
+                                            <th className="py-2 pr-4 text-right">Revenue</th>
+                                            <th className="py-2 pr-4 text-right">Cost</th>
+                                            <th className="py-2 pr-4 text-right">Margin</th>
+                                            <th className="py-2 pr-4 text-right">Outstanding</th>
+                                            <th className="py-2 pr-4 text-right">Not Invoiced</th>
+                                            <th className="py-2 text-right">Rebates Due</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {rollup.rows.map(row => (
+                                            <tr key={row.client.id} className="border-t border-slate-200">
+                                                <td className="py-2 pr-4 font-semibold text-slate-800">{row.client.name}</td>
+                                                <td className="py-2 pr-4 text-right">{row.shows.length}</td>
+                                                <td className="py-2 pr-4 text-right">{money(row.revenue)}</td>
+                                                <td className="py-2 pr-4 text-right">{money(row.cost)}</td>
+                                                <td className={`py-2 pr-4 text-right ${row.margin < 0 ? 'text-red-600' : ''}`}>{money(row.margin)} ({percent(row.marginPercent)})</td>
+                                                <td className="py-2 pr-4 text-right">{money(row.outstanding)}</td>
+                                                <td className="py-2 pr-4 text-right">{money(row.notInvoiced)}</td>
+                                                <td className="py-2 text-right">{money(row.rebatesDue)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                    <tfoot>
+                                        <tr className="border-t-2 border-slate-400 font-bold">
+                                            <td className="py-2 pr-4" colSpan="2">Total</td>
+                                            <td className="py-2 pr-4 text-right">{money(rollup.totals.revenue)}</td>
+                                            <td className="py-2 pr-4 text-right">{money(rollup.totals.cost)}</td>
+                                            <td className="py-2 pr-4 text-right">{money(rollup.totals.margin)} ({percent(rollup.totals.marginPercent)})</td>
+                                            <td className="py-2 pr-4 text-right">{money(rollup.totals.outstanding)}</td>
+                                            <td className="py-2 pr-4 text-right">{money(rollup.totals.notInvoiced)}</td>
+                                            <td className="py-2 text-right">{money(rollup.totals.rebatesDue)}</td>
+                                        </tr>
+                                    </tfoot>
+                                </table>
+                            </div>
+                        )}
+                    </section>
+
+                    <section>
+                        <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Outstanding Invoices</h3>
+                        {outstanding.length === 0 ? (
+                            <p className="text-slate-500">Every invoice sent has been paid.</p>
+                        ) : (
+                            <div className="space-y-4">
+                                {outstanding.map(row => (
+                                    <div key={row.client.id}>
+                                        <p className="font-semibold text-slate-800">{row.client.name}</p>
+                                        <ul className="mt-1 text-sm divide-y divide-slate-200">
+                                            {row.outstandingInvoices.map(invoice => (
+                                                <li key={invoice.show.id} className="py-2 flex justify-between gap-4">
+                                                    <button onClick={() => onSelectShow(invoice.show)} className="text-left text-blue-600 hover:underline">
+                                                        {invoice.show.destination}
+                                                        {invoice.invoiceNumber && <span className="text-slate-500"> · Invoice {invoice.invoiceNumber}</span>}
+                                                    </button>
+                                                    <span className="text-slate-600">Sent {invoice.invoicedOn} · <span className="font-semibold text-slate-800">{money(invoice.amount)}</span></span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </section>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const CurrencySettingsSection = ({ settings, shows, onChange }) => {
+    const reportingCurrency = getReportingCurrency(settings);
+    const rates = settings.exchangeRates || [];
+    const foreignCurrencies = CURRENCIES.filter(c => c.code !== reportingCurrency);
+    const [newRate, setNewRate] = useState({ currency: foreignCurrencies[0].code, rate: '', date: today() });
+    const [importMessage, setImportMessage] = useState(null);
+
+    // Rate cards, captured rates and every show's exchange rate are expressed
+    // in the reporting currency, so it can only change before any of them
+    // depend on it.
+    const isCurrencyLocked = rates.length > 0 || shows.length > 0;
+
+    const handleAddRate = (e) => {
+        e.preventDefault();
+        const rate = Number(newRate.rate);
+        if (!(rate > 0) || !newRate.date) return;
+        onChange({ ...settings, exchangeRates: mergeExchangeRates(rates, [{ currency: newRate.currency, rate, date: newRate.date, source: 'manual' }]) });
+        setNewRate(prev => ({ ...prev, rate: '' }));
+    };
+
+    const handleImportRates = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const sheet = await readSpreadsheet(file);
+            const { rates: imported, errors } = parseExchangeRateRows(sheet.headers, sheet.rows, reportingCurrency);
+            if (imported.length > 0) {
+                onChange({ ...settings, exchangeRates: mergeExchangeRates(rates, imported) });
+            }
+            setImportMessage([`Imported ${imported.length} rate${imported.length === 1 ? '' : 's'} from ${file.name}.`, ...errors].join(' '));
+        } catch (error) {
+            console.error("Error importing exchange rates", error);
+            setImportMessage(`Could not read ${file.name}.`);
+        }
+    };
+
+    const handleDeleteRate = (id) => {
+        onChange({ ...settings, exchangeRates: rates.filter(entry => entry.id !== id) });
+    };
+
+    return (
+        <section>
+            <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Currencies</h3>
+            <p className="text-sm text-slate-500 mb-4">
+                Rate cards, budgets and all totals are in the reporting currency. Shows and line items entered in another currency are converted at the rate captured when they were entered; the rates below are used to fill that in.
+            </p>
+            <div className="sm:w-64 mb-4">
+                <SelectField
+                    label="Reporting currency"
+                    name="reportingCurrency"
+                    value={reportingCurrency}
+                    onChange={(e) => onChange({ ...settings, reportingCurrency: e.target.value })}
+                    disabled={isCurrencyLocked}
+                >
+                    {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code} · {c.label}</option>)}
+                </SelectField>
+                {isCurrencyLocked && <p className="mt-1 text-xs text-slate-500">Locked once shows or exchange rates exist.</p>}
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-slate-500">
+                            <th className="py-2 pr-4">Currency</th>
+                            <th className="py-2 pr-4">Effective</th>
+                            <th className="py-2 pr-4">{reportingCurrency} per unit</th>
+                            <th className="py-2 pr-4">Source</th>
+                            <th className="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rates.map(entry => (
+                            <tr key={entry.id} className="border-t border-slate-200">
+                                <td className="py-2 pr-4 font-semibold text-slate-800">{entry.currency}</td>
+                                <td className="py-2 pr-4">{entry.date}</td>
+                                <td className="py-2 pr-4">{entry.rate}</td>
+                                <td className="py-2 pr-4 capitalize">{entry.source}</td>
+                                <td className="py-2 text-right">
+                                    <button onClick={() => handleDeleteRate(entry.id)} title="Delete" className="p-2 rounded-full hover:bg-red-100 transition-colors">
+                                        <Trash2 size={16} className="text-red-500" />
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                        {rates.length === 0 && (
+                            <tr className="border-t border-slate-200">
+                                <td colSpan="5" className="py-2 text-slate-500">No exchange rates yet.</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+            <form onSubmit={handleAddRate} className="mt-4 grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+                <SelectField label="Currency" name="rateCurrency" value={newRate.currency} onChange={(e) => setNewRate(prev => ({ ...prev, currency: e.target.value }))}>
+                    {foreignCurrencies.map(c => <option key={c.code} value={c.code}>{c.code}</option>)}
+                </SelectField>
+                <InputField label={`${reportingCurrency} per ${newRate.currency}`} name="rate" type="number" min="0" step="any" value={newRate.rate} onChange={(e) => setNewRate(prev => ({ ...prev, rate: e.target.value }))} required />
+                <InputField label="Effective" name="rateDate" type="date" value={newRate.date} onChange={(e) => setNewRate(prev => ({ ...prev, date: e.target.value }))} required />
+                <button type="submit" className="py-2 px-4 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors">
+                    Add Rate
+                </button>
+            </form>
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+                <label className="flex items-center gap-2 py-2 px-4 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors cursor-pointer">
+                    <Upload size={18} />
+                    Import Rates
+                    <input type="file" accept=".csv,.xlsx,.xls" onChange={handleImportRates} className="hidden" aria-label="Import exchange rates" />
+                </label>
+                <span className="text-sm text-slate-500">CSV or Excel with Currency, Rate and Date columns.</span>
+            </div>
+            {importMessage && <p className="mt-3 text-sm text-slate-600">{importMessage}</p>}
+        </section>
+    );
+};
+
+const BackupRestoreSection = ({ shows, quarantined, onDownloadBackup, onRestoreBackup, onDiscardQuarantine }) => {
+    const [pending, setPending] = useState(null);
+    const [restoreError, setRestoreError] = useState(null);
+    const [restoreMessage, setRestoreMessage] = useState(null);
+    const [confirmReplace, setConfirmReplace] = useState(false);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setRestoreError(null);
+        setRestoreMessage(null);
+        setConfirmReplace(false);
+        try {
+            const backup = parseBackup(await file.text());
+            const existingIds = new Set(shows.map(show => show.id));
+            setPending({
+                ...backup,
+                fileName: file.name,
+                newShowCount: backup.data.shows.filter(show => !existingIds.has(show.id)).length
+            });
+        } catch (error) {
+            setPending(null);
+            setRestoreError(`Could not restore ${file.name}: ${error.message}`);
+        }
+    };
+
+    const handleRestore = async (mode) => {
+        try {
+            await onRestoreBackup(pending.data, mode, pending.files);
+        } catch (error) {
+            console.error("Error restoring attached files", error);
+            setRestoreError(`Could not restore ${pending.fileName}: the attached files could not be stored (${error.message}).`);
+            return;
+        }
+        setRestoreMessage(mode === 'replace'
+            ? `Replaced all data with ${pending.data.shows.length} shows from ${pending.fileName}.`
+            : `Merged ${pending.fileName}: ${pending.newShowCount} new shows added.`);
+        setPending(null);
+    };
+
+    const handleDownloadQuarantine = (entry) => {
+        downloadText(typeof entry.raw === 'string' ? entry.raw : JSON.stringify(entry.raw), `${entry.key}.json`);
+    };
+
+    return (
+        <section>
+            <h3 className="text-lg font-semibold text-slate-700 border-b pb-2 mb-3">Backup &amp; Restore</h3>
+            <p className="text-sm text-slate-500 mb-4">
+                A backup contains every show with its attached files, the sales team and all settings. Restoring can merge into what's here or replace it entirely.
+            </p>
+            <div className="flex flex-wrap items-center gap-3">
+                <button onClick={onDownloadBackup} className="flex items-center gap-2 py-2 px-4 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors">
+                    <Download size={18} />
+                    Download Backup
+                </button>
+                <label className="flex items-center gap-2 py-2 px-4 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors cursor-pointer">
+                    <Upload size={18} />
+                    Restore from File
+                    <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" aria-label="Restore from file" />
+                </label>
+            </div>
+            {restoreError && <p className="mt-3 text-sm text-red-600" role="alert">{restoreError}</p>}
+            {restoreMessage && <p className="mt-3 text-sm text-green-700">{restoreMessage}</p>}
+
+            {pending && (
+                <div className="mt-4 p-4 bg-slate-50 rounded-lg border border-slate-200 space-y-3">
+                    <p className="font-semibold text-slate-800">{pending.fileName}</p>
+                    <p className="text-sm text-slate-600">
+                        {pending.data.shows.length} shows ({pending.newShowCount} not already here) &middot; {pending.data.salespeople.length} salespeople
+                        {pending.files.length > 0 && <> &middot; {pending.files.length} attached files</>}
+                        {pending.exportedAt && <> &middot; backed up {new Date(pending.exportedAt).toLocaleString()}</>}
+                    </p>
+                    {pending.rejectedCount > 0 && (
+                        <p className="text-sm text-amber-700">{pending.rejectedCount} unreadable show record(s) in the file will be skipped.</p>
+                    )}
+                    <label className="flex items-center gap-2 text-sm text-slate-600">
+                        <input type="checkbox" checked={confirmReplace} onChange={(e) => setConfirmReplace(e.target.checked)} />
+                        I understand Replace discards the {shows.length} shows currently stored
+                    </label>
+                    <div className="flex flex-wrap gap-3">
+                        <button onClick={() => handleRestore('merge')} className="py-2 px-4 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors">
+                            Merge
+                        </button>
+                        <button
+                            onClick={() => handleRestore('replace')}
+                            disabled={!confirmReplace}
+                            className="py-2 px-4 bg-red-600 text-white font-semibold rounded-lg hover:bg-red-700 transition-colors disabled:bg-slate-300"
+                        >
+                            Replace
+                        </button>
+                        <button onClick={() => setPending(null)} className="py-2 px-4 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors">
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {quarantined.length > 0 && (
+                <div className="mt-6">
+                    <h4 className="font-semibold text-slate-700 mb-2">Quarantined Data</h4>
+                    <p className="text-sm text-slate-500 mb-3">
+                        These copies couldn't be loaded. Download them to recover by hand, or discard them once you no longer need them.
+                    </p>
+                    <ul className="space-y-2">
+                        {quarantined.map(entry => (
+                            <li key={entry.key} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3 bg-amber-50 rounded-lg border border-amber-200">
+                                <span className="text-sm text-slate-700">
+                                    <span className="font-semibold">{entry.quarantinedAt ? new Date(entry.quarantinedAt).toLocaleString() : entry.key}</span>
+                                    {' '}&middot; {entry.reason}
+                                </span>
+                                <span className="flex gap-2">
+                                    <button onClick={() => handleDownloadQuarantine(entry)} className="text-sm text-blue-600 font-semibold hover:underline">Download</button>
+                                    <button onClick={() => onDiscardQuarantine(entry.key)} className="text-sm text-red-600 font-semibold hover:underline">Discard</button>
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </section>
+    );
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const splitCities = (value) => value.split(',').map(city => city.trim()).filter(Boolean);
+
+const RateCardFormModal = ({ card, settings, shows, onClose, onSave }) => {
+    const [formData, setFormData] = useState({
+        marketTierId: card.marketTierId,
+        effectiveFrom: card.effectiveFrom,
+        roomRatePerNight: String(card.roomRatePerNight),
+        meetingRatePerDay: String(card.meetingRatePerDay),
+        cap: card.commission.cap == null ? '' : String(card.commission.cap),
+        tiers: card.commission.tiers.map(tier => ({
+            upTo: tier.upTo == null ? '' : String(tier.upTo),
+            rate: String(+(tier.rate * 100).toFixed(4))
+        }))
+    });
+    const [formError, setFormError] = useState(null);
+    // The tier and date the user was warned about on the first save.
+    const [acknowledged, setAcknowledged] = useState(null);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    // Shows already costed that a card with this date would otherwise cover.
+    const coveredShows = findShowsCoveredBy(formData, shows, settings);
+    const coverageKey = `${formData.marketTierId} ${formData.effectiveFrom}`;
+    const isConfirmingCoverage = coveredShows.length > 0 && acknowledged === coverageKey;
+
+    const handleTierChange = (index, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            tiers: prev.tiers.map((tier, i) => i === index ? { ...tier, [field]: value } : tier)
+        }));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const duplicate = settings.rateCards.some(existing =>
+            existing.marketTierId === formData.marketTierId && existing.effectiveFrom === formData.effectiveFrom
+        );
+        if (duplicate) {
+            setFormError('This tier already has a rate card with that effective date.');
+            return;
+        }
+        const tiers = formData.tiers.map(tier => ({
+            upTo: tier.upTo === '' ? null : Number(tier.upTo),
+            rate: Number(tier.rate) / 100
+        }));
+        if (tiers.some(tier => Number.isNaN(tier.rate) || Number.isNaN(tier.upTo))) {
+            setFormError('Commission tiers need numeric thresholds and rates.');
+            return;
+        }
+        setFormError(null);
+        if (coveredShows.length > 0 && !isConfirmingCoverage) {
+            setAcknowledged(coverageKey);
+            return;
+        }
+        onSave({
+            marketTierId: formData.marketTierId,
+            effectiveFrom: formData.effectiveFrom,
+            roomRatePerNight: Number(formData.roomRatePerNight) || 0,
+            meetingRatePerDay: Number(formData.meetingRatePerDay) || 0,
+            commission: {
+                tiers,
+                cap: formData.cap === '' ? null : Number(formData.cap)
+            }
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50 p-4">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-full overflow-y-auto">
+                <div className="p-6 border-b flex justify-between items-center">
+                    <h2 className="text-2xl font-bold text-slate-800">New Rate Card</h2>
+                    <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-200">
+                        <X size={24} className="text-slate-600" />
+                    </button>
+                </div>
+                <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                    {formError && <p className="text-sm text-red-600">{formError}</p>}
+                    {isConfirmingCoverage && (
+                        <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-3" role="alert">
+                            {coveredShows.length} existing show{coveredShows.length === 1 ? ' is' : 's are'} dated on or after {formData.effectiveFrom} in this tier.
+                            They keep the rate card they were costed with; this card applies to new shows, and to those only if their destination or dates are edited.
+                        </p>
+                    )}
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <SelectField label="Market Tier" name="marketTierId" value={formData.marketTierId} onChange={handleChange}>
+                            {settings.marketTiers.map(tier => (
+                                <option key={tier.id} value={tier.id}>{tier.name}</option>
+                            ))}
+                        </SelectField>
+                        <InputField label="Effective From" name="effectiveFrom" type="date" value={formData.effectiveFrom} onChange={handleChange} required />
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                        <InputField label={`Room Budget per Night (${getReportingCurrency(settings)})`} name="roomRatePerNight" type="number" min="0" step="0.01" value={formData.roomRatePerNight} onChange={handleChange} required />
+                        <InputField label={`Meeting Budget per Day (${getReportingCurrency(settings)})`} name="meetingRatePerDay" type="number" min="0" step="0.01" value={formData.meetingRatePerDay} onChange={handleChange} required />
+                    </div>
+                    <div>
+                        <p className="block text-sm font-medium text-slate-600 mb-1">Commission Tiers</p>
+                        <div className="space-y-2">
+                            {formData.tiers.map((tier, index) => (
+                                <div key={index} className="flex items-center gap-2">
+                                    <input
+                                        aria-label={`Tier ${index + 1} savings up to`}
+                                        type="number"
+                                        min="0"
+                                        value={tier.upTo}
+                                        onChange={(e) => handleTierChange(index, 'upTo', e.target.value)}
+                                        placeholder="Up to (blank = no limit)"
+                                        className="flex-1 px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                    <input
+                                        aria-label={`Tier ${index + 1} rate`}
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        value={tier.rate}
+                                        onChange={(e) => handleTierChange(index, 'rate', e.target.value)}
+                                        placeholder="Rate %"
+                                        className="w-28 px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        required
+                                    />
+                                    <span className="text-slate-500">%</span>
+                                    {formData.tiers.length > 1 && (
+                                        <button
+                                            type="button"
+                                            onClick={() => setFormData(prev => ({ ...prev, tiers: prev.tiers.filter((_, i) => i !== index) }))}
+                                            className="p-2 rounded-full hover:bg-red-100 transition-colors"
+                                        >
+                                            <Trash2 size={16} className="text-red-500" />
+                                        </button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                        <button
+                            type="button"
+                            onClick={() => setFormData(prev => ({ ...prev, tiers: [...prev.tiers, { upTo: '', rate: '' }] }))}
+                            className="mt-2 text-sm text-blue-600 font-semibold hover:underline"
+                        >
+                            + Add Tier
+                        </button>
+                    </div>
+                    <InputField label={`Commission Cap per Show (${getReportingCurrency(settings)}, optional)`} name="cap" type="number" min="0" step="0.01" value={formData.cap} onChange={handleChange} />
+                    <div className="flex justify-end gap-3 pt-4">
+                        <button type="button" onClick={onClose} className="py-2 px-4 bg-slate-200 text-slate-800 font-semibold rounded-lg hover:bg-slate-300 transition-colors">
+                            Cancel
+                        </button>
                         <button type="submit" className="py-2 px-4 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 transition-colors">
-                            {show ? 'Save Changes' : 'Add Show'}
+                            {isConfirmingCoverage ? 'Add Anyway' : 'Add Rate Card'}
                         </button>
                     </div>
                 </form>
@@ -389,14 +4142,150 @@ const ShowFormModal = ({ show, onClose, onSave }) => {
     );
 };
 
-const InputField = ({ label, ...props }) => (
+const InputField = ({ label, error, ...props }) => (
     <div>
         <label htmlFor={props.name} className="block text-sm font-medium text-slate-600 mb-1">{label}</label>
         <input
             id={props.name}
             {...props}
-            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-invalid={error ? true : undefined}
+            aria-describedby={error ? `${props.name}-error` : undefined}
+            className={`w-full px-3 py-2 border ${error ? 'border-red-500' : 'border-slate-300'} rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-slate-100 disabled:text-slate-500`}
         />
+        {error && <p id={`${props.name}-error`} className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+);
+
+const ExpenseItemsEditor = ({ expenses, expenseCategories, totals, showCurrency, reportingCurrency, onAdd, onChange, onRemove, onBlur, errorFor }) => (
+    <div>
+        <div className="flex justify-between items-center mb-1">
+            <p className="block text-sm font-medium text-slate-600">Expense Line Items</p>
+            <button type="button" onClick={onAdd} className="text-sm text-blue-600 font-semibold hover:underline">
+                + Add line item
+            </button>
+        </div>
+        {expenses.length === 0 ? (
+            <p className="text-sm text-slate-500">No line items. The lump-sum costs above are used instead.</p>
+        ) : (
+            <div className="space-y-3">
+                {expenses.map((item, index) => (
+                    <div key={item.id} className="p-3 border border-slate-200 rounded-lg bg-slate-50 space-y-2">
+                        <div className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto_auto] gap-2 items-center">
+                            <select
+                                aria-label={`Line item ${index + 1} category`}
+                                value={item.category}
+                                onChange={(e) => onChange(index, 'category', e.target.value)}
+                                className="px-3 py-2 border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                                {expenseCategories.map(category => (
+                                    <option key={category.id} value={category.id}>{category.label}</option>
+                                ))}
+                            </select>
+                            <input
+                                aria-label={`Line item ${index + 1} vendor`}
+                                value={item.vendor}
+                                onChange={(e) => onChange(index, 'vendor', e.target.value)}
+                                placeholder="Vendor"
+                                list="vendor-suggestions"
+                                autoComplete="off"
+                                className="px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                            <input
+                                aria-label={`Line item ${index + 1} date`}
+                                type="date"
+                                value={item.date || ''}
+                                onChange={(e) => onChange(index, 'date', e.target.value)}
+                                className="px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                            <button type="button" onClick={() => onRemove(index)} className="p-2 rounded-full hover:bg-red-100 transition-colors justify-self-end">
+                                <Trash2 size={16} className="text-red-500" />
+                            </button>
+                        </div>
+                        <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600">
+                            <select
+                                aria-label={`Line item ${index + 1} currency`}
+                                value={item.currency && item.currency !== showCurrency ? item.currency : ''}
+                                onChange={(e) => onChange(index, 'currency', e.target.value)}
+                                className="px-2 py-1 border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                                <option value="">{showCurrency}</option>
+                                {CURRENCIES.filter(c => c.code !== showCurrency).map(c => <option key={c.code} value={c.code}>{c.code}</option>)}
+                            </select>
+                            {item.currency && item.currency !== showCurrency && item.currency !== reportingCurrency && (
+                                <>
+                                    <span>at</span>
+                                    <LineItemNumber label={`Line item ${index + 1} exchange rate`} name={`expenses.${index}.exchangeRate`} value={item.exchangeRate} placeholder="Rate" onChange={(value) => onChange(index, 'exchangeRate', value)} onBlur={onBlur} errorFor={errorFor} />
+                                    <span>{reportingCurrency} per {item.currency}</span>
+                                </>
+                            )}
+                        </div>
+                        {item.category === 'room_block' ? (
+                            <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600">
+                                <LineItemNumber label={`Line item ${index + 1} rooms`} name={`expenses.${index}.rooms`} value={item.rooms} placeholder="Rooms" onChange={(value) => onChange(index, 'rooms', value)} onBlur={onBlur} errorFor={errorFor} />
+                                <span>rooms ×</span>
+                                <LineItemNumber label={`Line item ${index + 1} nights`} name={`expenses.${index}.nights`} value={item.nights} placeholder="Nights" onChange={(value) => onChange(index, 'nights', value)} onBlur={onBlur} errorFor={errorFor} />
+                                <span>nights × {item.currency || showCurrency}</span>
+                                <LineItemNumber label={`Line item ${index + 1} rate`} name={`expenses.${index}.rate`} value={item.rate} placeholder="Rate" onChange={(value) => onChange(index, 'rate', value)} onBlur={onBlur} errorFor={errorFor} />
+                                <span className="ml-auto font-semibold text-slate-800">
+                                    = {formatMoney(getExpenseAmount({ category: 'room_block', rooms: parseAmount(item.rooms) || 0, nights: parseAmount(item.nights) || 0, rate: parseAmount(item.rate) || 0 }), item.currency || showCurrency)}
+                                </span>
+                            </div>
+                        ) : (
+                            <div className="flex items-center gap-2 text-sm text-slate-600">
+                                <span>Amount {item.currency || showCurrency}</span>
+                                <LineItemNumber label={`Line item ${index + 1} amount`} name={`expenses.${index}.amount`} value={item.amount} placeholder="0.00" onChange={(value) => onChange(index, 'amount', value)} onBlur={onBlur} errorFor={errorFor} />
+                                {!getExpenseCategory(item.category, { expenseCategories }).countsTowardBudget && (
+                                    <span className="text-xs text-slate-500">Excluded from budget comparison</span>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                ))}
+                <p className="text-sm text-slate-600">
+                    Rooms {formatMoney(totals.room, showCurrency)} &middot; Meetings {formatMoney(totals.meeting, showCurrency)} &middot; Extras {formatMoney(totals.extra, showCurrency)}
+                    {totals.excluded > 0 && <> &middot; Excluded {formatMoney(totals.excluded, showCurrency)}</>}
+                </p>
+            </div>
+        )}
+    </div>
+);
+
+// The message shows as a tooltip; there's no room beside a line item for it.
+const LineItemNumber = ({ label, name, value, placeholder, onChange, onBlur, errorFor }) => {
+    const error = errorFor(name);
+    return (
+        <input
+            aria-label={label}
+            name={name}
+            inputMode="decimal"
+            value={value}
+            placeholder={placeholder}
+            onChange={(e) => onChange(e.target.value)}
+            onBlur={onBlur}
+            aria-invalid={error ? true : undefined}
+            title={error || undefined}
+            className={`w-24 px-2 py-1 border ${error ? 'border-red-500' : 'border-slate-300'} rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500`}
+        />
+    );
+};
+
+const OverrideToggle = ({ name, checked, onChange }) => (
+    <label className="mt-1 flex items-center gap-2 text-xs text-slate-500">
+        <input type="checkbox" name={name} checked={checked} onChange={onChange} />
+        Override the count from dates
+    </label>
+);
+
+const SelectField = ({ label, children, ...props }) => (
+    <div>
+        <label htmlFor={props.name} className="block text-sm font-medium text-slate-600 mb-1">{label}</label>
+        <select
+            id={props.name}
+            {...props}
+            className="w-full px-3 py-2 border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+            {children}
+        </select>
     </div>
 );
 
@@ -421,14 +4310,26 @@ const LoadingSpinner = () => (
     </div>
 );
 
-const ErrorMessage = ({ message, onDismiss }) => (
+// `actions` are the ways out of the problem, as [{ label, onClick }].
+const ErrorMessage = ({ message, actions = [], onDismiss }) => (
     <div className="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 mb-6 rounded-md flex justify-between items-center" role="alert">
         <div>
             <p className="font-bold">Error</p>
             <p>{message}</p>
+            {actions.length > 0 && (
+                <div className="flex flex-wrap gap-3 mt-2">
+                    {actions.map(action => (
+                        <button key={action.label} onClick={action.onClick} className="text-sm font-semibold underline hover:text-red-900">
+                            {action.label}
+                        </button>
+                    ))}
+                </div>
+            )}
         </div>
-        <button onClick={onDismiss} className="p-1 rounded-full hover:bg-red-200">
-            <X size={20} />
-        </button>
+        {onDismiss && (
+            <button onClick={onDismiss} className="p-1 rounded-full hover:bg-red-200">
+                <X size={20} />
+            </button>
+        )}
     </div>
 );
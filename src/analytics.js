@@ -0,0 +1,137 @@
+import { addDays, getShowDate, toISODate } from './showDates';
+import { isWithinPeriod } from './salespeople';
+import { getExpenses } from './expenses';
+
+// --- Analytics ---
+// Series and comparisons behind the analytics page. Shows are placed in a
+// period by their start date, the same rule commission statements use.
+// Chart ranges are { from, to }; fiscal periods are { start, end, label }.
+// Quarters and years follow the fiscal year set in Settings
+// (`fiscalYearStartMonth`, 1 = calendar year).
+
+export const DEFAULT_FISCAL_YEAR_START_MONTH = 1;
+
+const MONTH_LABEL = new Intl.DateTimeFormat('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' });
+
+const firstOfMonth = (year, monthIndex) => toISODate(new Date(Date.UTC(year, monthIndex, 1)));
+
+const addMonths = (value, months) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    return firstOfMonth(date.getUTCFullYear(), date.getUTCMonth() + months);
+};
+
+export const getFiscalYearStartMonth = (settings) => settings.fiscalYearStartMonth || DEFAULT_FISCAL_YEAR_START_MONTH;
+
+// The quarter or year containing `date`, as { start, end, label }. Fiscal
+// years that don't start in January are named after the year they end in.
+export const getPeriod = (date, kind, fiscalYearStartMonth = DEFAULT_FISCAL_YEAR_START_MONTH) => {
+    const year = Number(date.slice(0, 4));
+    const month = Number(date.slice(5, 7));
+    const monthsIn = (month - fiscalYearStartMonth + 12) % 12;
+    const yearStart = firstOfMonth(month >= fiscalYearStartMonth ? year : year - 1, fiscalYearStartMonth - 1);
+    const fiscalYear = fiscalYearStartMonth === 1 ? String(year) : `FY${Number(addMonths(yearStart, 11).slice(0, 4))}`;
+    if (kind === 'year') {
+        return { start: yearStart, end: addDays(addMonths(yearStart, 12), -1), label: fiscalYear };
+    }
+    const quarter = Math.floor(monthsIn / 3) + 1;
+    const start = addMonths(yearStart, (quarter - 1) * 3);
+    return { start, end: addDays(addMonths(start, 3), -1), label: `Q${quarter} ${fiscalYear}` };
+};
+
+// The period `offset` quarters or years away from `period`.
+export const shiftPeriod = (period, kind, offset, fiscalYearStartMonth) =>
+    getPeriod(addMonths(period.start, offset * (kind === 'year' ? 12 : 3)), kind, fiscalYearStartMonth);
+
+export const savingsRate = (savings, budget) => (budget > 0 ? (savings / budget) * 100 : null);
+
+export const summarizePeriod = (shows, period, calculateMetrics) => {
+    const summary = shows
+        .filter(show => isWithinPeriod(show, { from: period.start, to: period.end }))
+        .reduce((acc, show) => {
+            const metrics = calculateMetrics(show);
+            acc.showCount += 1;
+            acc.savings += metrics.savings;
+            acc.commission += metrics.commission;
+            acc.budget += metrics.totalBudget;
+            acc.spend += metrics.actualSpend;
+            return acc;
+        }, { showCount: 0, savings: 0, commission: 0, budget: 0, spend: 0 });
+    return { ...period, ...summary, savingsRate: savingsRate(summary.savings, summary.budget) };
+};
+
+// against: 'previous' compares with the period just before, 'year' with the
+// same period a year earlier.
+export const comparePeriods = (shows, { kind, anchor, against }, calculateMetrics, fiscalYearStartMonth) => {
+    const current = getPeriod(anchor, kind, fiscalYearStartMonth);
+    const offset = against === 'year' ? (kind === 'year' ? -1 : -4) : -1;
+    const previous = shiftPeriod(current, kind, offset, fiscalYearStartMonth);
+    return {
+        current: summarizePeriod(shows, current, calculateMetrics),
+        previous: summarizePeriod(shows, previous, calculateMetrics)
+    };
+};
+
+export const percentChange = (current, previous) => {
+    if (previous === 0) return null;
+    return ((current - previous) / Math.abs(previous)) * 100;
+};
+
+// One entry per calendar month from `from` to `to`, empty months included so
+// the charts keep an even time axis.
+export const buildMonthlySeries = (shows, { from, to }, calculateMetrics) => {
+    const months = [];
+    for (let month = `${from.slice(0, 7)}-01`; month <= to; month = addMonths(month, 1)) {
+        months.push({
+            key: month.slice(0, 7),
+            label: MONTH_LABEL.format(new Date(`${month}T00:00:00Z`)),
+            showCount: 0, savings: 0, commission: 0, budget: 0, spend: 0
+        });
+    }
+    const byKey = new Map(months.map(entry => [entry.key, entry]));
+    shows.filter(show => isWithinPeriod(show, { from, to })).forEach(show => {
+        const entry = byKey.get(getShowDate(show).slice(0, 7));
+        const metrics = calculateMetrics(show);
+        entry.showCount += 1;
+        entry.savings += metrics.savings;
+        entry.commission += metrics.commission;
+        entry.budget += metrics.totalBudget;
+        entry.spend += metrics.actualSpend;
+    });
+    return months.map(entry => ({ ...entry, savingsRate: savingsRate(entry.savings, entry.budget) }));
+};
+
+export const buildBudgetVsActual = (shows, range, calculateMetrics) => shows
+    .filter(show => isWithinPeriod(show, range))
+    .map(show => {
+        const metrics = calculateMetrics(show);
+        return { show, date: getShowDate(show), budget: metrics.totalBudget, spend: metrics.actualSpend };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+// Rooms × nights, from the room blocks itemized on the show or else from the
+// quoted block. Zero for a show with neither, which has no room count.
+const getRoomNights = (show) => {
+    const blocks = getExpenses(show).filter(item => item.category === 'room_block');
+    if (blocks.length > 0) return blocks.reduce((sum, item) => sum + (item.rooms || 0) * (item.nights || 0), 0);
+    return (show.forecast?.roomBlock || 0) * (show.nights || 0);
+};
+
+// Average room cost per room-night, by destination. Shows without a room
+// count have nothing to average and are left out.
+export const rankDestinationsByRoomNightCost = (shows, range, calculateMetrics) => {
+    const destinations = new Map();
+    shows
+        .filter(show => getRoomNights(show) > 0 && isWithinPeriod(show, range))
+        .forEach(show => {
+            const name = (show.destination || '').trim();
+            const key = name.toLowerCase();
+            if (!destinations.has(key)) destinations.set(key, { destination: name, showCount: 0, roomNights: 0, roomCost: 0 });
+            const entry = destinations.get(key);
+            entry.showCount += 1;
+            entry.roomNights += getRoomNights(show);
+            entry.roomCost += calculateMetrics(show).actualRoomCost;
+        });
+    return [...destinations.values()]
+        .map(entry => ({ ...entry, averageCost: entry.roomCost / entry.roomNights }))
+        .sort((a, b) => a.averageCost - b.averageCost);
+};
@@ -0,0 +1,39 @@
+import { buildMonthlySeries, comparePeriods, getPeriod, rankDestinationsByRoomNightCost } from './analytics';
+
+const show = (id, destination, checkIn, nights, savings, roomCost = 0) => ({ id, destination, checkIn, nights, savings, roomCost });
+const calculateMetrics = (s) => ({ savings: s.savings, commission: s.savings * 0.2, totalBudget: 1000, actualSpend: 1000 - s.savings, actualRoomCost: s.roomCost });
+
+test('finds calendar and fiscal quarters and years', () => {
+    expect(getPeriod('2025-05-14', 'quarter')).toEqual({ start: '2025-04-01', end: '2025-06-30', label: 'Q2 2025' });
+    expect(getPeriod('2025-05-14', 'quarter', 7)).toEqual({ start: '2025-04-01', end: '2025-06-30', label: 'Q4 FY2025' });
+    expect(getPeriod('2025-08-02', 'year', 7)).toEqual({ start: '2025-07-01', end: '2026-06-30', label: 'FY2026' });
+});
+
+test('compares a quarter with the previous one and with the same quarter last year', () => {
+    const shows = [
+        show('1', 'Boston', '2025-05-01', 2, 300),
+        show('2', 'Denver', '2025-02-01', 2, 100),
+        show('3', 'Austin', '2024-04-15', 2, 200)
+    ];
+    const previous = comparePeriods(shows, { kind: 'quarter', against: 'previous', anchor: '2025-05-14' }, calculateMetrics);
+    expect(previous.current.savings).toBe(300);
+    expect(previous.previous).toMatchObject({ label: 'Q1 2025', savings: 100, savingsRate: 10 });
+
+    const lastYear = comparePeriods(shows, { kind: 'quarter', against: 'year', anchor: '2025-05-14' }, calculateMetrics);
+    expect(lastYear.previous).toMatchObject({ label: 'Q2 2024', savings: 200 });
+});
+
+test('builds an even monthly series and ranks destinations by room-night cost', () => {
+    const shows = [
+        { ...show('1', 'Boston', '2025-01-10', 2, 100, 400), forecast: { roomBlock: 2 } },
+        { ...show('2', 'boston', '2025-03-10', 2, 50, 200), expenses: [{ category: 'room_block', rooms: 1, nights: 2, rate: 100 }] },
+        { ...show('3', 'Denver', '2025-03-20', 4, 20, 400), forecast: { roomBlock: 10 } }
+    ];
+    const series = buildMonthlySeries(shows, { from: '2025-01-01', to: '2025-03-31' }, calculateMetrics);
+    expect(series.map(m => [m.key, m.showCount, m.savings])).toEqual([['2025-01', 1, 100], ['2025-02', 0, 0], ['2025-03', 2, 70]]);
+    expect(series[1].savingsRate).toBeNull();
+
+    // Shows without a room count are left out of the ranking.
+    const ranked = rankDestinationsByRoomNightCost([...shows, show('4', 'Austin', '2025-04-01', 3, 10, 900)], { from: '2025-01-01', to: '2025-12-31' }, calculateMetrics);
+    expect(ranked.map(d => [d.destination, d.roomNights, d.averageCost])).toEqual([['Denver', 40, 10], ['Boston', 6, 100]]);
+});
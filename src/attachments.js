@@ -0,0 +1,186 @@
+// --- Attachments ---
+// Contracts, folios, invoices and receipts. A show lists what's attached to it:
+//   attachments: [{ id, name, type, size, expenseId, addedAt, addedBy }]
+// `expenseId` is set when the file belongs to one line item rather than the
+// show as a whole. The files themselves are far too big for localStorage, so
+// they live in IndexedDB under the attachment's id. They stay on the device
+// they were added on; cloud sync carries the list only, and backups carry
+// both.
+
+export const ACCEPTED_FILE_TYPES = 'application/pdf,image/*';
+export const MAX_FILE_SIZE = 20 * 1024 * 1024;
+
+export const getAttachments = (show) => show.attachments || [];
+
+export const isImage = (attachment) => (attachment.type || '').startsWith('image/');
+export const isPdf = (attachment) => attachment.type === 'application/pdf';
+
+export const describeFileSize = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+};
+
+// Describes files picked by the user, or throws if any of them can't be
+// attached. Nothing is attached unless all of them can be.
+export const createAttachments = (files, { expenseId = null, by = null, at = new Date().toISOString() } = {}) => {
+    files.forEach(file => {
+        if (!isImage(file) && !isPdf(file)) throw new Error(`${file.name} is not a PDF or an image.`);
+        if (file.size > MAX_FILE_SIZE) throw new Error(`${file.name} is larger than ${describeFileSize(MAX_FILE_SIZE)}.`);
+    });
+    return files.map(file => ({
+        id: crypto.randomUUID(),
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        expenseId,
+        addedAt: at,
+        addedBy: by
+    }));
+};
+
+export const addAttachments = (show, attachments, { by = null, at = new Date().toISOString() } = {}) => ({
+    ...show,
+    attachments: [...getAttachments(show), ...attachments],
+    updatedAt: at,
+    updatedBy: by
+});
+
+export const removeAttachment = (show, attachmentId, { by = null, at = new Date().toISOString() } = {}) => ({
+    ...show,
+    attachments: getAttachments(show).filter(a => a.id !== attachmentId),
+    updatedAt: at,
+    updatedBy: by
+});
+
+// Files for the show as a whole, and for each of its line items. A file whose
+// line item has since been removed is listed with the show's own.
+export const groupAttachments = (show) => {
+    const expenseIds = new Set((show.expenses || []).map(item => item.id));
+    const byExpense = new Map();
+    const general = [];
+    getAttachments(show).forEach(attachment => {
+        if (attachment.expenseId && expenseIds.has(attachment.expenseId)) {
+            byExpense.set(attachment.expenseId, [...(byExpense.get(attachment.expenseId) || []), attachment]);
+        } else {
+            general.push(attachment);
+        }
+    });
+    return { general, byExpense };
+};
+
+// --- File Store ---
+const DB_NAME = 'roadshow-savings-files';
+const STORE_NAME = 'files';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// A small promise-based store over IndexedDB: get, put and delete a Blob by
+// id, and list the ids stored. The database is opened on first use.
+export const createFileStore = (factory = window.indexedDB) => {
+    let opening = null;
+    const open = () => {
+        if (!factory) return Promise.reject(new Error('This browser cannot store attached files.'));
+        if (!opening) {
+            const request = factory.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+            opening = promisify(request);
+        }
+        return opening;
+    };
+    const run = async (mode, action) => {
+        const db = await open();
+        return promisify(action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+    };
+    return {
+        isAvailable: Boolean(factory),
+        get: (id) => run('readonly', store => store.get(id)),
+        put: (id, blob) => run('readwrite', store => store.put(blob, id)),
+        delete: (id) => run('readwrite', store => store.delete(id)),
+        keys: () => run('readonly', store => store.getAllKeys())
+    };
+};
+
+// --- Clearing Out Removed Files ---
+// A file taken off a show, or whose show went, stays stored for the rest of
+// the session so undo can put it back. Its id is noted here and the file is
+// deleted at the next start if nothing lists it by then. Files nobody noted
+// are never touched, so data that failed to load can't take its files with it.
+export const REMOVED_FILES_KEY = 'roadshow-savings-removed-files';
+
+const readRemovedFiles = (storage) => {
+    try {
+        return JSON.parse(storage.getItem(REMOVED_FILES_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const listedFileIds = (shows) => new Set(shows.flatMap(show => getAttachments(show).map(a => a.id)));
+
+// Notes the files `previous` lists that `next` no longer does.
+export const noteRemovedFiles = (previous, next, storage = localStorage) => {
+    const listed = listedFileIds(next);
+    const removed = [...listedFileIds(previous)].filter(id => !listed.has(id));
+    if (removed.length === 0) return;
+    try {
+        storage.setItem(REMOVED_FILES_KEY, JSON.stringify([...new Set([...readRemovedFiles(storage), ...removed])]));
+    } catch (error) {
+        console.error("Error noting removed files", error);
+    }
+};
+
+// Deletes the noted files no show lists again. Run at startup, after the
+// session's undo steps are gone.
+export const pruneFiles = async (store, shows, storage = localStorage) => {
+    const listed = listedFileIds(shows);
+    const noted = readRemovedFiles(storage);
+    const removed = noted.filter(id => !listed.has(id));
+    await Promise.all(removed.map(id => store.delete(id)));
+    // Anything noted while the files were being deleted waits for next time.
+    const later = readRemovedFiles(storage).filter(id => !noted.includes(id));
+    if (later.length > 0) storage.setItem(REMOVED_FILES_KEY, JSON.stringify(later));
+    else storage.removeItem(REMOVED_FILES_KEY);
+    return removed.length;
+};
+
+// --- Backups ---
+// Files go into a backup as data URLs: [{ id, dataUrl }].
+const toDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+const fromDataUrl = (dataUrl) => {
+    const [header, encoded] = dataUrl.split(',');
+    const type = header.slice('data:'.length).split(';')[0];
+    const binary = atob(encoded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type });
+};
+
+// The stored files for every attachment on `shows`. Returns the ids of any
+// that aren't on this device so the caller can say so.
+export const collectFiles = async (store, shows) => {
+    const files = [];
+    const missing = [];
+    for (const attachment of shows.flatMap(getAttachments)) {
+        const blob = await store.get(attachment.id);
+        if (blob) files.push({ id: attachment.id, dataUrl: await toDataUrl(blob) });
+        else missing.push(attachment.id);
+    }
+    return { files, missing };
+};
+
+export const restoreFiles = async (store, files) => {
+    for (const file of files) {
+        await store.put(file.id, fromDataUrl(file.dataUrl));
+    }
+    return files.length;
+};
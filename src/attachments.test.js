@@ -0,0 +1,78 @@
+import { addAttachments, collectFiles, createAttachments, groupAttachments, noteRemovedFiles, pruneFiles, restoreFiles } from './attachments';
+import { STORAGE_KEY, createBackup, loadData, parseBackup } from './storage';
+import { recordChanges, restoreVersion } from './history';
+
+// Stands in for IndexedDB.
+const createMemoryStore = (entries = []) => {
+    const files = new Map(entries);
+    return {
+        isAvailable: true,
+        get: async (id) => files.get(id),
+        put: async (id, blob) => { files.set(id, blob); },
+        delete: async (id) => { files.delete(id); },
+        keys: async () => [...files.keys()]
+    };
+};
+
+const boston = {
+    id: 's1', destination: 'Boston', nights: 3,
+    expenses: [{ id: 'e1', category: 'room_block', vendor: 'Harbor Hotel' }]
+};
+const pdf = (name, size = 100) => ({ name, type: 'application/pdf', size });
+
+test('attaches PDFs and images to the show or one of its line items', () => {
+    const [contract] = createAttachments([pdf('contract.pdf')], { by: 'Dana', at: '2025-07-01' });
+    const [folio] = createAttachments([{ name: 'folio.png', type: 'image/png', size: 10 }], { expenseId: 'e1' });
+    const [stray] = createAttachments([pdf('old.pdf')], { expenseId: 'removed-item' });
+    const show = addAttachments(boston, [contract, folio, stray]);
+
+    expect(contract).toMatchObject({ name: 'contract.pdf', expenseId: null, addedBy: 'Dana', addedAt: '2025-07-01' });
+    const { general, byExpense } = groupAttachments(show);
+    expect(general.map(a => a.name)).toEqual(['contract.pdf', 'old.pdf']);
+    expect(byExpense.get('e1').map(a => a.name)).toEqual(['folio.png']);
+    expect(() => createAttachments([pdf('a.pdf'), { name: 'notes.docx', type: 'application/msword', size: 10 }])).toThrow(/not a PDF or an image/);
+    expect(() => createAttachments([pdf('huge.pdf', 50 * 1024 * 1024)])).toThrow(/larger than/);
+});
+
+test('carries the files through a backup and back into the store', async () => {
+    const [contract, missing] = createAttachments([pdf('contract.pdf'), pdf('folio.pdf')]);
+    const show = addAttachments(boston, [contract, missing]);
+    const source = createMemoryStore([[contract.id, new Blob(['%PDF-1.4 contract'], { type: 'application/pdf' })]]);
+
+    const { files, missing: missingIds } = await collectFiles(source, [show]);
+    expect(missingIds).toEqual([missing.id]);
+
+    const backup = parseBackup(createBackup({ shows: [show] }, files));
+    const target = createMemoryStore();
+    expect(await restoreFiles(target, backup.files)).toBe(1);
+    expect((await collectFiles(target, [show])).files).toEqual(files);
+    expect((await target.get(contract.id)).type).toBe('application/pdf');
+});
+
+test('clears out files removed from a show and keeps attachments when an old version is restored', async () => {
+    const [kept, removed, unlisted] = createAttachments([pdf('kept.pdf'), pdf('removed.pdf'), pdf('unlisted.pdf')]);
+    const store = createMemoryStore([[kept.id, new Blob(['a'])], [removed.id, new Blob(['b'])], [unlisted.id, new Blob(['c'])]]);
+    noteRemovedFiles([addAttachments(boston, [kept, removed])], [addAttachments(boston, [kept])]);
+    expect(await pruneFiles(store, [addAttachments(boston, [kept])])).toBe(1);
+    expect(await store.keys()).toEqual([kept.id, unlisted.id]);
+
+    const edited = { ...boston, nights: 4 };
+    const { entries } = recordChanges([boston], [edited], { at: '2025-07-01' });
+    const withFile = addAttachments(edited, [kept]);
+    const { entries: later } = recordChanges([edited], [withFile], { at: '2025-07-02' });
+    const restored = restoreVersion(withFile, [...entries, ...later], entries[0].id);
+    expect(restored.nights).toBe(4);
+    expect(restored.attachments).toEqual([kept]);
+});
+
+test('keeps every file when the saved shows could not be read', async () => {
+    const [contract] = createAttachments([pdf('contract.pdf')]);
+    const store = createMemoryStore([[contract.id, new Blob(['a'])]]);
+    localStorage.setItem(STORAGE_KEY, '{"broken');
+    const { data, notices } = loadData(localStorage);
+    expect(data.shows).toEqual([]);
+    expect(notices).toHaveLength(1);
+
+    expect(await pruneFiles(store, data.shows)).toBe(0);
+    expect(await store.keys()).toEqual([contract.id]);
+});
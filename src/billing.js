@@ -0,0 +1,114 @@
+import { toReportingCurrency } from './currency';
+
+// --- Client Billing & Hotel Rebates ---
+// Many roadshows are billed back to a client or sponsor at a negotiated
+// amount, and hotels often pay a rebate on the room block. A show may carry:
+//   clientId
+//   billing: { amount, invoiceNumber, invoicedOn, paidOn }
+//   rebate:  { percent, amount, receivedOn }
+// Amounts are in the show's currency. A rebate is either a percentage of the
+// room cost or a fixed amount. Clients are kept in settings as
+//   clients: [{ id, name, active }]
+
+export const getClients = (settings) => settings.clients || [];
+
+export const getClientName = (clientId, settings) => getClients(settings).find(c => c.id === clientId)?.name || 'Unknown client';
+
+export const getBilling = (show) => show.billing || null;
+
+export const isBilled = (show) => getBilling(show)?.amount > 0;
+
+export const INVOICE_STATUSES = [
+    { id: 'not-invoiced', label: 'Not invoiced' },
+    { id: 'outstanding', label: 'Invoiced, not paid' },
+    { id: 'paid', label: 'Paid' }
+];
+
+// Null for a show that isn't billed.
+export const getInvoiceStatus = (show) => {
+    if (!isBilled(show)) return null;
+    const { invoicedOn, paidOn } = getBilling(show);
+    if (paidOn) return 'paid';
+    return invoicedOn ? 'outstanding' : 'not-invoiced';
+};
+
+export const getInvoiceStatusLabel = (status) => INVOICE_STATUSES.find(s => s.id === status)?.label || 'Not billed';
+
+// In the show's currency; a percentage applies to the room cost.
+export const getRebateAmount = (show, roomCost) => {
+    const rebate = show.rebate;
+    if (!rebate) return 0;
+    if (rebate.amount > 0) return rebate.amount;
+    if (rebate.percent > 0) return roomCost * rebate.percent / 100;
+    return 0;
+};
+
+// Savings and cost after the hotel's rebate, and the gross margin on what
+// the client is billed, all in the reporting currency. `roomCost` is in the
+// show's currency. The margin is null for a show that isn't billed.
+export const calculateBillingMetrics = (show, { roomCost, actualSpend, savings }) => {
+    const rebate = toReportingCurrency(getRebateAmount(show, roomCost), show);
+    const netCost = actualSpend - rebate;
+    const billed = isBilled(show);
+    const billableAmount = billed ? toReportingCurrency(getBilling(show).amount, show) : 0;
+    const grossMargin = billed ? billableAmount - netCost : null;
+    return {
+        rebate,
+        rebateReceived: rebate > 0 && Boolean(show.rebate.receivedOn),
+        netCost,
+        netSavings: savings + rebate,
+        billableAmount,
+        grossMargin,
+        grossMarginPercent: billed ? (grossMargin / billableAmount) * 100 : null
+    };
+};
+
+// --- Client Rollup ---
+// One row per client: what they were billed, what their shows cost after
+// rebates, the margin, and what's still owed either way. Every listed client
+// gets a row; shows billed to a client since removed get one of their own.
+const emptyRow = (client) => ({
+    client,
+    shows: [],
+    revenue: 0,
+    cost: 0,
+    margin: 0,
+    marginPercent: null,
+    outstanding: 0,
+    notInvoiced: 0,
+    rebatesDue: 0,
+    outstandingInvoices: []
+});
+
+const ROLLUP_TOTALS = ['revenue', 'cost', 'margin', 'outstanding', 'notInvoiced', 'rebatesDue'];
+
+export const buildClientRollup = (shows, calculateMetrics, settings) => {
+    const rows = new Map(getClients(settings).map(client => [client.id, emptyRow(client)]));
+    shows.filter(show => show.clientId).forEach(show => {
+        if (!rows.has(show.clientId)) rows.set(show.clientId, emptyRow({ id: show.clientId, name: 'Unknown client' }));
+        const row = rows.get(show.clientId);
+        const metrics = calculateMetrics(show);
+        row.shows.push(show);
+        row.revenue += metrics.billableAmount;
+        row.cost += metrics.netCost;
+        if (metrics.rebate > 0 && !metrics.rebateReceived) row.rebatesDue += metrics.rebate;
+        const status = getInvoiceStatus(show);
+        if (status === 'not-invoiced') row.notInvoiced += metrics.billableAmount;
+        if (status === 'outstanding') {
+            const { invoiceNumber, invoicedOn } = getBilling(show);
+            row.outstanding += metrics.billableAmount;
+            row.outstandingInvoices.push({ show, invoiceNumber: invoiceNumber || '', invoicedOn, amount: metrics.billableAmount });
+        }
+    });
+    const list = [...rows.values()].map(row => ({
+        ...row,
+        margin: row.revenue - row.cost,
+        marginPercent: row.revenue > 0 ? ((row.revenue - row.cost) / row.revenue) * 100 : null,
+        outstandingInvoices: row.outstandingInvoices.sort((a, b) => a.invoicedOn.localeCompare(b.invoicedOn))
+    }));
+    const totals = Object.fromEntries(ROLLUP_TOTALS.map(field => [field, list.reduce((sum, row) => sum + row[field], 0)]));
+    return {
+        rows: list.sort((a, b) => b.revenue - a.revenue || a.client.name.localeCompare(b.client.name)),
+        totals: { ...totals, marginPercent: totals.revenue > 0 ? (totals.margin / totals.revenue) * 100 : null }
+    };
+};
@@ -0,0 +1,49 @@
+import { buildClientRollup, getInvoiceStatus } from './billing';
+import { calculateMetrics } from './metrics';
+import { DEFAULT_SETTINGS } from './rateCards';
+
+// Default rate card: $100 a night, $100 a meeting day.
+const settings = { ...DEFAULT_SETTINGS, clients: [{ id: 'acme', name: 'Acme' }, { id: 'globex', name: 'Globex' }] };
+const calculate = (show) => calculateMetrics(show, settings);
+const boston = {
+    id: 'b1', destination: 'Boston', checkIn: '2025-07-01', nights: 10, meetingDays: 2,
+    actualRoomCost: 800, actualMeetingCost: 200, clientId: 'acme'
+};
+
+test('takes the hotel rebate off the cost and measures the margin on what the client is billed', () => {
+    const metrics = calculate({ ...boston, billing: { amount: 1500 }, rebate: { percent: 10 } });
+    expect(metrics.savings).toBe(200);
+    expect(metrics.rebate).toBe(80);
+    expect(metrics.netCost).toBe(920);
+    expect(metrics.netSavings).toBe(280);
+    expect(metrics.grossMargin).toBe(580);
+    expect(metrics.grossMarginPercent).toBeCloseTo(38.67);
+
+    // A fixed rebate in a foreign currency is converted like any cost.
+    const cad = calculate({ ...boston, currency: 'CAD', exchangeRate: 0.5, rebate: { amount: 100 } });
+    expect(cad.rebate).toBe(50);
+    expect(cad.grossMargin).toBeNull();
+});
+
+test('tracks each invoice from sent to paid', () => {
+    expect(getInvoiceStatus(boston)).toBeNull();
+    expect(getInvoiceStatus({ ...boston, billing: { amount: 1500, invoicedOn: null } })).toBe('not-invoiced');
+    expect(getInvoiceStatus({ ...boston, billing: { amount: 1500, invoicedOn: '2025-07-10' } })).toBe('outstanding');
+    expect(getInvoiceStatus({ ...boston, billing: { amount: 1500, invoicedOn: '2025-07-10', paidOn: '2025-08-01' } })).toBe('paid');
+});
+
+test('rolls up revenue, cost, margin and what is still owed for each client', () => {
+    const shows = [
+        { ...boston, billing: { amount: 1500, invoiceNumber: 'INV-7', invoicedOn: '2025-07-10' }, rebate: { amount: 50 } },
+        { ...boston, id: 'b2', destination: 'Austin', billing: { amount: 1200 } },
+        { ...boston, id: 'b3', destination: 'Denver', clientId: 'gone', billing: { amount: 900, invoicedOn: '2025-06-01', paidOn: '2025-06-20' } },
+        { ...boston, id: 'b4', destination: 'Dallas', clientId: null }
+    ];
+    const { rows, totals } = buildClientRollup(shows, calculate, settings);
+
+    expect(rows.map(row => [row.client.name, row.shows.length])).toEqual([['Acme', 2], ['Unknown client', 1], ['Globex', 0]]);
+    const [acme] = rows;
+    expect(acme).toMatchObject({ revenue: 2700, cost: 1950, margin: 750, outstanding: 1500, notInvoiced: 1200, rebatesDue: 50 });
+    expect(acme.outstandingInvoices.map(invoice => [invoice.invoiceNumber, invoice.amount])).toEqual([['INV-7', 1500]]);
+    expect(totals).toMatchObject({ revenue: 3600, cost: 2950, outstanding: 1500 });
+});
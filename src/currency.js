@@ -0,0 +1,87 @@
+// --- Currencies & Exchange Rates ---
+// Budgets, rate cards and every total are in the reporting currency. A show
+// can be entered in another currency, and so can each of its line items; the
+// exchange rate is captured when the figure is entered, so later rate
+// changes never move a closed show's numbers.
+//
+// An exchange rate is the value of one unit of the currency in the reporting
+// currency (e.g. CAD → USD 0.73). Rates come from a table kept in Settings,
+// filled in by hand or imported from a file. Nothing is fetched live.
+
+export const DEFAULT_REPORTING_CURRENCY = 'USD';
+
+export const CURRENCIES = [
+    { code: 'USD', label: 'US Dollar' },
+    { code: 'CAD', label: 'Canadian Dollar' },
+    { code: 'GBP', label: 'British Pound' },
+    { code: 'EUR', label: 'Euro' }
+];
+
+export const getReportingCurrency = (settings) => settings.reportingCurrency || DEFAULT_REPORTING_CURRENCY;
+
+export const getShowCurrency = (show, settings) => show.currency || getReportingCurrency(settings);
+
+export const getShowExchangeRate = (show) => show.exchangeRate || 1;
+
+// Line items without a currency of their own are in the show's currency.
+// Returns the factor that converts the item's amount into the show's currency.
+export const getItemToShowRate = (item, show) => {
+    if (!item.currency || item.currency === show.currency) return 1;
+    return (item.exchangeRate || 1) / getShowExchangeRate(show);
+};
+
+export const toReportingCurrency = (amount, show) => amount * getShowExchangeRate(show);
+
+// The most recent rate on or before `date`, or the earliest one if every
+// rate is newer. Null when the table has no rate for the currency.
+export const findExchangeRate = (settings, currency, date) => {
+    if (currency === getReportingCurrency(settings)) return 1;
+    const rates = (settings.exchangeRates || [])
+        .filter(entry => entry.currency === currency)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    if (rates.length === 0) return null;
+    const onOrBefore = rates.filter(entry => !date || entry.date <= date);
+    return (onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : rates[0]).rate;
+};
+
+const formatters = new Map();
+
+export const formatMoney = (amount, currency = DEFAULT_REPORTING_CURRENCY) => {
+    if (!formatters.has(currency)) {
+        formatters.set(currency, new Intl.NumberFormat(undefined, { style: 'currency', currency }));
+    }
+    return formatters.get(currency).format(amount || 0);
+};
+
+// Rows from an imported rate file: a header row naming Currency, Rate and
+// Date columns, then one rate per row. Invalid rows are reported, not dropped
+// silently.
+export const parseExchangeRateRows = (headers, rows, reportingCurrency) => {
+    const column = (name) => headers.findIndex(h => String(h).trim().toLowerCase() === name);
+    const [currencyCol, rateCol, dateCol] = [column('currency'), column('rate'), column('date')];
+    if (currencyCol < 0 || rateCol < 0 || dateCol < 0) {
+        return { rates: [], errors: ['The file needs Currency, Rate and Date columns.'] };
+    }
+    const rates = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+        const currency = String(row[currencyCol]).trim().toUpperCase();
+        const rate = Number(row[rateCol]);
+        const date = row[dateCol] instanceof Date ? row[dateCol].toISOString().slice(0, 10) : String(row[dateCol]).trim();
+        if (!/^[A-Z]{3}$/.test(currency) || currency === reportingCurrency || !(rate > 0) || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            errors.push(`Row ${index + 2} was skipped.`);
+            return;
+        }
+        rates.push({ currency, rate, date, source: 'import' });
+    });
+    return { rates, errors };
+};
+
+// Imported or newly entered rates replace any existing rate for the same
+// currency and date.
+export const mergeExchangeRates = (existing, incoming) => {
+    const key = (entry) => `${entry.currency}|${entry.date}`;
+    const merged = new Map((existing || []).map(entry => [key(entry), entry]));
+    incoming.forEach(entry => merged.set(key(entry), { ...entry, id: merged.get(key(entry))?.id || crypto.randomUUID() }));
+    return [...merged.values()].sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date));
+};
@@ -0,0 +1,53 @@
+import { findExchangeRate, formatMoney, parseExchangeRateRows } from './currency';
+import { calculateMetrics } from './metrics';
+import { DEFAULT_SETTINGS } from './rateCards';
+
+const settings = {
+    ...DEFAULT_SETTINGS,
+    exchangeRates: [
+        { id: '1', currency: 'CAD', rate: 0.75, date: '2025-01-01' },
+        { id: '2', currency: 'CAD', rate: 0.72, date: '2025-06-01' }
+    ]
+};
+
+test('converts show and line item currencies into the reporting currency', () => {
+    const show = {
+        createdAt: '2025-03-01T00:00:00.000Z',
+        nights: 10,
+        meetingDays: 0,
+        currency: 'CAD',
+        exchangeRate: 0.75,
+        expenses: [
+            { id: '1', category: 'room_block', rooms: 1, nights: 10, rate: 100 },
+            { id: '2', category: 'parking', amount: 50, currency: 'USD', exchangeRate: 1 }
+        ]
+    };
+    const metrics = calculateMetrics(show, settings);
+    expect(metrics.actualRoomCost).toBeCloseTo(750);
+    expect(metrics.extraCost).toBeCloseTo(50);
+    expect(metrics.savings).toBeCloseTo(1000 - 800);
+});
+
+test('looks up the rate in effect on a date', () => {
+    expect(findExchangeRate(settings, 'CAD', '2025-03-15')).toBe(0.75);
+    expect(findExchangeRate(settings, 'CAD', '2025-07-01')).toBe(0.72);
+    expect(findExchangeRate(settings, 'CAD', '2024-01-01')).toBe(0.75);
+    expect(findExchangeRate(settings, 'USD', '2025-01-01')).toBe(1);
+    expect(findExchangeRate(settings, 'GBP', '2025-01-01')).toBeNull();
+});
+
+test('reads a rate file and reports rows it skips', () => {
+    const { rates, errors } = parseExchangeRateRows(
+        ['Currency', 'Rate', 'Date'],
+        [['gbp', '1.27', '2025-02-01'], ['EUR', 'n/a', '2025-02-01'], ['USD', '1', '2025-02-01']],
+        'USD'
+    );
+    expect(rates).toEqual([{ currency: 'GBP', rate: 1.27, date: '2025-02-01', source: 'import' }]);
+    expect(errors).toEqual(['Row 3 was skipped.', 'Row 4 was skipped.']);
+    expect(parseExchangeRateRows(['Code', 'Value'], [], 'USD').errors[0]).toMatch(/Currency, Rate and Date/);
+});
+
+test('formats amounts with the currency symbol', () => {
+    expect(formatMoney(1234.5, 'USD')).toBe(new Intl.NumberFormat(undefined, { style: 'currency', currency: 'USD' }).format(1234.5));
+    expect(formatMoney(-5, 'GBP')).toContain('£');
+});
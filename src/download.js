@@ -0,0 +1,15 @@
+// --- File Downloads ---
+// Hands a Blob to the browser as a file download.
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadText = (text, filename, type = 'application/json') =>
+    downloadBlob(new Blob([text], { type }), filename);
@@ -0,0 +1,58 @@
+import { getItemToShowRate } from './currency';
+
+// --- Expense Line Items ---
+// Each show can carry any number of line items. Room and meeting items roll up
+// into the show's room/meeting totals; everything else is an "extra" whose
+// category decides whether it counts toward the budget comparison.
+
+export const DEFAULT_EXPENSE_CATEGORIES = [
+    { id: 'room_block', label: 'Room Block', bucket: 'room', countsTowardBudget: true },
+    { id: 'meeting_room', label: 'Meeting Room Rental', bucket: 'meeting', countsTowardBudget: true },
+    { id: 'fnb', label: 'F&B Minimum', bucket: 'meeting', countsTowardBudget: true },
+    { id: 'av', label: 'AV', bucket: 'meeting', countsTowardBudget: true },
+    { id: 'parking', label: 'Parking', bucket: 'extra', countsTowardBudget: true },
+    { id: 'taxes_fees', label: 'Taxes & Fees', bucket: 'extra', countsTowardBudget: true },
+    { id: 'other', label: 'Other', bucket: 'extra', countsTowardBudget: true }
+];
+
+export const getExpenseCategory = (categoryId, settings) => {
+    const categories = settings.expenseCategories || DEFAULT_EXPENSE_CATEGORIES;
+    return categories.find(c => c.id === categoryId)
+        || DEFAULT_EXPENSE_CATEGORIES.find(c => c.id === categoryId)
+        || DEFAULT_EXPENSE_CATEGORIES.find(c => c.id === 'other');
+};
+
+// Room blocks are priced as rooms × nights × nightly rate; other items are a
+// flat amount.
+export const getExpenseAmount = (item) => {
+    if (item.category === 'room_block') {
+        return (item.rooms || 0) * (item.nights || 0) * (item.rate || 0);
+    }
+    return item.amount || 0;
+};
+
+export const getExpenses = (show) => show.expenses || [];
+
+// Totals are in the show's currency. Shows without line items keep using
+// their lump-sum room/meeting costs.
+export const getCostTotals = (show, settings) => {
+    const expenses = getExpenses(show);
+    if (expenses.length === 0) {
+        return {
+            room: show.actualRoomCost || 0,
+            meeting: show.actualMeetingCost || 0,
+            extra: 0,
+            excluded: 0,
+            isItemized: false
+        };
+    }
+    return expenses.reduce((totals, item) => {
+        const category = getExpenseCategory(item.category, settings);
+        const amount = getExpenseAmount(item) * getItemToShowRate(item, show);
+        if (category.bucket === 'room') totals.room += amount;
+        else if (category.bucket === 'meeting') totals.meeting += amount;
+        else if (category.countsTowardBudget) totals.extra += amount;
+        else totals.excluded += amount;
+        return totals;
+    }, { room: 0, meeting: 0, extra: 0, excluded: 0, isItemized: true });
+};
@@ -0,0 +1,35 @@
+import { getCostTotals } from './expenses';
+import { DEFAULT_SETTINGS } from './rateCards';
+import { calculateMetrics } from './metrics';
+
+const show = {
+    createdAt: '2025-03-01T00:00:00.000Z',
+    nights: 10,
+    meetingDays: 2,
+    actualRoomCost: 9999,
+    expenses: [
+        { id: '1', category: 'room_block', rooms: 2, nights: 3, rate: 90 },
+        { id: '2', category: 'fnb', amount: 50 },
+        { id: '3', category: 'parking', amount: 30 },
+        { id: '4', category: 'taxes_fees', amount: 20 }
+    ]
+};
+
+test('rolls line items up into room, meeting and extra totals', () => {
+    expect(getCostTotals(show, DEFAULT_SETTINGS)).toEqual({ room: 540, meeting: 50, extra: 50, excluded: 0, isItemized: true });
+});
+
+test('leaves excluded categories out of the budget comparison', () => {
+    const settings = {
+        ...DEFAULT_SETTINGS,
+        expenseCategories: DEFAULT_SETTINGS.expenseCategories.map(c => c.id === 'parking' ? { ...c, countsTowardBudget: false } : c)
+    };
+    const metrics = calculateMetrics(show, settings);
+    expect(metrics.actualSpend).toBe(610);
+    expect(metrics.excludedCost).toBe(30);
+    expect(metrics.savings).toBe(1200 - 610);
+});
+
+test('falls back to lump sums when a show has no line items', () => {
+    expect(getCostTotals({ actualRoomCost: 100, actualMeetingCost: 40 }, DEFAULT_SETTINGS).room).toBe(100);
+});
@@ -0,0 +1,38 @@
+import { initializeApp } from 'firebase/app';
+import { GoogleAuthProvider, connectAuthEmulator, getAuth, onAuthStateChanged, signInWithPopup, signOut } from 'firebase/auth';
+import { collection, connectFirestoreEmulator, doc, initializeFirestore, onSnapshot, setDoc } from 'firebase/firestore';
+import { EMULATOR_HOST, firebaseConfig } from './firebaseConfig';
+import { SYNC_COLLECTIONS } from './sync';
+
+// --- Firebase ---
+// Loaded lazily by useCloudSync, and only when cloud sync is configured.
+// Records live at workspaces/{workspaceId}/{collection}/{id}.
+
+const app = initializeApp(firebaseConfig);
+const auth = getAuth(app);
+const db = initializeFirestore(app, { ignoreUndefinedProperties: true });
+
+if (EMULATOR_HOST) {
+    connectAuthEmulator(auth, `http://${EMULATOR_HOST}:9099`, { disableWarnings: true });
+    connectFirestoreEmulator(db, EMULATOR_HOST, 8080);
+}
+
+export const watchAuth = (callback) => onAuthStateChanged(auth, callback);
+
+export const signInUser = () => signInWithPopup(auth, new GoogleAuthProvider());
+
+export const signOutUser = () => signOut(auth);
+
+export const createFirestoreRemote = (workspaceId) => ({
+    subscribe(onChange, onError) {
+        const unsubscribers = SYNC_COLLECTIONS.map(name => onSnapshot(
+            collection(db, 'workspaces', workspaceId, name),
+            (snapshot) => onChange(name, snapshot.docs.map(d => d.data())),
+            onError
+        ));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    },
+    put(name, record) {
+        return setDoc(doc(db, 'workspaces', workspaceId, name, record.id), record);
+    }
+});
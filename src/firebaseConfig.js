@@ -0,0 +1,17 @@
+// --- Firebase Configuration ---
+// Cloud sync is optional. It switches on when the project's web config is
+// provided through REACT_APP_FIREBASE_* environment variables (see README).
+export const firebaseConfig = {
+    apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
+    authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
+    projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
+    appId: process.env.REACT_APP_FIREBASE_APP_ID
+};
+
+// All coordinators who sign in share this workspace's data.
+export const WORKSPACE_ID = process.env.REACT_APP_FIREBASE_WORKSPACE_ID || 'default';
+
+// e.g. "localhost" to point at `firebase emulators:start`.
+export const EMULATOR_HOST = process.env.REACT_APP_FIREBASE_EMULATOR_HOST || '';
+
+export const isCloudSyncConfigured = Boolean(firebaseConfig.apiKey && firebaseConfig.projectId);
@@ -0,0 +1,95 @@
+import { getAssignees, isWithinPeriod } from './salespeople';
+import { getShowDate } from './showDates';
+import { getStatus } from './lifecycle';
+
+// --- Forecasting & Variance ---
+// A booked show carries the quotes it was contracted on, in the show's
+// currency:
+//   forecast: { quotedRoomRate, roomBlock, attritionPercent, meetingQuote }
+// The room rate is per room-night and the block is rooms per night, so the
+// projected room cost is rate × block × nights. The attrition clause lets
+// the pickup fall short of the block by that percentage without penalty; the
+// cost at that floor is the least the show is committed to.
+
+export const DEFAULT_VARIANCE_THRESHOLD = 10;
+
+export const getVarianceThreshold = (settings) => settings.varianceThresholdPercent ?? DEFAULT_VARIANCE_THRESHOLD;
+
+const isQuoted = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+export const hasForecast = (show) => {
+    const forecast = show.forecast || {};
+    return (isQuoted(forecast.quotedRoomRate) && isQuoted(forecast.roomBlock)) || isQuoted(forecast.meetingQuote);
+};
+
+// Projected costs in the show's currency. A part with no quote comes back as
+// null; the caller decides what to assume for it.
+export const projectCosts = (show) => {
+    if (!hasForecast(show)) return null;
+    const { quotedRoomRate, roomBlock, attritionPercent, meetingQuote } = show.forecast;
+    const room = isQuoted(quotedRoomRate) && isQuoted(roomBlock) ? quotedRoomRate * roomBlock * (show.nights || 0) : null;
+    const attrition = Math.min(Math.max(attritionPercent || 0, 0), 100);
+    return {
+        room,
+        minimumRoom: room === null ? null : room * (1 - attrition / 100),
+        meeting: isQuoted(meetingQuote) ? meetingQuote : null
+    };
+};
+
+const COMMITTED_STATUSES = ['completed', 'reconciled', 'approved'];
+
+// Commission owed on shows in `period` that hasn't been paid yet. Shows that
+// have taken place count at their actual commission, upcoming ones at the
+// commission their quotes project. Upcoming shows without quotes are listed
+// but can't be totalled.
+export const buildPipeline = (shows, period, calculateMetrics) => {
+    const rows = shows
+        .filter(show => getStatus(show) !== 'paid' && isWithinPeriod(show, { from: period.start, to: period.end }))
+        .map(show => {
+            const metrics = calculateMetrics(show);
+            const source = COMMITTED_STATUSES.includes(getStatus(show)) ? 'actual' : metrics.hasForecast ? 'quote' : 'none';
+            const commission = source === 'actual' ? metrics.commission : source === 'quote' ? metrics.projectedCommission : null;
+            return { show, date: getShowDate(show), source, commission, metrics };
+        })
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const bySalesperson = new Map();
+    rows.filter(row => row.commission !== null).forEach(row => {
+        getAssignees(row.show).forEach(a => {
+            bySalesperson.set(a.salespersonId, (bySalesperson.get(a.salespersonId) || 0) + row.commission * a.split / 100);
+        });
+    });
+
+    return {
+        ...period,
+        rows,
+        totalCommission: rows.reduce((sum, row) => sum + (row.commission || 0), 0),
+        unquotedCount: rows.filter(row => row.source === 'none').length,
+        bySalesperson: [...bySalesperson.entries()].map(([salespersonId, commission]) => ({ salespersonId, commission }))
+    };
+};
+
+// Shows quoted at nothing drift without limit, so they sort first.
+const driftOf = (row) => (row.variancePercent === null ? Number.MAX_VALUE : Math.abs(row.variancePercent));
+
+// Shows with both quotes and actual costs, largest drift first. A show is
+// flagged when its actual spend is off its projected spend by more than
+// `thresholdPercent` either way.
+export const buildVarianceReport = (shows, calculateMetrics, thresholdPercent = DEFAULT_VARIANCE_THRESHOLD) => shows
+    .map(show => ({ show, metrics: calculateMetrics(show) }))
+    .filter(({ metrics }) => metrics.hasForecast && metrics.actualSpend > 0)
+    .map(({ show, metrics }) => {
+        const variance = metrics.actualSpend - metrics.projectedSpend;
+        const variancePercent = metrics.projectedSpend > 0 ? (variance / metrics.projectedSpend) * 100 : null;
+        return {
+            show,
+            projected: metrics.projectedSpend,
+            actual: metrics.actualSpend,
+            variance,
+            variancePercent,
+            roomVariance: metrics.actualRoomCost - metrics.projectedRoomCost,
+            meetingVariance: metrics.actualMeetingCost - metrics.projectedMeetingCost,
+            flagged: variancePercent === null ? variance !== 0 : Math.abs(variancePercent) > thresholdPercent
+        };
+    })
+    .sort((a, b) => driftOf(b) - driftOf(a));
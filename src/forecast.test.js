@@ -0,0 +1,53 @@
+import { buildPipeline, buildVarianceReport, projectCosts } from './forecast';
+import { calculateMetrics } from './metrics';
+import { DEFAULT_SETTINGS } from './rateCards';
+
+// Default rate card: $100 a night, $100 a meeting day, 20% commission.
+const quoted = {
+    id: 'q1', destination: 'Boston', checkIn: '2025-07-01', nights: 3, meetingDays: 1, status: 'booked',
+    assignees: [{ salespersonId: 'alice', split: 50 }, { salespersonId: 'bob', split: 50 }],
+    forecast: { quotedRoomRate: 80, roomBlock: 1, attritionPercent: 20, meetingQuote: 90 }
+};
+const calculate = (show) => calculateMetrics(show, DEFAULT_SETTINGS);
+
+test('projects savings and commission from the quotes next to the actuals', () => {
+    const metrics = calculate(quoted);
+
+    expect(projectCosts(quoted)).toEqual({ room: 240, minimumRoom: 192, meeting: 90 });
+    expect(metrics).toMatchObject({ projectedSpend: 330, projectedSavings: 70, projectedCommission: 14, minimumRoomCost: 192 });
+    expect(metrics.actualSpend).toBe(0);
+    // Without a meeting quote the meeting space is assumed to come in on budget.
+    const roomsOnly = calculate({ ...quoted, forecast: { quotedRoomRate: 80, roomBlock: 1 } });
+    expect(roomsOnly.projectedSpend).toBe(340);
+    expect(calculate({ ...quoted, forecast: null }).projectedCommission).toBeNull();
+});
+
+test('totals unpaid commission for the quarter, split by salesperson', () => {
+    const shows = [
+        quoted,
+        { ...quoted, id: 'done', status: 'completed', actualRoomCost: 200, actualMeetingCost: 100 },
+        { ...quoted, id: 'paid', status: 'paid' },
+        { ...quoted, id: 'new', status: 'planned', forecast: null },
+        { ...quoted, id: 'later', checkIn: '2025-10-01' }
+    ];
+    const pipeline = buildPipeline(shows, { start: '2025-07-01', end: '2025-09-30', label: 'Q3 2025' }, calculate);
+
+    expect(pipeline.rows.map(row => [row.show.id, row.source, row.commission])).toEqual([
+        ['q1', 'quote', 14], ['done', 'actual', 20], ['new', 'none', null]
+    ]);
+    expect(pipeline.totalCommission).toBe(34);
+    expect(pipeline.unquotedCount).toBe(1);
+    expect(pipeline.bySalesperson).toEqual([{ salespersonId: 'alice', commission: 17 }, { salespersonId: 'bob', commission: 17 }]);
+});
+
+test('flags shows whose actuals drifted past the threshold', () => {
+    const shows = [
+        { ...quoted, id: 'close', actualRoomCost: 250, actualMeetingCost: 90 },
+        { ...quoted, id: 'over', actualRoomCost: 300, actualMeetingCost: 120 },
+        { ...quoted, id: 'not-in-yet' }
+    ];
+    const report = buildVarianceReport(shows, calculate, 10);
+
+    expect(report.map(row => [row.show.id, row.flagged])).toEqual([['over', true], ['close', false]]);
+    expect(report[0]).toMatchObject({ projected: 330, actual: 420, variance: 90, roomVariance: 60, meetingVariance: 30 });
+});
@@ -0,0 +1,165 @@
+import { FINANCIAL_FIELDS, isFinancialsLocked } from './lifecycle';
+import { stableStringify } from './sync';
+
+// --- Change History, Trash & Undo ---
+// Every change to a show is recorded in an append-only log kept next to the
+// shows:
+//   { id, showId, action, at, by, note, changes: [{ field, from, to }] }
+// Entries are never edited or removed, so any earlier version of a show can
+// be rebuilt by walking its log backwards from the current copy.
+//
+// Deleting a show moves it to the trash (`trashedAt`, `trashedBy`) instead of
+// removing it. `deletedAt` is not used for this: sync reserves it for
+// tombstones.
+
+const IGNORED_FIELDS = ['id', 'updatedAt', 'updatedBy'];
+// The status workflow and adjustments keep records of their own. Restoring
+// an old version or undoing an edit never rewinds them.
+const LIFECYCLE_FIELDS = ['status', 'statusHistory', 'approvedCommission', 'approvedBudget', 'approvedSpend', 'paidCommission', 'adjustments'];
+const TRASH_FIELDS = ['trashedAt', 'trashedBy'];
+// Supporting documents stay attached when an earlier version is restored.
+const KEPT_ON_RESTORE = [...LIFECYCLE_FIELDS, ...TRASH_FIELDS, 'attachments'];
+
+export const ACTION_LABELS = {
+    created: 'Created',
+    updated: 'Edited',
+    trashed: 'Moved to trash',
+    restored: 'Restored from trash',
+    purged: 'Deleted permanently'
+};
+
+const same = (a, b) => stableStringify(a) === stableStringify(b);
+
+export const isTrashed = (show) => Boolean(show.trashedAt);
+
+export const getActiveShows = (shows) => shows.filter(show => !isTrashed(show));
+
+export const getTrashedShows = (shows) => shows
+    .filter(isTrashed)
+    .sort((a, b) => b.trashedAt.localeCompare(a.trashedAt));
+
+// Field-level differences. A field missing on one side has `from` or `to`
+// left undefined, which is also how it comes back out of JSON.
+export const diffShow = (before = {}, after = {}) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields]
+        .filter(field => !IGNORED_FIELDS.includes(field) && !same(before[field], after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+const actionOf = (before, after) => {
+    if (!before) return 'created';
+    if (!after) return 'purged';
+    if (!isTrashed(before) && isTrashed(after)) return 'trashed';
+    if (isTrashed(before) && !isTrashed(after)) return 'restored';
+    return 'updated';
+};
+
+// Compares two versions of the show list. Returns the log entries to append
+// and the { before, after } pairs an undo step needs (null for a show that
+// didn't exist on that side).
+export const recordChanges = (previous, next, { by = null, at = new Date().toISOString(), note = '' } = {}) => {
+    const previousById = new Map(previous.map(show => [show.id, show]));
+    const nextIds = new Set(next.map(show => show.id));
+    const pairs = [
+        ...next.map(show => ({ before: previousById.get(show.id) || null, after: show })),
+        ...previous.filter(show => !nextIds.has(show.id)).map(show => ({ before: show, after: null }))
+    ].filter(({ before, after }) => before !== after);
+
+    const entries = [];
+    const changes = [];
+    pairs.forEach(({ before, after }) => {
+        const diff = diffShow(before || {}, after || {});
+        if (diff.length === 0) return;
+        entries.push({ id: crypto.randomUUID(), showId: (after || before).id, action: actionOf(before, after), at, by, note, changes: diff });
+        changes.push({ before, after });
+    });
+    return { entries, changes };
+};
+
+// Oldest first. Entries from other devices can arrive out of order, so the
+// log is sorted by time rather than trusted as written.
+export const getShowHistory = (history, showId) => history
+    .filter(entry => entry.showId === showId)
+    .sort((a, b) => a.at.localeCompare(b.at));
+
+const revertChanges = (show, changes) => {
+    const version = { ...show };
+    changes.forEach(({ field, from }) => {
+        if (from === undefined) delete version[field];
+        else version[field] = from;
+    });
+    return version;
+};
+
+// The show as it stood right after the given entry.
+export const rebuildVersion = (show, history, entryId) => {
+    const entries = getShowHistory(history, show.id);
+    const index = entries.findIndex(entry => entry.id === entryId);
+    if (index < 0) throw new Error('That version is not in this show\'s history.');
+    return entries.slice(index + 1).reverse().reduce((version, entry) => revertChanges(version, entry.changes), show);
+};
+
+// `target`, with the current show's lifecycle fields (and any others named)
+// carried over.
+const revertTo = (current, target, keep = LIFECYCLE_FIELDS) => {
+    const next = { ...target };
+    keep.forEach(field => {
+        if (current[field] === undefined) delete next[field];
+        else next[field] = current[field];
+    });
+    return next;
+};
+
+const assertFinancialsUnchanged = (current, next) => {
+    if (!isFinancialsLocked(current)) return;
+    if (diffShow(current, next).some(change => FINANCIAL_FIELDS.includes(change.field))) {
+        throw new Error(`${current.destination || 'This show'} has had its commission approved since. Record an adjustment instead.`);
+    }
+};
+
+export const restoreVersion = (show, history, entryId, { by = null, at = new Date().toISOString() } = {}) => {
+    const restored = revertTo(show, rebuildVersion(show, history, entryId), KEPT_ON_RESTORE);
+    assertFinancialsUnchanged(show, restored);
+    return { ...restored, updatedAt: at, updatedBy: by };
+};
+
+export const trashShow = (show, { by = null, at = new Date().toISOString() } = {}) => {
+    if (isFinancialsLocked(show)) throw new Error('Shows with approved or paid commission stay on record.');
+    return { ...show, trashedAt: at, trashedBy: by, updatedAt: at, updatedBy: by };
+};
+
+export const restoreFromTrash = (show, { by = null, at = new Date().toISOString() } = {}) => {
+    const { trashedAt, trashedBy, ...rest } = show;
+    return { ...rest, updatedAt: at, updatedBy: by };
+};
+
+// --- Undo & Redo ---
+// An undo step is { label, changes: [{ before, after }] }, as returned by
+// recordChanges. Stepping back or forward only touches the shows in the step,
+// so edits made since to other shows (or arriving from sync) are kept. A show
+// that was created in the step goes to the trash when it is undone. One the
+// step took out of the list altogether (restoring a backup in place of the
+// current shows) is put back on undo, at the end, and taken out again on redo.
+export const applyUndoStep = (shows, step, direction, { by = null, at = new Date().toISOString() } = {}) => {
+    const byId = new Map(shows.map(show => [show.id, show]));
+    const restored = [];
+    step.changes.forEach(({ before, after }) => {
+        const id = (before || after).id;
+        const current = byId.get(id);
+        const target = direction === 'undo' ? before : after;
+        if (!after && direction === 'redo') {
+            byId.delete(id);
+            return;
+        }
+        if (!after && !current) {
+            restored.push({ ...before, updatedAt: at, updatedBy: by });
+            return;
+        }
+        if (!current) throw new Error('A show in this step has since been deleted permanently.');
+        const next = target ? revertTo(current, target) : { ...current, trashedAt: at, trashedBy: by };
+        assertFinancialsUnchanged(current, next);
+        byId.set(id, { ...next, updatedAt: at, updatedBy: by });
+    });
+    return [...shows.filter(show => byId.has(show.id)).map(show => byId.get(show.id)), ...restored];
+};
@@ -0,0 +1,74 @@
+import { applyUndoStep, getActiveShows, getShowHistory, getTrashedShows, recordChanges, restoreFromTrash, restoreVersion, trashShow } from './history';
+
+const show = { id: 's1', destination: 'Boston', nights: 3, notes: '', status: 'planned', statusHistory: [], adjustments: [] };
+
+test('logs field-level changes and skips shows that did not change', () => {
+    const other = { id: 's2', destination: 'Denver' };
+    const edited = { ...show, nights: 4, notes: 'Moved hotel', updatedAt: '2025-02-01T00:00:00.000Z' };
+    const { entries, changes } = recordChanges([show, other], [edited, other], { by: 'Dana', at: '2025-02-01T00:00:00.000Z' });
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ showId: 's1', action: 'updated', by: 'Dana', at: '2025-02-01T00:00:00.000Z' });
+    expect(entries[0].changes).toEqual([
+        { field: 'nights', from: 3, to: 4 },
+        { field: 'notes', from: '', to: 'Moved hotel' }
+    ]);
+    expect(changes).toEqual([{ before: show, after: edited }]);
+    expect(recordChanges([], [show]).entries[0].action).toBe('created');
+});
+
+test('restores an earlier version without rewinding the status', () => {
+    const log = [];
+    const step = (before, after, at) => {
+        log.push(...recordChanges([before], [after], { by: 'Dana', at }).entries);
+        return after;
+    };
+    const v1 = step(show, { ...show, nights: 4 }, '2025-01-02T00:00:00.000Z');
+    const v2 = step(v1, { ...v1, nights: 5, notes: 'Extra night' }, '2025-01-03T00:00:00.000Z');
+    const v3 = step(v2, { ...v2, status: 'booked' }, '2025-01-04T00:00:00.000Z');
+
+    const [first] = getShowHistory(log, 's1');
+    const restored = restoreVersion(v3, log, first.id, { by: 'Sam', at: '2025-01-05T00:00:00.000Z' });
+
+    expect(restored).toMatchObject({ nights: 4, notes: '', status: 'booked', updatedBy: 'Sam' });
+    expect(() => restoreVersion({ ...v3, status: 'approved' }, log, first.id)).toThrow(/approved/);
+});
+
+test('moves shows to the trash and back', () => {
+    const trashed = trashShow(show, { by: 'Dana', at: '2025-03-01T00:00:00.000Z' });
+
+    expect(getActiveShows([trashed])).toEqual([]);
+    expect(getTrashedShows([trashed])).toEqual([trashed]);
+    expect(recordChanges([show], [trashed]).entries[0].action).toBe('trashed');
+    expect(restoreFromTrash(trashed).trashedAt).toBeUndefined();
+    expect(() => trashShow({ ...show, status: 'paid' })).toThrow();
+});
+
+test('undoes and redoes a step without touching other shows', () => {
+    const other = { id: 's2', destination: 'Denver', nights: 2 };
+    const edited = { ...show, nights: 6 };
+    const { changes } = recordChanges([show, other], [edited, other]);
+    const step = { label: 'Edit Boston', changes };
+    // Someone else edits Denver in the meantime.
+    const current = [edited, { ...other, nights: 3 }];
+
+    const undone = applyUndoStep(current, step, 'undo', { by: 'Dana' });
+    expect(undone.map(s => s.nights)).toEqual([3, 3]);
+    expect(applyUndoStep(undone, step, 'redo').map(s => s.nights)).toEqual([6, 3]);
+
+    const added = recordChanges([], [show]);
+    expect(applyUndoStep([show], added, 'undo')[0].trashedAt).toBeDefined();
+    expect(() => applyUndoStep([{ ...edited, status: 'approved' }], step, 'undo')).toThrow(/adjustment/);
+});
+
+test('undoes a restore that replaced the list of shows as one step', () => {
+    const denver = { id: 's2', destination: 'Denver', nights: 2 };
+    const fromBackup = { id: 's3', destination: 'Austin', nights: 4 };
+    const { entries, changes } = recordChanges([show, denver], [{ ...show, nights: 5 }, fromBackup], { note: 'Replaced with a backup' });
+    expect(entries.map(entry => [entry.showId, entry.action])).toEqual([['s1', 'updated'], ['s3', 'created'], ['s2', 'purged']]);
+
+    const step = { label: 'Replace with backup', changes };
+    const undone = applyUndoStep([{ ...show, nights: 5 }, fromBackup], step, 'undo');
+    expect(undone.map(s => [s.destination, s.nights, Boolean(s.trashedAt)])).toEqual([['Boston', 3, false], ['Austin', 4, true], ['Denver', 2, false]]);
+    expect(applyUndoStep(undone, step, 'redo').map(s => s.destination)).toEqual(['Boston', 'Austin']);
+});
@@ -0,0 +1,128 @@
+// --- Show Lifecycle & Approval ---
+// A show moves through these states one step at a time. Every transition is
+// recorded with who made it and when. Once commission is approved the
+// financial fields are locked; any later change has to go in as an
+// adjustment, so what was approved (and paid) stays on record.
+
+export const STATUSES = [
+    { id: 'planned', label: 'Planned', color: 'bg-slate-100 text-slate-700' },
+    { id: 'booked', label: 'Booked', color: 'bg-sky-100 text-sky-700' },
+    { id: 'completed', label: 'Completed', color: 'bg-indigo-100 text-indigo-700' },
+    { id: 'reconciled', label: 'Reconciled', color: 'bg-amber-100 text-amber-700' },
+    { id: 'approved', label: 'Commission Approved', color: 'bg-emerald-100 text-emerald-700' },
+    { id: 'paid', label: 'Paid', color: 'bg-green-200 text-green-800' }
+];
+
+const LOCKED_STATUSES = ['approved', 'paid'];
+
+// Everything that feeds the budget, spend or commission figures, projected
+// or actual. The destination counts because it can decide the market tier,
+// and the dates because they decide which rate card applies.
+export const FINANCIAL_FIELDS = [
+    'destination', 'marketTierId', 'checkIn', 'checkOut', 'meetingDates',
+    'nights', 'nightsOverride', 'meetingDays', 'meetingDaysOverride',
+    'actualRoomCost', 'actualMeetingCost', 'expenses', 'assignees',
+    'currency', 'exchangeRate', 'forecast'
+];
+
+export const getStatus = (show) => show.status || 'planned';
+
+export const getStatusInfo = (status) => STATUSES.find(s => s.id === status) || STATUSES[0];
+
+export const isFinancialsLocked = (show) => LOCKED_STATUSES.includes(getStatus(show));
+
+// Forward one step, or back one step to correct a mistake. Payment is final,
+// and taking back an approval needs a reason.
+export const getAllowedTransitions = (show) => {
+    const index = STATUSES.findIndex(s => s.id === getStatus(show));
+    const transitions = [];
+    if (index < STATUSES.length - 1) transitions.push({ to: STATUSES[index + 1].id, direction: 'forward', requiresNote: false });
+    if (index > 0 && getStatus(show) !== 'paid') {
+        transitions.push({ to: STATUSES[index - 1].id, direction: 'back', requiresNote: getStatus(show) === 'approved' });
+    }
+    return transitions;
+};
+
+// Kept on approval, so later changes to rate cards, tier cities or
+// exchange rates can't move what was approved. Cleared if it's taken back.
+const APPROVAL_FIELDS = ['approvedCommission', 'approvedBudget', 'approvedSpend'];
+
+// Returns the show in its new state. `commission`, `budget` and `spend` are
+// the show's figures at the time (spend including any adjustments). They are
+// kept when commission is approved, and the commission again when it is
+// paid, so later adjustments can be told apart from what was already paid out.
+export const transitionShow = (show, to, { by, at = new Date().toISOString(), note = '', commission, budget, spend }) => {
+    const transition = getAllowedTransitions(show).find(t => t.to === to);
+    if (!transition) {
+        throw new Error(`A ${getStatusInfo(getStatus(show)).label.toLowerCase()} show can't move to ${getStatusInfo(to).label.toLowerCase()}.`);
+    }
+    if (!by) throw new Error('Enter your name before changing the status.');
+    if (transition.requiresNote && !note.trim()) throw new Error('Give a reason for taking back the approval.');
+    const next = {
+        ...show,
+        status: to,
+        statusHistory: [...(show.statusHistory || []), { from: getStatus(show), to, at, by, note: note.trim() }],
+        updatedAt: at,
+        updatedBy: by
+    };
+    if (to === 'approved') Object.assign(next, { approvedCommission: commission, approvedBudget: budget, approvedSpend: spend });
+    if (getStatus(show) === 'approved' && transition.direction === 'back') APPROVAL_FIELDS.forEach(field => { next[field] = null; });
+    if (to === 'paid') next.paidCommission = commission;
+    return next;
+};
+
+// On a locked show, edits to financial fields are dropped; only notes and
+// other descriptive fields go through.
+export const applyEdit = (show, changes) => {
+    if (!isFinancialsLocked(show)) return { ...show, ...changes };
+    const allowed = Object.fromEntries(Object.entries(changes).filter(([field]) => !FINANCIAL_FIELDS.includes(field)));
+    return { ...show, ...allowed };
+};
+
+export const getAdjustments = (show) => show.adjustments || [];
+
+export const getAdjustmentTotal = (show) => getAdjustments(show).reduce((sum, a) => sum + a.amount, 0);
+
+// The figures kept on approval, plus the adjustments recorded since:
+// { commission, budget, spend, laterAdjustments }. Null for a show that
+// isn't approved or paid, or was approved before the figures were kept.
+export const getApproval = (show) => {
+    if (!isFinancialsLocked(show) || show.approvedCommission == null || show.approvedBudget == null) return null;
+    const approvedAt = [...(show.statusHistory || [])].reverse().find(t => t.to === 'approved')?.at || '';
+    return {
+        commission: show.approvedCommission,
+        budget: show.approvedBudget,
+        spend: show.approvedSpend,
+        laterAdjustments: getAdjustments(show).filter(a => a.at > approvedAt).reduce((sum, a) => sum + a.amount, 0)
+    };
+};
+
+// Adjustments are cost corrections in the reporting currency, recorded
+// against a locked show instead of editing it.
+export const addAdjustment = (show, { amount, reason, by, at = new Date().toISOString() }) => {
+    if (!isFinancialsLocked(show)) throw new Error('Edit the show directly until its commission is approved.');
+    if (!Number.isFinite(amount) || amount === 0) throw new Error('Enter a non-zero adjustment amount.');
+    if (!reason || !reason.trim()) throw new Error('Give a reason for the adjustment.');
+    if (!by) throw new Error('Enter your name before recording an adjustment.');
+    return {
+        ...show,
+        adjustments: [...getAdjustments(show), { id: crypto.randomUUID(), amount, reason: reason.trim(), at, by }],
+        updatedAt: at,
+        updatedBy: by
+    };
+};
+
+// Splits a show's commission into what is still pending, approved but not
+// yet paid, and paid. For an approved or paid show `commission` is the
+// approved figure as calculateMetrics keeps it. An adjustment after payment
+// shows up as approved (or as a negative amount, for a clawback) until it is
+// settled.
+export const splitCommission = (show, commission) => {
+    const status = getStatus(show);
+    if (status === 'paid') {
+        const paid = show.paidCommission ?? commission;
+        return { pending: 0, approved: commission - paid, paid };
+    }
+    if (status === 'approved') return { pending: 0, approved: commission, paid: 0 };
+    return { pending: commission, approved: 0, paid: 0 };
+};
@@ -0,0 +1,72 @@
+import { addAdjustment, applyEdit, getAllowedTransitions, splitCommission, transitionShow } from './lifecycle';
+import { aggregateMetrics, calculateMetrics } from './metrics';
+import { DEFAULT_SETTINGS } from './rateCards';
+
+const actor = { by: 'Dana', at: '2025-04-01T12:00:00.000Z' };
+const advance = (show, ...statuses) => statuses.reduce((s, to) => transitionShow(s, to, { ...actor, commission: 40 }), show);
+
+test('moves one step at a time and records who made each transition', () => {
+    const show = advance({ id: '1', status: 'planned' }, 'booked', 'completed');
+    expect(show.status).toBe('completed');
+    expect(show.statusHistory).toEqual([
+        { from: 'planned', to: 'booked', at: actor.at, by: 'Dana', note: '' },
+        { from: 'booked', to: 'completed', at: actor.at, by: 'Dana', note: '' }
+    ]);
+    expect(() => transitionShow(show, 'paid', actor)).toThrow(/can't move/);
+    expect(() => transitionShow(show, 'reconciled', { by: '' })).toThrow(/your name/);
+});
+
+test('locks financial fields once approved and needs a reason to take approval back', () => {
+    const approved = advance({ id: '1', status: 'reconciled', actualRoomCost: 100, notes: '' }, 'approved');
+    expect(applyEdit(approved, { actualRoomCost: 50, notes: 'Invoice filed' })).toMatchObject({ actualRoomCost: 100, notes: 'Invoice filed' });
+    expect(() => transitionShow(approved, 'reconciled', actor)).toThrow(/reason/);
+    expect(transitionShow(approved, 'reconciled', { ...actor, note: 'Wrong invoice' }).status).toBe('reconciled');
+
+    const paid = advance(approved, 'paid');
+    expect(getAllowedTransitions(paid)).toEqual([]);
+    expect(paid.paidCommission).toBe(40);
+});
+
+test('adjustments change the figures of a locked show and show up as approved commission', () => {
+    const show = {
+        id: '1', status: 'reconciled', createdAt: '2025-03-01T00:00:00.000Z',
+        nights: 5, meetingDays: 0, actualRoomCost: 300, expenses: []
+    };
+    const paid = advance(show, 'approved', 'paid');
+    expect(() => addAdjustment(show, { amount: 10, reason: 'x', by: 'Dana' })).toThrow(/directly/);
+    expect(() => addAdjustment(paid, { amount: 50, reason: ' ', by: 'Dana' })).toThrow(/reason/);
+
+    const adjusted = addAdjustment({ ...paid, paidCommission: 40 }, { amount: 50, reason: 'Late AV invoice', by: 'Dana' });
+    const metrics = calculateMetrics(adjusted, DEFAULT_SETTINGS);
+    expect(metrics.actualSpend).toBe(350);
+    expect(metrics.commission).toBeCloseTo(30);
+    expect(splitCommission(adjusted, metrics.commission)).toEqual({ pending: 0, approved: -10, paid: 40 });
+
+    const totals = aggregateMetrics([adjusted, { ...show, status: 'booked' }], (s) => calculateMetrics(s, DEFAULT_SETTINGS));
+    expect(totals).toMatchObject({ pendingCommission: 40, paidCommission: 40 });
+    expect(totals.approvedCommission).toBeCloseTo(-10);
+});
+
+test('keeps the approved commission when a rate card is added after approval', () => {
+    const show = {
+        id: '1', status: 'reconciled', destination: 'Boston', checkIn: '2025-03-01',
+        nights: 5, meetingDays: 0, actualRoomCost: 300, expenses: [], statusHistory: []
+    };
+    const { commission, totalBudget, actualSpend } = calculateMetrics(show, DEFAULT_SETTINGS);
+    const approved = transitionShow(show, 'approved', { ...actor, commission, budget: totalBudget, spend: actualSpend });
+    expect(approved).toMatchObject({ approvedCommission: 40, approvedBudget: 500, approvedSpend: 300 });
+
+    const repriced = {
+        ...DEFAULT_SETTINGS,
+        rateCards: [...DEFAULT_SETTINGS.rateCards, { ...DEFAULT_SETTINGS.rateCards[0], id: 'backdated', effectiveFrom: '2025-01-01', roomRatePerNight: 200 }]
+    };
+    expect(calculateMetrics(approved, repriced)).toMatchObject({ totalBudget: 500, commission: 40 });
+    expect(splitCommission(approved, calculateMetrics(approved, repriced).commission)).toEqual({ pending: 0, approved: 40, paid: 0 });
+
+    // Only an adjustment moves it, and taking the approval back lets it go.
+    const adjusted = addAdjustment(approved, { amount: 100, reason: 'Late folio', by: 'Dana' });
+    expect(calculateMetrics(adjusted, repriced).commission).toBeCloseTo(20);
+    const reopened = transitionShow(approved, 'reconciled', { ...actor, note: 'Wrong folio' });
+    expect(reopened.approvedCommission).toBeNull();
+    expect(calculateMetrics(reopened, repriced).commission).toBeCloseTo(140);
+});
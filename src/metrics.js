@@ -0,0 +1,140 @@
+import { resolveMarketTier, resolveRateCard, calculateCommission } from './rateCards';
+import { getCostTotals } from './expenses';
+import { toReportingCurrency } from './currency';
+import { getAdjustmentTotal, getApproval, splitCommission } from './lifecycle';
+import { hasForecast, projectCosts } from './forecast';
+import { calculateBillingMetrics } from './billing';
+
+// --- Calculations ---
+// Every figure is derived from the rate card that was in effect for the show,
+// not from whatever rates are current today, and is in the reporting currency.
+// Once commission is approved, the budget, spend and commission approved are
+// used as kept, moved only by adjustments recorded since.
+export const calculateMetrics = (show, settings) => {
+    const marketTier = resolveMarketTier(show, settings);
+    const rateCard = resolveRateCard(show, settings);
+    const approval = getApproval(show);
+    const roomBudget = (show.nights || 0) * rateCard.roomRatePerNight;
+    const meetingBudget = (show.meetingDays || 0) * rateCard.meetingRatePerDay;
+    const totalBudget = approval ? approval.budget : roomBudget + meetingBudget;
+    const showCosts = getCostTotals(show, settings);
+    const costs = {
+        room: toReportingCurrency(showCosts.room, show),
+        meeting: toReportingCurrency(showCosts.meeting, show),
+        extra: toReportingCurrency(showCosts.extra, show),
+        excluded: toReportingCurrency(showCosts.excluded, show)
+    };
+    // Adjustments recorded after approval are already in the reporting currency.
+    const adjustmentCost = getAdjustmentTotal(show);
+    const actualSpend = approval
+        ? approval.spend + approval.laterAdjustments
+        : costs.room + costs.meeting + costs.extra + adjustmentCost;
+    const savings = totalBudget - actualSpend;
+    const commission = approval
+        ? approval.commission + calculateCommission(savings, rateCard.commission) - calculateCommission(approval.budget - approval.spend, rateCard.commission)
+        : calculateCommission(savings, rateCard.commission);
+    return {
+        totalBudget, roomBudget, meetingBudget, actualSpend, savings, commission, marketTier, rateCard,
+        actualRoomCost: costs.room,
+        actualMeetingCost: costs.meeting,
+        extraCost: costs.extra,
+        excludedCost: costs.excluded,
+        adjustmentCost,
+        ...calculateBillingMetrics(show, { roomCost: showCosts.room, actualSpend, savings }),
+        ...calculateProjection(show, { roomBudget, meetingBudget, totalBudget, rateCard })
+    };
+};
+
+// What the quotes say the show will cost. A part that hasn't been quoted is
+// assumed to come in on budget. All null for a show without quotes.
+const calculateProjection = (show, { roomBudget, meetingBudget, totalBudget, rateCard }) => {
+    if (!hasForecast(show)) {
+        return {
+            hasForecast: false,
+            projectedRoomCost: null, projectedMeetingCost: null, minimumRoomCost: null,
+            projectedSpend: null, projectedSavings: null, projectedCommission: null
+        };
+    }
+    const projected = projectCosts(show);
+    const projectedRoomCost = projected.room === null ? roomBudget : toReportingCurrency(projected.room, show);
+    const projectedMeetingCost = projected.meeting === null ? meetingBudget : toReportingCurrency(projected.meeting, show);
+    const projectedSpend = projectedRoomCost + projectedMeetingCost;
+    const projectedSavings = totalBudget - projectedSpend;
+    return {
+        hasForecast: true,
+        projectedRoomCost,
+        projectedMeetingCost,
+        minimumRoomCost: projected.minimumRoom === null ? null : toReportingCurrency(projected.minimumRoom, show),
+        projectedSpend,
+        projectedSavings,
+        projectedCommission: calculateCommission(projectedSavings, rateCard.commission)
+    };
+};
+
+// --- Aggregates ---
+const AGGREGATE_FIELDS = ['totalSavings', 'totalCommission', 'totalSpent', 'totalBudgeted', 'pendingCommission', 'approvedCommission', 'paidCommission', 'totalRebates', 'totalNetSavings'];
+
+// What one show adds to the totals.
+const contributionOf = (show, calculate) => {
+    const { savings, commission, actualSpend, totalBudget, rebate, netSavings } = calculate(show);
+    const split = splitCommission(show, commission);
+    return {
+        totalSavings: savings,
+        totalCommission: commission,
+        totalSpent: actualSpend,
+        totalBudgeted: totalBudget,
+        pendingCommission: split.pending,
+        approvedCommission: split.approved,
+        paidCommission: split.paid,
+        totalRebates: rebate,
+        totalNetSavings: netSavings
+    };
+};
+
+const emptyTotals = () => Object.fromEntries(AGGREGATE_FIELDS.map(field => [field, 0]));
+
+const addTo = (totals, amounts, sign = 1) => {
+    AGGREGATE_FIELDS.forEach(field => {
+        totals[field] += sign * amounts[field];
+    });
+    return totals;
+};
+
+export const aggregateMetrics = (shows, calculate) => shows.reduce((acc, show) => addTo(acc, contributionOf(show, calculate)), emptyTotals());
+
+// The same totals, kept up to date from the previous result: only shows that
+// were added, removed or replaced since are counted again. `previous` is
+// thrown away when `calculate` changes, since every show's figures may have.
+export const updateAggregate = (previous, shows, calculate) => {
+    const reuse = previous && previous.calculate === calculate;
+    const before = reuse ? previous.contributions : new Map();
+    const totals = reuse ? { ...previous.totals } : emptyTotals();
+    const contributions = new Map();
+    shows.forEach(show => {
+        const existing = before.get(show.id);
+        if (existing && existing.show === show) {
+            contributions.set(show.id, existing);
+            return;
+        }
+        if (existing) addTo(totals, existing.amounts, -1);
+        const amounts = contributionOf(show, calculate);
+        addTo(totals, amounts);
+        contributions.set(show.id, { show, amounts });
+    });
+    before.forEach((existing, id) => {
+        if (!contributions.has(id)) addTo(totals, existing.amounts, -1);
+    });
+    return { calculate, contributions, totals };
+};
+
+// --- Cached Metrics ---
+// A show's figures only change when the show or the settings do. Shows are
+// replaced rather than mutated, so the show object itself is the cache key;
+// a new cache is made whenever the settings change.
+export const createMetricsCache = (calculate) => {
+    const cache = new WeakMap();
+    return (show) => {
+        if (!cache.has(show)) cache.set(show, calculate(show));
+        return cache.get(show);
+    };
+};
@@ -0,0 +1,28 @@
+import { aggregateMetrics, calculateMetrics, createMetricsCache, updateAggregate } from './metrics';
+import { DEFAULT_SETTINGS } from './rateCards';
+
+const show = (id, actualRoomCost) => ({ id, destination: id, checkIn: '2025-07-01', nights: 3, meetingDays: 1, actualRoomCost, actualMeetingCost: 50 });
+
+test('keeps the totals right while only recounting the shows that changed', () => {
+    const calculate = jest.fn(s => calculateMetrics(s, DEFAULT_SETTINGS));
+    const shows = [show('a', 200), show('b', 250), show('c', 300)];
+    let aggregate = updateAggregate(null, shows, calculate);
+    expect(aggregate.totals).toEqual(aggregateMetrics(shows, calculate));
+
+    calculate.mockClear();
+    const edited = [shows[0], show('b', 150), show('d', 100)];
+    aggregate = updateAggregate(aggregate, edited, calculate);
+    expect(calculate.mock.calls.map(([s]) => s.id)).toEqual(['b', 'd']);
+    const expected = aggregateMetrics(edited, s => calculateMetrics(s, DEFAULT_SETTINGS));
+    Object.entries(expected).forEach(([field, value]) => expect(aggregate.totals[field]).toBeCloseTo(value));
+});
+
+test('works each show out once until it is replaced', () => {
+    const calculate = jest.fn(s => calculateMetrics(s, DEFAULT_SETTINGS));
+    const cached = createMetricsCache(calculate);
+    const boston = show('a', 200);
+
+    expect(cached(boston)).toBe(cached(boston));
+    cached({ ...boston, actualRoomCost: 100 });
+    expect(calculate).toHaveBeenCalledTimes(2);
+});
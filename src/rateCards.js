@@ -0,0 +1,142 @@
+import { getShowDate } from './showDates';
+import { DEFAULT_EXPENSE_CATEGORIES } from './expenses';
+import { DEFAULT_REPORTING_CURRENCY, formatMoney } from './currency';
+
+// --- Rate Cards & Commission Rules ---
+// A rate card fixes the room/meeting budget rates and the commission rules for
+// one market tier from its effective date onwards. Cards are never edited in
+// place: a rate change is recorded as a new card with a later effective date,
+// so shows that took place under an older card keep their original numbers.
+// A show also records the card and tier it was costed with when it is saved:
+//   costing: { rateCardId, marketTierId }
+// so a card added later with an earlier effective date, or a city moved to
+// another tier, doesn't reprice shows that already exist.
+
+export const DEFAULT_TIER_ID = 'default';
+
+export const DEFAULT_SETTINGS = {
+    marketTiers: [
+        { id: DEFAULT_TIER_ID, name: 'Standard', cities: [] }
+    ],
+    rateCards: [
+        {
+            id: 'default-1970',
+            marketTierId: DEFAULT_TIER_ID,
+            effectiveFrom: '1970-01-01',
+            roomRatePerNight: 100,
+            meetingRatePerDay: 100,
+            commission: {
+                tiers: [{ upTo: null, rate: 0.20 }],
+                cap: null
+            }
+        }
+    ],
+    expenseCategories: DEFAULT_EXPENSE_CATEGORIES,
+    reportingCurrency: DEFAULT_REPORTING_CURRENCY,
+    exchangeRates: [],
+    clients: []
+};
+
+const normalizeCity = (city) => (city || '').trim().toLowerCase();
+
+export const getCosting = (show) => show.costing || null;
+
+// The tier the show was costed with wins, then an explicit tier on the show;
+// otherwise the destination is matched against each tier's city list,
+// falling back to the default tier.
+export const resolveMarketTier = (show, settings) => {
+    const tiers = settings.marketTiers || [];
+    const costed = tiers.find(t => t.id === getCosting(show)?.marketTierId);
+    if (costed) return costed;
+    if (show.marketTierId) {
+        const explicit = tiers.find(t => t.id === show.marketTierId);
+        if (explicit) return explicit;
+    }
+    const destination = normalizeCity(show.destination);
+    if (destination) {
+        const matched = tiers.find(t => (t.cities || []).some(city => {
+            const normalized = normalizeCity(city);
+            return normalized && destination.includes(normalized);
+        }));
+        if (matched) return matched;
+    }
+    return tiers.find(t => t.id === DEFAULT_TIER_ID) || tiers[0] || DEFAULT_SETTINGS.marketTiers[0];
+};
+
+// Latest card for the tier whose effective date is on or before the given date.
+const latestCardFor = (cards, tierId, date) => cards
+    .filter(card => card.marketTierId === tierId && card.effectiveFrom <= date)
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))[0];
+
+export const resolveRateCard = (show, settings) => {
+    const cards = settings.rateCards || [];
+    const costed = cards.find(card => card.id === getCosting(show)?.rateCardId);
+    if (costed) return costed;
+    const date = getShowDate(show);
+    const tier = resolveMarketTier(show, settings);
+    return latestCardFor(cards, tier.id, date)
+        || latestCardFor(cards, DEFAULT_TIER_ID, date)
+        || DEFAULT_SETTINGS.rateCards[0];
+};
+
+// The fields that decide which card and tier apply.
+const COSTING_FIELDS = ['destination', 'marketTierId', 'checkIn', 'checkOut', 'meetingDates', 'createdAt'];
+
+// Records the card and tier a show is costed with. Given the show as it was
+// before an edit, the recorded costing is kept unless the edit changed one of
+// the fields that chose it.
+export const recordCosting = (show, settings, previous = null) => {
+    const unchanged = getCosting(previous || {})
+        && COSTING_FIELDS.every(field => JSON.stringify(previous[field]) === JSON.stringify(show[field]));
+    if (unchanged) return { ...show, costing: previous.costing };
+    const uncosted = { ...show, costing: null };
+    return {
+        ...show,
+        costing: { rateCardId: resolveRateCard(uncosted, settings).id, marketTierId: resolveMarketTier(uncosted, settings).id }
+    };
+};
+
+// Shows dated on or after `effectiveFrom` that fall in the tier, i.e. the
+// ones a new card with that date would have applied to.
+export const findShowsCoveredBy = ({ marketTierId, effectiveFrom }, shows, settings) =>
+    shows.filter(show => getShowDate(show) >= effectiveFrom && resolveMarketTier(show, settings).id === marketTierId);
+
+// Tiers are marginal: each rate applies only to the slice of savings that
+// falls inside its band. A tier with `upTo: null` covers everything above.
+export const calculateCommission = (savings, rules) => {
+    if (!(savings > 0) || !rules) return 0;
+    const tiers = [...(rules.tiers || [])].sort((a, b) => {
+        if (a.upTo == null) return 1;
+        if (b.upTo == null) return -1;
+        return a.upTo - b.upTo;
+    });
+    let commission = 0;
+    let lowerBound = 0;
+    for (const tier of tiers) {
+        const upperBound = tier.upTo == null ? Infinity : tier.upTo;
+        if (savings <= lowerBound) break;
+        const slice = Math.min(savings, upperBound) - lowerBound;
+        if (slice > 0) commission += slice * (tier.rate || 0);
+        lowerBound = upperBound;
+    }
+    if (rules.cap != null && rules.cap >= 0) {
+        commission = Math.min(commission, rules.cap);
+    }
+    return commission;
+};
+
+export const isRateCardInUse = (card, shows, settings) =>
+    shows.some(show => resolveRateCard(show, settings).id === card.id);
+
+export const describeCommissionRules = (rules, currency = DEFAULT_REPORTING_CURRENCY) => {
+    const tiers = rules.tiers || [];
+    const parts = tiers.map((tier, index) => {
+        const percent = `${+(tier.rate * 100).toFixed(2)}%`;
+        if (tier.upTo == null) {
+            return index === 0 ? percent : `${percent} above`;
+        }
+        return `${percent} up to ${formatMoney(tier.upTo, currency)}`;
+    });
+    const summary = parts.join(', ') || 'No commission';
+    return rules.cap != null ? `${summary} (cap ${formatMoney(rules.cap, currency)})` : summary;
+};
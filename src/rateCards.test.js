@@ -0,0 +1,55 @@
+import { calculateCommission, findShowsCoveredBy, recordCosting, resolveRateCard, DEFAULT_SETTINGS, DEFAULT_TIER_ID } from './rateCards';
+import { calculateMetrics } from './metrics';
+
+const tieredRules = { tiers: [{ upTo: 2000, rate: 0.15 }, { upTo: null, rate: 0.25 }], cap: null };
+
+test('applies commission tiers marginally', () => {
+    expect(calculateCommission(1000, tieredRules)).toBeCloseTo(150);
+    expect(calculateCommission(3000, tieredRules)).toBeCloseTo(300 + 250);
+    expect(calculateCommission(-50, tieredRules)).toBe(0);
+});
+
+test('caps commission per show', () => {
+    expect(calculateCommission(3000, { ...tieredRules, cap: 400 })).toBe(400);
+});
+
+test('uses the rate card in effect on the show date', () => {
+    const settings = {
+        marketTiers: [
+            ...DEFAULT_SETTINGS.marketTiers,
+            { id: 'major', name: 'Major Metro', cities: ['New York'] }
+        ],
+        rateCards: [
+            ...DEFAULT_SETTINGS.rateCards,
+            { id: 'major-2024', marketTierId: 'major', effectiveFrom: '2024-01-01', roomRatePerNight: 250, meetingRatePerDay: 300, commission: tieredRules },
+            { id: 'default-2025', marketTierId: DEFAULT_TIER_ID, effectiveFrom: '2025-01-01', roomRatePerNight: 120, meetingRatePerDay: 100, commission: tieredRules }
+        ]
+    };
+    const oldShow = { destination: 'Denver', createdAt: '2024-06-01T00:00:00.000Z', nights: 10, meetingDays: 0, actualRoomCost: 500 };
+    const newShow = { ...oldShow, createdAt: '2025-06-01T00:00:00.000Z' };
+
+    expect(resolveRateCard(oldShow, settings).id).toBe('default-1970');
+    expect(calculateMetrics(oldShow, settings).commission).toBeCloseTo(100);
+    expect(resolveRateCard(newShow, settings).id).toBe('default-2025');
+    expect(resolveRateCard({ ...newShow, destination: 'New York City' }, settings).id).toBe('major-2024');
+    expect(resolveRateCard({ ...oldShow, createdAt: '2023-06-01T00:00:00.000Z', destination: 'New York' }, settings).id).toBe('default-1970');
+});
+
+test('keeps the card a show was costed with when a backdated card is added or its city changes tier', () => {
+    const show = recordCosting({ destination: 'Boston', checkIn: '2025-06-01', nights: 10, meetingDays: 0, actualRoomCost: 500 }, DEFAULT_SETTINGS);
+    expect(show.costing).toEqual({ rateCardId: 'default-1970', marketTierId: DEFAULT_TIER_ID });
+
+    const settings = {
+        marketTiers: [...DEFAULT_SETTINGS.marketTiers, { id: 'major', name: 'Major Metro', cities: ['Boston'] }],
+        rateCards: [
+            ...DEFAULT_SETTINGS.rateCards,
+            { id: 'major-2025', marketTierId: 'major', effectiveFrom: '2025-01-01', roomRatePerNight: 250, meetingRatePerDay: 300, commission: tieredRules }
+        ]
+    };
+    expect(calculateMetrics(show, settings).commission).toBeCloseTo(100);
+    expect(findShowsCoveredBy(settings.rateCards[1], [show], settings)).toEqual([]);
+
+    // Editing something else keeps the card; moving the dates picks again.
+    expect(recordCosting({ ...show, notes: 'Late checkout' }, settings, show).costing).toEqual(show.costing);
+    expect(recordCosting({ ...show, checkIn: '2025-06-02' }, settings, show).costing).toEqual({ rateCardId: 'major-2025', marketTierId: 'major' });
+});
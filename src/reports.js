@@ -0,0 +1,235 @@
+import { DEFAULT_FILTERS, applyFilters } from './showFilters';
+import { aggregateMetrics } from './metrics';
+import { formatMoney, getReportingCurrency } from './currency';
+import { describeAssignees, getAssignees } from './salespeople';
+import { formatDateRange, getShowRange } from './showDates';
+import { getStatus, getStatusInfo, splitCommission } from './lifecycle';
+
+// jsPDF is only downloaded when someone asks for a PDF.
+const loadJsPDF = () => import('jspdf');
+
+// --- Reports ---
+// A settlement sheet for one show and a summary for a date range. Each is
+// built as plain data first (every figure already formatted), then drawn
+// onto a PDF page. The browser's print stylesheet is the fallback when a PDF
+// can't be produced.
+
+const formatPeriod = ({ from, to }) => {
+    if (from && to) return formatDateRange({ start: from, end: to });
+    if (from) return `From ${formatDateRange({ start: from, end: from })}`;
+    if (to) return `Up to ${formatDateRange({ start: to, end: to })}`;
+    return 'All dates';
+};
+
+export const buildSettlementSheet = (show, { metrics, settings, salespeople }) => {
+    const currency = getReportingCurrency(settings);
+    const money = (amount) => formatMoney(amount, currency);
+    const line = (label, budget, actual) => [label, budget === null ? '' : money(budget), money(actual), budget === null ? '' : money(budget - actual)];
+    const rows = [
+        line(`Sleeping rooms (${show.nights || 0} nights)`, metrics.roomBudget, metrics.actualRoomCost),
+        line(`Meeting space (${show.meetingDays || 0} days)`, metrics.meetingBudget, metrics.actualMeetingCost)
+    ];
+    if (metrics.extraCost !== 0) rows.push(line('Other costs', null, metrics.extraCost));
+    if (metrics.adjustmentCost !== 0) rows.push(line('Adjustments', null, metrics.adjustmentCost));
+    const split = splitCommission(show, metrics.commission);
+
+    return {
+        title: 'Settlement Sheet',
+        heading: show.destination,
+        details: [
+            ['Dates', formatDateRange(getShowRange(show))],
+            ['Status', getStatusInfo(getStatus(show)).label],
+            ['Salespeople', describeAssignees(show, salespeople)],
+            ['Market tier', metrics.marketTier.name],
+            ['Rate card', `Effective ${metrics.rateCard.effectiveFrom}`],
+            ['Currency', currency]
+        ],
+        table: {
+            columns: ['', 'Budget', 'Actual', 'Savings'],
+            rows,
+            total: ['Total', money(metrics.totalBudget), money(metrics.actualSpend), money(metrics.savings)]
+        },
+        commission: [
+            ['Commission', money(metrics.commission)],
+            ...getAssignees(show).map(a => [
+                `${salespeople.find(p => p.id === a.salespersonId)?.name || 'Unknown'} (${a.split}%)`,
+                money(metrics.commission * a.split / 100)
+            ]),
+            ['Paid', money(split.paid)],
+            ['Still to pay', money(split.pending + split.approved)]
+        ],
+        notes: show.notes || 'No notes.',
+        signOff: ['Prepared by', 'Approved by']
+    };
+};
+
+// Shows are picked exactly as the All Shows date filter picks them, so the
+// totals match the dashboard for the same range.
+export const buildPeriodReport = (shows, period, calculateMetrics, settings) => {
+    const currency = getReportingCurrency(settings);
+    const money = (amount) => formatMoney(amount, currency);
+    const included = applyFilters(shows, { ...DEFAULT_FILTERS, from: period.from, to: period.to, sort: 'date', dir: 'asc' }, calculateMetrics);
+    const totals = aggregateMetrics(included, calculateMetrics);
+
+    return {
+        title: 'Period Summary',
+        heading: formatPeriod(period),
+        showCount: included.length,
+        totals,
+        summary: [
+            ['Shows', String(included.length)],
+            ['Total budget', money(totals.totalBudgeted)],
+            ['Total spent', money(totals.totalSpent)],
+            ['Total savings', money(totals.totalSavings)],
+            ['Total commission', money(totals.totalCommission)],
+            ['Commission paid', money(totals.paidCommission)]
+        ],
+        table: {
+            columns: ['Dates', 'Show', 'Status', 'Budget', 'Spent', 'Savings', 'Commission'],
+            rows: included.map(show => {
+                const metrics = calculateMetrics(show);
+                return [
+                    formatDateRange(getShowRange(show)),
+                    show.destination,
+                    getStatusInfo(getStatus(show)).label,
+                    money(metrics.totalBudget),
+                    money(metrics.actualSpend),
+                    money(metrics.savings),
+                    money(metrics.commission)
+                ];
+            }),
+            total: ['Total', `${included.length} shows`, '', money(totals.totalBudgeted), money(totals.totalSpent), money(totals.totalSavings), money(totals.totalCommission)]
+        },
+        signOff: ['Prepared by', 'Reviewed by']
+    };
+};
+
+// --- PDF Rendering ---
+const MARGIN = 48;
+const LINE = 16;
+
+// A cursor down the page that starts a new page when the next line won't fit.
+const createWriter = (doc) => {
+    const width = doc.internal.pageSize.getWidth();
+    const height = doc.internal.pageSize.getHeight();
+    const writer = {
+        doc,
+        left: MARGIN,
+        right: width - MARGIN,
+        y: MARGIN,
+        ensureSpace(needed) {
+            if (writer.y + needed > height - MARGIN) {
+                doc.addPage();
+                writer.y = MARGIN;
+            }
+        },
+        text(value, { size = 10, bold = false, gap = LINE } = {}) {
+            doc.setFont('helvetica', bold ? 'bold' : 'normal');
+            doc.setFontSize(size);
+            const lines = doc.splitTextToSize(value, writer.right - writer.left);
+            lines.forEach(text => {
+                writer.ensureSpace(gap);
+                doc.text(text, writer.left, writer.y);
+                writer.y += gap;
+            });
+        },
+        space(amount = LINE / 2) {
+            writer.y += amount;
+        }
+    };
+    return writer;
+};
+
+const writeHeader = (writer, { title, heading }) => {
+    writer.text(title, { size: 10 });
+    writer.text(heading, { size: 18, bold: true, gap: 24 });
+    writer.space();
+};
+
+const writePairs = (writer, pairs) => {
+    pairs.forEach(([label, value]) => {
+        writer.ensureSpace(LINE);
+        writer.doc.setFont('helvetica', 'bold');
+        writer.doc.setFontSize(10);
+        writer.doc.text(label, writer.left, writer.y);
+        writer.doc.setFont('helvetica', 'normal');
+        writer.doc.text(value, writer.left + 130, writer.y);
+        writer.y += LINE;
+    });
+    writer.space();
+};
+
+// The first column takes whatever the others leave; the rest are right-aligned.
+const writeTable = (writer, { columns, rows, total }, { firstColumns = 1 } = {}) => {
+    const { doc } = writer;
+    const numericCount = columns.length - firstColumns;
+    const numericWidth = 80;
+    const textWidth = (writer.right - writer.left - numericCount * numericWidth) / firstColumns;
+    const xOf = (index) => (index < firstColumns
+        ? writer.left + index * textWidth
+        : writer.left + firstColumns * textWidth + (index - firstColumns + 1) * numericWidth);
+    const writeRow = (cells, bold) => {
+        writer.ensureSpace(LINE);
+        doc.setFont('helvetica', bold ? 'bold' : 'normal');
+        doc.setFontSize(9);
+        cells.forEach((cell, index) => {
+            if (index < firstColumns) {
+                doc.text(doc.splitTextToSize(cell, textWidth - 6)[0] || '', xOf(index), writer.y);
+            } else {
+                doc.text(cell, xOf(index), writer.y, { align: 'right' });
+            }
+        });
+        writer.y += LINE;
+    };
+    writeRow(columns, true);
+    doc.line(writer.left, writer.y - LINE + 4, writer.right, writer.y - LINE + 4);
+    rows.forEach(cells => writeRow(cells, false));
+    writer.ensureSpace(LINE);
+    doc.line(writer.left, writer.y - LINE + 4, writer.right, writer.y - LINE + 4);
+    writeRow(total, true);
+    writer.space();
+};
+
+const writeSignOff = (writer, labels) => {
+    writer.ensureSpace(LINE * 5);
+    writer.y += LINE * 3;
+    const columnWidth = (writer.right - writer.left - 36) / labels.length;
+    labels.forEach((label, index) => {
+        const x = writer.left + index * (columnWidth + 36);
+        writer.doc.line(x, writer.y, x + columnWidth, writer.y);
+        writer.doc.setFont('helvetica', 'normal');
+        writer.doc.setFontSize(9);
+        writer.doc.text(`${label} / Date`, x, writer.y + 12);
+    });
+    writer.y += LINE * 2;
+};
+
+const createDocument = async (orientation = 'portrait') => {
+    const { jsPDF } = await loadJsPDF();
+    return new jsPDF({ unit: 'pt', format: 'letter', orientation });
+};
+
+export const renderSettlementPdf = async (sheet) => {
+    const doc = await createDocument();
+    const writer = createWriter(doc);
+    writeHeader(writer, sheet);
+    writePairs(writer, sheet.details);
+    writer.text('Budget vs. Actual', { size: 12, bold: true });
+    writeTable(writer, sheet.table);
+    writer.text('Commission', { size: 12, bold: true });
+    writePairs(writer, sheet.commission);
+    writer.text('Notes', { size: 12, bold: true });
+    writer.text(sheet.notes);
+    writeSignOff(writer, sheet.signOff);
+    return doc;
+};
+
+export const renderPeriodReportPdf = async (report) => {
+    const doc = await createDocument('landscape');
+    const writer = createWriter(doc);
+    writeHeader(writer, report);
+    writePairs(writer, report.summary);
+    writeTable(writer, report.table, { firstColumns: 3 });
+    writeSignOff(writer, report.signOff);
+    return doc;
+};
@@ -0,0 +1,51 @@
+import { buildPeriodReport, buildSettlementSheet } from './reports';
+import { aggregateMetrics, calculateMetrics } from './metrics';
+import { DEFAULT_SETTINGS } from './rateCards';
+
+// Default rate card: $100 a night, $100 a meeting day, 20% commission.
+const boston = {
+    id: 'b1', destination: 'Boston', checkIn: '2025-07-01', nights: 3, meetingDays: 1, status: 'completed',
+    actualRoomCost: 250, actualMeetingCost: 50, notes: 'Hotel waived the resort fee.',
+    assignees: [{ salespersonId: 'alice', split: 60 }, { salespersonId: 'bob', split: 40 }]
+};
+const salespeople = [{ id: 'alice', name: 'Alice' }, { id: 'bob', name: 'Bob' }];
+const calculate = (show) => calculateMetrics(show, DEFAULT_SETTINGS);
+
+test('lays out the budget vs. actual breakdown and the commission split for one show', () => {
+    const sheet = buildSettlementSheet(boston, { metrics: calculate(boston), settings: DEFAULT_SETTINGS, salespeople });
+
+    expect(sheet.heading).toBe('Boston');
+    expect(sheet.table.rows).toEqual([
+        ['Sleeping rooms (3 nights)', '$300.00', '$250.00', '$50.00'],
+        ['Meeting space (1 days)', '$100.00', '$50.00', '$50.00']
+    ]);
+    expect(sheet.table.total).toEqual(['Total', '$400.00', '$300.00', '$100.00']);
+    expect(sheet.commission).toEqual([
+        ['Commission', '$20.00'], ['Alice (60%)', '$12.00'], ['Bob (40%)', '$8.00'],
+        ['Paid', '$0.00'], ['Still to pay', '$20.00']
+    ]);
+    expect(sheet.notes).toBe('Hotel waived the resort fee.');
+});
+
+test('totals the period exactly as the dashboard does for the same date filter', () => {
+    const shows = [
+        boston,
+        { ...boston, id: 'b2', destination: 'Austin', checkIn: '2025-08-10', actualRoomCost: 320 },
+        { ...boston, id: 'b3', destination: 'Denver', checkIn: '2025-10-02' }
+    ];
+    const report = buildPeriodReport(shows, { from: '2025-07-01', to: '2025-09-30' }, calculate, DEFAULT_SETTINGS);
+
+    expect(report.showCount).toBe(2);
+    expect(report.totals).toEqual(aggregateMetrics(shows.slice(0, 2), calculate));
+    expect(report.table.rows.map(row => row[1])).toEqual(['Boston', 'Austin']);
+    expect(report.table.total).toEqual(['Total', '2 shows', '', '$800.00', '$670.00', '$130.00', '$26.00']);
+});
+
+test('names open-ended periods and lists additional costs on their own lines', () => {
+    const withExtras = { ...boston, expenses: [{ id: 'e1', category: 'other', amount: 40 }] };
+    const sheet = buildSettlementSheet(withExtras, { metrics: calculate(withExtras), settings: DEFAULT_SETTINGS, salespeople });
+
+    expect(sheet.table.rows[2]).toEqual(['Other costs', '', '$40.00', '']);
+    expect(buildPeriodReport([], { from: '', to: '' }, calculate, DEFAULT_SETTINGS).heading).toBe('All dates');
+    expect(buildPeriodReport([], { from: '2025-07-01', to: '' }, calculate, DEFAULT_SETTINGS).heading).toMatch(/^From /);
+});
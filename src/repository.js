@@ -0,0 +1,238 @@
+import { SCHEMA_VERSION, STORAGE_KEY, loadData, saveData, upgradeEnvelope } from './storage';
+
+// --- Repository ---
+// Where the app's data is kept between visits. In browsers with IndexedDB
+// every show and every change-log entry is a record of its own, so an edit
+// writes only what it touched:
+//   shows     keyed by id
+//   history   keyed by id
+//   meta      'schemaVersion', 'settings' and 'salespeople'
+// Elsewhere the single localStorage envelope from storage.js is used as
+// before. Both are driven the same way: `load()` once, then `save(data,
+// changes)` after each change, with `changes` from diffData.
+//
+// Other tabs write to the same place. A save only ever touches what it
+// changed, and a full rewrite (`replaceAll`, after a failed save) puts this
+// tab's changes since its last good save on top of whatever is stored, so
+// neither drops records another tab wrote nor brings back ones this tab
+// removed.
+
+const DB_NAME = 'roadshow-savings';
+const DB_VERSION = 1;
+const STORES = ['shows', 'history', 'meta'];
+
+// --- Change Detection ---
+// Records are replaced, never mutated, so anything that isn't the same object
+// as last time has changed.
+export const diffById = (previous, next) => {
+    const before = new Map(previous.map(record => [record.id, record]));
+    const ids = new Set(next.map(record => record.id));
+    return {
+        put: next.filter(record => before.get(record.id) !== record),
+        remove: previous.filter(record => !ids.has(record.id)).map(record => record.id)
+    };
+};
+
+export const diffData = (previous, next) => ({
+    shows: diffById(previous.shows, next.shows),
+    history: diffById(previous.history, next.history),
+    settings: previous.settings !== next.settings,
+    salespeople: previous.salespeople !== next.salespeople
+});
+
+export const hasChanges = (changes) => changes.shows.put.length > 0 || changes.shows.remove.length > 0
+    || changes.history.put.length > 0 || changes.history.remove.length > 0
+    || changes.settings || changes.salespeople;
+
+// Puts one tab's changes into the data as stored. New shows go first, as the
+// app lists them.
+const applyChanges = (stored, data, changes) => {
+    const apply = (records, { put, remove }, newFirst) => {
+        const changed = new Map(put.map(record => [record.id, record]));
+        const kept = records.filter(record => !remove.includes(record.id)).map(record => changed.get(record.id) || record);
+        const storedIds = new Set(records.map(record => record.id));
+        const added = put.filter(record => !storedIds.has(record.id));
+        return newFirst ? [...added, ...kept] : [...kept, ...added];
+    };
+    return {
+        ...stored,
+        shows: apply(stored.shows, changes.shows, true),
+        history: apply(stored.history, changes.history, false),
+        settings: changes.settings ? data.settings : stored.settings,
+        salespeople: changes.salespeople ? data.salespeople : stored.salespeople
+    };
+};
+
+// --- Storage Errors ---
+// What to tell the user when a save fails, including what they can do about it.
+export const describeStorageError = (error) => {
+    if (error && (error.name === 'QuotaExceededError' || /quota/i.test(error.message || ''))) {
+        return 'This browser has run out of storage space, so your latest changes have not been saved. '
+            + 'Download a backup now, then free up space by permanently deleting shows in the Trash or removing large attachments, and try again.';
+    }
+    return `Your latest changes could not be saved to this browser (${error?.message || 'unknown error'}). `
+        + 'Download a backup so nothing is lost, then try again or reload the page.';
+};
+
+// --- IndexedDB ---
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const completion = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('The save was interrupted.'));
+});
+
+const openDatabase = (factory) => {
+    const request = factory.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('shows', { keyPath: 'id' });
+        db.createObjectStore('history', { keyPath: 'id' });
+        db.createObjectStore('meta');
+    };
+    return promisify(request);
+};
+
+const writeAll = (transaction, data) => {
+    const [shows, history, meta] = STORES.map(name => transaction.objectStore(name));
+    shows.clear();
+    history.clear();
+    data.shows.forEach(show => shows.put(show));
+    data.history.forEach(entry => history.put(entry));
+    meta.put(SCHEMA_VERSION, 'schemaVersion');
+    meta.put(data.settings, 'settings');
+    meta.put(data.salespeople, 'salespeople');
+};
+
+const createIndexedDbRepository = (factory, storage) => {
+    let opening = null;
+    const database = () => {
+        if (!opening) opening = openDatabase(factory);
+        return opening;
+    };
+
+    // Stores the data as loaded or upgraded, as it is.
+    const rewrite = async (data) => {
+        const transaction = (await database()).transaction(STORES, 'readwrite');
+        writeAll(transaction, data);
+        await completion(transaction);
+    };
+
+    // Rewrites everything, as stored with these changes on top, in one
+    // transaction.
+    const replaceAll = async (data, changes) => {
+        const transaction = (await database()).transaction(STORES, 'readwrite');
+        const [shows, history, meta] = STORES.map(name => transaction.objectStore(name));
+        const [settings, salespeople, showRecords, historyRecords] = await Promise.all([
+            promisify(meta.get('settings')),
+            promisify(meta.get('salespeople')),
+            promisify(shows.getAll()),
+            promisify(history.getAll())
+        ]);
+        const stored = { shows: showRecords, history: historyRecords, settings: settings || data.settings, salespeople: salespeople || [] };
+        writeAll(transaction, applyChanges(stored, data, changes));
+        await completion(transaction);
+    };
+
+    return {
+        open: database,
+
+        // The first visit after the upgrade moves the localStorage envelope
+        // across, then frees the space it took up.
+        async load() {
+            const db = await database();
+            const transaction = db.transaction(STORES, 'readonly');
+            const [shows, history, meta] = STORES.map(name => transaction.objectStore(name));
+            const [schemaVersion, settings, salespeople, showRecords, historyRecords] = await Promise.all([
+                promisify(meta.get('schemaVersion')),
+                promisify(meta.get('settings')),
+                promisify(meta.get('salespeople')),
+                promisify(shows.getAll()),
+                promisify(history.getAll())
+            ]);
+
+            if (schemaVersion === undefined) {
+                const { data, notices } = loadData(storage);
+                await rewrite(data);
+                storage.removeItem(STORAGE_KEY);
+                return { data, notices };
+            }
+
+            const { data, fromVersion } = upgradeEnvelope({
+                schemaVersion,
+                data: { shows: showRecords, history: historyRecords, settings, salespeople }
+            });
+            if (fromVersion < SCHEMA_VERSION) await rewrite(data);
+            return { data, notices: [] };
+        },
+
+        async save(data, changes) {
+            const transaction = (await database()).transaction(STORES, 'readwrite');
+            const [shows, history, meta] = STORES.map(name => transaction.objectStore(name));
+            changes.shows.put.forEach(show => shows.put(show));
+            changes.shows.remove.forEach(id => shows.delete(id));
+            changes.history.put.forEach(entry => history.put(entry));
+            changes.history.remove.forEach(id => history.delete(id));
+            if (changes.settings) meta.put(data.settings, 'settings');
+            if (changes.salespeople) meta.put(data.salespeople, 'salespeople');
+            await completion(transaction);
+        },
+
+        replaceAll
+    };
+};
+
+// --- localStorage ---
+// The envelope is one value, so every save writes all of it: this tab's
+// changes on top of the envelope as it is now, or the data as given when
+// there are no changes to go by or nothing stored since before versioning.
+// An envelope this tab can't read (corrupt, or from a newer version of the
+// app in another tab) fails the save rather than being written over.
+const createLocalStorageRepository = (storage) => {
+    const readStored = () => {
+        const raw = storage.getItem(STORAGE_KEY);
+        if (raw === null) return null;
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            throw new Error('The saved data in this browser could not be read, so it was left as it is.');
+        }
+        return Array.isArray(parsed) ? null : upgradeEnvelope(parsed).data;
+    };
+    const save = async (data, changes) => {
+        const stored = changes && readStored();
+        saveData(stored ? applyChanges(stored, data, changes) : data, storage);
+    };
+    return {
+        load: async () => loadData(storage),
+        save,
+        replaceAll: save
+    };
+};
+
+// Some private browsing modes refuse to open IndexedDB at all; those carry
+// on with localStorage. Any other failure is left for the caller to report.
+export const createRepository = ({ factory = window.indexedDB, storage = localStorage } = {}) => {
+    const fallback = createLocalStorageRepository(storage);
+    if (!factory) return fallback;
+    const indexedDb = createIndexedDbRepository(factory, storage);
+    let active = indexedDb;
+    return {
+        async load() {
+            try {
+                await indexedDb.open();
+            } catch (error) {
+                console.error("Error opening IndexedDB", error);
+                active = fallback;
+            }
+            return active.load();
+        },
+        save: (data, changes) => active.save(data, changes),
+        replaceAll: (data, changes) => active.replaceAll(data, changes)
+    };
+};
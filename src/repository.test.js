@@ -0,0 +1,108 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { STORAGE_KEY, listQuarantine, saveData } from './storage';
+import { DEFAULT_SETTINGS } from './rateCards';
+import { createRepository, describeStorageError, diffData } from './repository';
+
+beforeEach(() => localStorage.clear());
+
+const data = {
+    shows: [{ id: 'a', destination: 'Boston' }, { id: 'b', destination: 'Denver' }],
+    settings: DEFAULT_SETTINGS,
+    salespeople: [{ id: 'p1', name: 'Alice' }],
+    history: []
+};
+
+test('moves the localStorage envelope into IndexedDB and writes only what changed after', async () => {
+    saveData(data);
+    const factory = new IDBFactory();
+    const first = await createRepository({ factory }).load();
+    expect(first.data.shows.map(show => show.destination)).toEqual(['Boston', 'Denver']);
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+
+    const repository = createRepository({ factory });
+    const { data: loaded } = await repository.load();
+    const next = {
+        ...loaded,
+        shows: [{ ...loaded.shows[0], destination: 'Boston (revised)' }, { id: 'c', destination: 'Austin' }]
+    };
+    const changes = diffData(loaded, next);
+    expect(changes.shows.put.map(show => show.id)).toEqual(['a', 'c']);
+    expect(changes.shows.remove).toEqual(['b']);
+    expect(changes.settings).toBe(false);
+    await repository.save(next, changes);
+
+    const reloaded = await createRepository({ factory }).load();
+    expect(reloaded.data.shows.map(show => show.destination).sort()).toEqual(['Austin', 'Boston (revised)']);
+    expect(reloaded.data.salespeople).toEqual(data.salespeople);
+});
+
+test('keeps using localStorage where IndexedDB is missing or refuses to open', async () => {
+    const refusing = { open: () => { throw new Error('Blocked in private browsing'); } };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    for (const factory of [null, refusing]) {
+        localStorage.clear();
+        saveData(data);
+        const repository = createRepository({ factory });
+        const { data: loaded } = await repository.load();
+        await repository.save({ ...loaded, shows: loaded.shows.slice(1) }, null);
+        expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).data.shows.map(show => show.id)).toEqual(['b']);
+    }
+    console.error.mockRestore();
+});
+
+test('keeps records another tab saved when this one saves or rewrites everything', async () => {
+    const factory = new IDBFactory();
+    saveData(data);
+    for (const options of [{ factory }, { factory: null }]) {
+        if (!options.factory) saveData(data);
+        const tabA = createRepository(options);
+        const tabB = createRepository(options);
+        const { data: inA } = await tabA.load();
+        const { data: inB } = await tabB.load();
+
+        const added = { ...inA, shows: [{ id: 'c', destination: 'Austin' }, ...inA.shows] };
+        await tabA.save(added, diffData(inA, added));
+        const edited = { ...inB, shows: [{ ...inB.shows[0], destination: 'Boston (revised)' }, inB.shows[1]] };
+        await tabB.save(edited, diffData(inB, edited));
+        await tabB.replaceAll(edited, diffData(inB, edited));
+
+        const { data: reloaded } = await createRepository(options).load();
+        expect(reloaded.shows.map(show => show.destination).sort()).toEqual(['Austin', 'Boston (revised)', 'Denver']);
+    }
+});
+
+test('keeps what this tab removed out of a rewrite after a failed save', async () => {
+    const factory = new IDBFactory();
+    saveData(data);
+    for (const options of [{ factory }, { factory: null }]) {
+        if (!options.factory) saveData(data);
+        const repository = createRepository(options);
+        const { data: loaded } = await repository.load();
+        // The purge never made it in, and the next edit is written in full.
+        const purged = { ...loaded, shows: loaded.shows.slice(1) };
+        const edited = { ...purged, shows: [{ ...purged.shows[0], destination: 'Denver (revised)' }] };
+        await repository.replaceAll(edited, diffData(loaded, edited));
+
+        const { data: reloaded } = await createRepository(options).load();
+        expect(reloaded.shows.map(show => show.destination)).toEqual(['Denver (revised)']);
+    }
+});
+
+test('refuses to save over a localStorage envelope it cannot read', async () => {
+    const repository = createRepository({ factory: null });
+    const { data: loaded } = await repository.load();
+    const next = { ...loaded, shows: [{ id: 'c', destination: 'Austin' }] };
+    for (const raw of ['{not json', JSON.stringify({ schemaVersion: 999, data: {} })]) {
+        localStorage.setItem(STORAGE_KEY, raw);
+        await expect(repository.save(next, diffData(loaded, next))).rejects.toThrow();
+        await expect(repository.replaceAll(next, diffData(loaded, next))).rejects.toThrow();
+        expect(localStorage.getItem(STORAGE_KEY)).toBe(raw);
+    }
+    expect(listQuarantine(localStorage)).toEqual([]);
+});
+
+test('tells the user how to recover from a full or failing store', () => {
+    const quota = new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    expect(describeStorageError(quota)).toMatch(/run out of storage space.*Download a backup/);
+    expect(describeStorageError(new Error('Disk I/O error'))).toMatch(/\(Disk I\/O error\).*try again or reload/);
+});
@@ -0,0 +1,70 @@
+import { getShowDate } from './showDates';
+
+// --- Salespeople & Commission Splits ---
+// A show is assigned to one or more salespeople. When a show is shared the
+// splits are percentages of the show's savings and commission and must add
+// up to 100.
+
+export const getAssignees = (show) => show.assignees || [];
+
+export const validateAssignees = (assignees) => {
+    if (assignees.length === 0 || assignees.some(a => !a.salespersonId)) {
+        return 'Assign the show to a salesperson.';
+    }
+    const ids = assignees.map(a => a.salespersonId);
+    if (new Set(ids).size !== ids.length) {
+        return 'A salesperson can only be assigned once per show.';
+    }
+    if (assignees.some(a => !(a.split > 0))) {
+        return 'Each split must be greater than 0%.';
+    }
+    const total = assignees.reduce((sum, a) => sum + a.split, 0);
+    if (Math.abs(total - 100) > 0.001) {
+        return `Splits must add up to 100% (currently ${+total.toFixed(2)}%).`;
+    }
+    return null;
+};
+
+export const isWithinPeriod = (show, { from, to }) => {
+    const date = getShowDate(show);
+    return (!from || date >= from) && (!to || date <= to);
+};
+
+// One statement line per show the salesperson worked on during the period,
+// carrying only their share of the savings and commission.
+export const buildStatement = (salespersonId, shows, calculateMetrics, period) => {
+    const lines = shows
+        .filter(show => isWithinPeriod(show, period))
+        .map(show => {
+            const assignee = getAssignees(show).find(a => a.salespersonId === salespersonId);
+            if (!assignee) return null;
+            const metrics = calculateMetrics(show);
+            const share = assignee.split / 100;
+            return {
+                show,
+                date: getShowDate(show),
+                split: assignee.split,
+                savings: metrics.savings * share,
+                commission: metrics.commission * share
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const totals = lines.reduce((acc, line) => {
+        acc.savings += line.savings;
+        acc.commission += line.commission;
+        return acc;
+    }, { savings: 0, commission: 0 });
+
+    return { lines, totals };
+};
+
+export const describeAssignees = (show, salespeople) => {
+    const assignees = getAssignees(show);
+    if (assignees.length === 0) return 'Unassigned';
+    return assignees.map(a => {
+        const name = salespeople.find(p => p.id === a.salespersonId)?.name || 'Unknown';
+        return assignees.length > 1 ? `${name} (${a.split}%)` : name;
+    }).join(', ');
+};
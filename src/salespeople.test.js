@@ -0,0 +1,23 @@
+import { buildStatement, validateAssignees } from './salespeople';
+
+test('requires an assignee and splits that add up to 100%', () => {
+    expect(validateAssignees([])).toMatch(/Assign/);
+    expect(validateAssignees([{ salespersonId: 'a', split: 60 }, { salespersonId: 'b', split: 30 }])).toMatch(/100%/);
+    expect(validateAssignees([{ salespersonId: 'a', split: 50 }, { salespersonId: 'a', split: 50 }])).toMatch(/only be assigned once/);
+    expect(validateAssignees([{ salespersonId: 'a', split: 60 }, { salespersonId: 'b', split: 40 }])).toBeNull();
+});
+
+test('builds a statement with each rep\'s share of shows in the period', () => {
+    const shows = [
+        { id: '1', destination: 'Boston', createdAt: '2025-03-01T00:00:00.000Z', assignees: [{ salespersonId: 'a', split: 60 }, { salespersonId: 'b', split: 40 }] },
+        { id: '2', destination: 'Denver', createdAt: '2025-05-01T00:00:00.000Z', assignees: [{ salespersonId: 'a', split: 100 }] },
+        { id: '3', destination: 'Austin', createdAt: '2024-05-01T00:00:00.000Z', assignees: [{ salespersonId: 'a', split: 100 }] }
+    ];
+    const calculateMetrics = () => ({ savings: 1000, commission: 200 });
+
+    const statement = buildStatement('a', shows, calculateMetrics, { from: '2025-01-01', to: '2025-12-31' });
+
+    expect(statement.lines.map(line => line.show.id)).toEqual(['1', '2']);
+    expect(statement.totals.savings).toBeCloseTo(1600);
+    expect(statement.totals.commission).toBeCloseTo(320);
+});
@@ -0,0 +1,38 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+// --- Service Worker ---
+// Everything the build produces, including the chunks loaded on demand (the
+// PDF and spreadsheet libraries), is cached on install, so the app opens and
+// works with no connection. The data never passes through here: it's kept in
+// IndexedDB, and cloud sync catches up once the connection is back.
+
+clientsClaim();
+
+// Filled in with the build's file list by react-scripts.
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every page is the app. Anything that looks like a file is left to the
+// network, as are Firebase's reserved /__/ paths.
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate' && !url.pathname.includes('/__/') && !fileExtension.test(url.pathname),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// The icons and manifest are copied from public/ rather than built, so
+// they're cached the first time they're asked for.
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && /\.(png|ico|json)$/.test(url.pathname),
+    new StaleWhileRevalidate({ cacheName: 'public-files', plugins: [new ExpirationPlugin({ maxEntries: 20 })] })
+);
+
+// A new version waits until the page tells it to take over, so a tab never
+// has its files swapped out from under it.
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
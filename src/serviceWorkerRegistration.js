@@ -0,0 +1,52 @@
+// --- Offline Support ---
+// Registers the service worker from src/service-worker.js, which makes the
+// app installable and usable offline. It's only built for production; in
+// development everything comes from the dev server.
+
+let waitingWorker = null;
+const updateListeners = new Set();
+
+const announceUpdate = (worker) => {
+    waitingWorker = worker;
+    updateListeners.forEach(listener => listener());
+};
+
+export const register = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    // A worker can only control pages from its own origin.
+    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    if (publicUrl.origin !== window.location.origin) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) announceUpdate(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const installing = registration.installing;
+                if (!installing) return;
+                installing.addEventListener('statechange', () => {
+                    // The first install only makes the app work offline; later ones are updates.
+                    if (installing.state === 'installed' && navigator.serviceWorker.controller) announceUpdate(installing);
+                });
+            });
+        }).catch(error => console.error("Error registering the service worker", error));
+    });
+};
+
+// listener() once a new version has downloaded and is waiting. Returns an
+// unsubscribe function.
+export const onUpdateReady = (listener) => {
+    if (waitingWorker) listener();
+    updateListeners.add(listener);
+    return () => updateListeners.delete(listener);
+};
+
+// Lets the waiting version take over, then reloads into it. Another tab may
+// already have done so, in which case reloading is enough.
+export const applyUpdate = () => {
+    if (!waitingWorker || waitingWorker.state === 'activated' || waitingWorker.state === 'redundant') {
+        window.location.reload();
+        return;
+    }
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
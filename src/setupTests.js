@@ -3,3 +3,9 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom doesn't provide the Web Crypto API the app uses to generate ids.
+import { webcrypto } from 'crypto';
+if (!window.crypto) {
+  Object.defineProperty(window, 'crypto', { value: webcrypto });
+}
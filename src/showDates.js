@@ -0,0 +1,92 @@
+// --- Show Dates ---
+// Dates are stored as 'YYYY-MM-DD' strings and all arithmetic is done in UTC
+// so a show never shifts a day because of the viewer's time zone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const toISODate = (date) => date.toISOString().slice(0, 10);
+
+export const parseISODate = (value) => new Date(`${value}T00:00:00Z`);
+
+export const addDays = (value, days) => toISODate(new Date(parseISODate(value).getTime() + days * DAY_MS));
+
+export const daysBetween = (from, to) => Math.round((parseISODate(to) - parseISODate(from)) / DAY_MS);
+
+export const today = () => toISODate(new Date());
+
+export const deriveNights = (checkIn, checkOut) => {
+    if (!checkIn || !checkOut) return 0;
+    return Math.max(0, daysBetween(checkIn, checkOut));
+};
+
+export const deriveMeetingDays = (meetingDates) => new Set((meetingDates || []).filter(Boolean)).size;
+
+// First and last day the show occupies. Shows entered before dates existed
+// fall back to their creation date.
+export const getShowRange = (show) => {
+    const dates = [show.checkIn, show.checkOut, ...(show.meetingDates || [])].filter(Boolean).sort();
+    if (dates.length === 0) {
+        const created = (show.createdAt || new Date().toISOString()).slice(0, 10);
+        return { start: created, end: created, isDated: false };
+    }
+    return { start: dates[0], end: dates[dates.length - 1], isDated: true };
+};
+
+// The date a show is judged by for rate cards and reporting periods.
+export const getShowDate = (show) => getShowRange(show).start;
+
+export const formatDateRange = ({ start, end }) => {
+    const format = (value) => parseISODate(value).toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' });
+    return start === end ? format(start) : `${format(start)} – ${format(end)}`;
+};
+
+export const rangesOverlap = (a, b) => a.start <= b.end && b.start <= a.end;
+
+// Ids of shows that share at least one day with another show.
+export const findOverlappingShowIds = (shows) => {
+    const ranges = shows
+        .map(show => ({ id: show.id, ...getShowRange(show) }))
+        .filter(range => range.isDated)
+        .sort((a, b) => a.start.localeCompare(b.start));
+    const overlapping = new Set();
+    ranges.forEach((range, i) => {
+        for (let j = i + 1; j < ranges.length && ranges[j].start <= range.end; j++) {
+            overlapping.add(range.id);
+            overlapping.add(ranges[j].id);
+        }
+    });
+    return overlapping;
+};
+
+// Dated shows in start order, each annotated with the gap (in days) since the
+// previous show ended. A negative gap means the two overlap.
+export const buildTimeline = (shows) => {
+    const entries = shows
+        .map(show => ({ show, ...getShowRange(show) }))
+        .filter(entry => entry.isDated)
+        .sort((a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end));
+    let latestEnd = null;
+    return entries.map(entry => {
+        const gapDays = latestEnd ? daysBetween(latestEnd, entry.start) - 1 : null;
+        if (!latestEnd || entry.end > latestEnd) latestEnd = entry.end;
+        return { ...entry, gapDays };
+    });
+};
+
+// Weeks (Sunday first) covering the given month, padded with days from the
+// neighbouring months so every row has seven cells.
+export const buildMonthGrid = (year, month) => {
+    const first = new Date(Date.UTC(year, month, 1));
+    const start = addDays(toISODate(first), -first.getUTCDay());
+    const weeks = [];
+    let cursor = start;
+    do {
+        const week = [];
+        for (let i = 0; i < 7; i++) {
+            week.push({ date: cursor, inMonth: parseISODate(cursor).getUTCMonth() === month });
+            cursor = addDays(cursor, 1);
+        }
+        weeks.push(week);
+    } while (parseISODate(cursor).getUTCMonth() === month);
+    return weeks;
+};
@@ -0,0 +1,31 @@
+import { buildMonthGrid, buildTimeline, deriveNights, findOverlappingShowIds, getShowDate } from './showDates';
+
+test('derives nights from check-in and check-out', () => {
+    expect(deriveNights('2025-03-01', '2025-03-04')).toBe(3);
+    expect(deriveNights('2025-03-01', '')).toBe(0);
+    expect(deriveNights('2025-03-04', '2025-03-01')).toBe(0);
+});
+
+test('dates a show by its earliest date, falling back to when it was created', () => {
+    expect(getShowDate({ checkIn: '2025-03-02', meetingDates: ['2025-03-01'] })).toBe('2025-03-01');
+    expect(getShowDate({ createdAt: '2024-11-05T15:00:00.000Z' })).toBe('2024-11-05');
+});
+
+test('finds overlaps and gaps between shows', () => {
+    const shows = [
+        { id: 'a', checkIn: '2025-03-01', checkOut: '2025-03-04' },
+        { id: 'b', checkIn: '2025-03-04', checkOut: '2025-03-06' },
+        { id: 'c', checkIn: '2025-03-10', checkOut: '2025-03-12' },
+        { id: 'd', createdAt: '2025-03-05T00:00:00.000Z' }
+    ];
+    expect([...findOverlappingShowIds(shows)].sort()).toEqual(['a', 'b']);
+    expect(buildTimeline(shows).map(entry => entry.gapDays)).toEqual([null, -1, 3]);
+});
+
+test('builds full weeks covering a month', () => {
+    const weeks = buildMonthGrid(2025, 1);
+    expect(weeks).toHaveLength(5);
+    expect(weeks[0][0].date).toBe('2025-01-26');
+    expect(weeks[4][6].date).toBe('2025-03-01');
+    expect(weeks.flat().filter(day => day.inMonth)).toHaveLength(28);
+});
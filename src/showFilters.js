@@ -0,0 +1,154 @@
+import { aggregateMetrics } from './metrics';
+import { getAssignees } from './salespeople';
+import { getShowRange, rangesOverlap } from './showDates';
+
+// --- Search, Filter, Sort & Group ---
+// The All Shows view is driven by a plain filters object that round-trips
+// through the URL query string, so a filtered view can be bookmarked or shared.
+
+export const UNASSIGNED = 'unassigned';
+
+export const DEFAULT_FILTERS = {
+    q: '',
+    from: '',
+    to: '',
+    salesperson: '',
+    budget: '',
+    sort: '',
+    dir: 'desc',
+    group: ''
+};
+
+export const SORT_OPTIONS = [
+    { id: '', label: 'Order added' },
+    { id: 'date', label: 'Date' },
+    { id: 'savings', label: 'Savings' },
+    { id: 'spend', label: 'Actual spend' },
+    { id: 'commission', label: 'Commission' }
+];
+
+export const GROUP_OPTIONS = [
+    { id: '', label: 'No grouping' },
+    { id: 'month', label: 'Month' },
+    { id: 'quarter', label: 'Quarter' },
+    { id: 'destination', label: 'Destination' }
+];
+
+export const BUDGET_OPTIONS = [
+    { id: '', label: 'Any budget' },
+    { id: 'under', label: 'Under budget' },
+    { id: 'over', label: 'Over budget' }
+];
+
+const isOption = (options, value) => options.some(option => option.id === value);
+const isISODate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Unknown or malformed parameters fall back to the defaults rather than
+// producing a view nobody can explain.
+export const parseFilters = (search) => {
+    const params = new URLSearchParams(search);
+    const read = (key) => params.get(key) || DEFAULT_FILTERS[key];
+    return {
+        q: read('q'),
+        from: isISODate(read('from')) ? read('from') : '',
+        to: isISODate(read('to')) ? read('to') : '',
+        salesperson: read('salesperson'),
+        budget: isOption(BUDGET_OPTIONS, read('budget')) ? read('budget') : '',
+        sort: isOption(SORT_OPTIONS, read('sort')) ? read('sort') : '',
+        dir: read('dir') === 'asc' ? 'asc' : 'desc',
+        group: isOption(GROUP_OPTIONS, read('group')) ? read('group') : ''
+    };
+};
+
+// Only non-default values are written, keeping shared links short.
+export const serializeFilters = (filters) => {
+    const params = new URLSearchParams();
+    Object.keys(DEFAULT_FILTERS).forEach(key => {
+        if (filters[key] && filters[key] !== DEFAULT_FILTERS[key]) params.set(key, filters[key]);
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+};
+
+export const hasActiveFilters = (filters) => Boolean(filters.q || filters.from || filters.to || filters.salesperson || filters.budget);
+
+const matchesFilters = (show, filters, metrics) => {
+    const query = filters.q.trim().toLowerCase();
+    if (query && ![show.destination, show.notes].some(text => (text || '').toLowerCase().includes(query))) {
+        return false;
+    }
+    if (filters.from || filters.to) {
+        const period = { start: filters.from || '0000-01-01', end: filters.to || '9999-12-31' };
+        if (!rangesOverlap(getShowRange(show), period)) return false;
+    }
+    if (filters.salesperson) {
+        const assignees = getAssignees(show);
+        const matches = filters.salesperson === UNASSIGNED
+            ? assignees.length === 0
+            : assignees.some(a => a.salespersonId === filters.salesperson);
+        if (!matches) return false;
+    }
+    if (filters.budget === 'over' && metrics.savings >= 0) return false;
+    if (filters.budget === 'under' && metrics.savings < 0) return false;
+    return true;
+};
+
+const sortValue = {
+    date: (show) => getShowRange(show).start,
+    savings: (show, metrics) => metrics.savings,
+    spend: (show, metrics) => metrics.actualSpend,
+    commission: (show, metrics) => metrics.commission
+};
+
+export const applyFilters = (shows, filters, calculateMetrics) => {
+    const entries = shows
+        .map(show => ({ show, metrics: calculateMetrics(show) }))
+        .filter(({ show, metrics }) => matchesFilters(show, filters, metrics));
+    if (filters.sort) {
+        const value = sortValue[filters.sort];
+        const direction = filters.dir === 'asc' ? 1 : -1;
+        // Array.prototype.sort is stable, so ties keep the order they were added.
+        entries.sort((a, b) => {
+            const x = value(a.show, a.metrics);
+            const y = value(b.show, b.metrics);
+            return (x < y ? -1 : x > y ? 1 : 0) * direction;
+        });
+    }
+    return entries.map(entry => entry.show);
+};
+
+const MONTH_FORMAT = new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+const groupOf = {
+    month: (show) => {
+        const start = getShowRange(show).start;
+        return { key: start.slice(0, 7), label: MONTH_FORMAT.format(new Date(`${start}T00:00:00Z`)) };
+    },
+    quarter: (show) => {
+        const start = getShowRange(show).start;
+        const quarter = Math.floor((Number(start.slice(5, 7)) - 1) / 3) + 1;
+        return { key: `${start.slice(0, 4)}-Q${quarter}`, label: `Q${quarter} ${start.slice(0, 4)}` };
+    },
+    destination: (show) => {
+        const name = (show.destination || '').trim();
+        return { key: name.toLowerCase(), label: name || 'No destination' };
+    }
+};
+
+// With a sort chosen, groups appear in the order of their first show. Without
+// one, months and quarters run newest first and destinations A–Z. Each group
+// carries its own subtotals.
+export const groupShows = (shows, { group, sort }, calculateMetrics) => {
+    if (!group) return [{ key: 'all', label: null, shows, totals: aggregateMetrics(shows, calculateMetrics) }];
+    const groups = new Map();
+    shows.forEach(show => {
+        const { key, label } = groupOf[group](show);
+        if (!groups.has(key)) groups.set(key, { key, label, shows: [] });
+        groups.get(key).shows.push(show);
+    });
+    const ordered = [...groups.values()];
+    if (!sort) {
+        ordered.sort((a, b) => (group === 'destination' ? a.key.localeCompare(b.key) : b.key.localeCompare(a.key)));
+    }
+    return ordered.map(g => ({ ...g, totals: aggregateMetrics(g.shows, calculateMetrics) }));
+};
@@ -0,0 +1,36 @@
+import { applyFilters, groupShows, parseFilters, serializeFilters } from './showFilters';
+
+const shows = [
+    { id: '1', destination: 'Boston', notes: 'Harbor hotel', checkIn: '2025-03-03', checkOut: '2025-03-05', assignees: [{ salespersonId: 'a', split: 100 }], savings: 500 },
+    { id: '2', destination: 'Denver', notes: '', checkIn: '2025-05-10', checkOut: '2025-05-12', assignees: [], savings: -200 },
+    { id: '3', destination: 'boston', notes: 'Second trip', checkIn: '2025-03-20', checkOut: '2025-03-21', assignees: [{ salespersonId: 'b', split: 100 }], savings: 100 }
+];
+const calculateMetrics = (show) => ({ savings: show.savings, commission: show.savings * 0.2, actualSpend: 1000 - show.savings, totalBudget: 1000 });
+const filters = (overrides) => ({ ...parseFilters(''), ...overrides });
+
+test('round-trips filters through the query string and ignores junk', () => {
+    const value = filters({ q: 'boston', budget: 'over', sort: 'savings', dir: 'asc', group: 'month' });
+    expect(parseFilters(serializeFilters(value))).toEqual(value);
+    expect(serializeFilters(parseFilters(''))).toBe('');
+    expect(parseFilters('?sort=bogus&from=yesterday&dir=sideways')).toEqual(parseFilters(''));
+});
+
+test('filters by text, date range, salesperson and budget', () => {
+    const ids = (overrides) => applyFilters(shows, filters(overrides), calculateMetrics).map(show => show.id);
+    expect(ids({ q: 'harbor' })).toEqual(['1']);
+    expect(ids({ q: 'BOSTON' })).toEqual(['1', '3']);
+    expect(ids({ from: '2025-03-04', to: '2025-03-31' })).toEqual(['1', '3']);
+    expect(ids({ salesperson: 'unassigned' })).toEqual(['2']);
+    expect(ids({ budget: 'over' })).toEqual(['2']);
+    expect(ids({ sort: 'savings', dir: 'desc' })).toEqual(['1', '3', '2']);
+});
+
+test('groups with subtotals per group', () => {
+    const byMonth = groupShows(shows, filters({ group: 'month' }), calculateMetrics);
+    expect(byMonth.map(g => [g.label, g.shows.length, g.totals.totalSavings])).toEqual([
+        ['May 2025', 1, -200],
+        ['March 2025', 2, 600]
+    ]);
+    const byDestination = groupShows(shows, filters({ group: 'destination' }), calculateMetrics);
+    expect(byDestination.map(g => g.shows.map(show => show.id))).toEqual([['1', '3'], ['2']]);
+});
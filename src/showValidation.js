@@ -0,0 +1,168 @@
+import { formatDateRange, getShowRange } from './showDates';
+import { resolveRateCard } from './rateCards';
+import { formatMoney, getReportingCurrency, toReportingCurrency } from './currency';
+
+// --- Show Form Validation ---
+// Every number on the show form is checked against the schema below rather
+// than coerced, so a blank or garbled cost can't quietly become zero. Errors
+// name the field and block saving; warnings are sanity checks the user can
+// save past once they've looked.
+
+export const SHOW_FIELD_SCHEMA = {
+    nights: { label: 'Nights', kind: 'count' },
+    meetingDays: { label: 'Meeting days', kind: 'count' },
+    actualRoomCost: { label: 'Room cost', kind: 'amount' },
+    actualMeetingCost: { label: 'Meeting cost', kind: 'amount' },
+    exchangeRate: { label: 'Exchange rate', kind: 'rate' },
+    quotedRoomRate: { label: 'Quoted room rate', kind: 'amount' },
+    roomBlock: { label: 'Room block', kind: 'count' },
+    attritionPercent: { label: 'Attrition', kind: 'amount', max: 100 },
+    meetingQuote: { label: 'Meeting room quote', kind: 'amount' }
+};
+
+export const LINE_ITEM_SCHEMA = {
+    amount: { label: 'Amount', kind: 'amount' },
+    rooms: { label: 'Rooms', kind: 'count' },
+    nights: { label: 'Nights', kind: 'count' },
+    rate: { label: 'Rate', kind: 'amount' },
+    exchangeRate: { label: 'Exchange rate', kind: 'rate' }
+};
+
+// Billing can still be filled in once a show's figures are locked, so it's
+// checked on its own.
+export const BILLING_FIELD_SCHEMA = {
+    billableAmount: { label: 'Billable amount', kind: 'amount' },
+    rebatePercent: { label: 'Rebate percentage', kind: 'amount', max: 100 },
+    rebateAmount: { label: 'Rebate amount', kind: 'amount' }
+};
+
+// Room cost per night above this multiple of the rate card gets a second look.
+export const ROOM_COST_WARNING_MULTIPLE = 3;
+
+// "1,500.50", "$1500" and " 1500.5 " all read as 1500.5. Blank is null;
+// anything else that isn't a number is undefined.
+export const parseAmount = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+    const text = String(value ?? '').replace(/[$€£¥,\s]/g, '');
+    if (!text) return null;
+    const number = Number(text);
+    return Number.isFinite(number) ? number : undefined;
+};
+
+// The problem with one value, or null. Blank is allowed unless `required`.
+export const checkField = (value, { label, kind, max }, { required = false } = {}) => {
+    const number = parseAmount(value);
+    if (number === null) return required ? `${label} is required.` : null;
+    if (number === undefined) return `${label} must be a number, like ${kind === 'count' ? '3' : '1500.50'}.`;
+    if (number < 0) return `${label} can't be negative.`;
+    if (kind === 'count' && !Number.isInteger(number)) return `${label} must be a whole number.`;
+    if (kind === 'rate' && number === 0) return `${label} must be more than zero.`;
+    if (max !== undefined && number > max) return `${label} can't be more than ${max}.`;
+    return null;
+};
+
+// Field errors for the form, keyed by field name, with line items as
+// `expenses.<index>.<field>`. `required` names the fields that can't be blank.
+export const validateShowForm = (formData, expenses, { required = [] } = {}) => {
+    const errors = {};
+    if (!String(formData.destination || '').trim()) errors.destination = 'Destination is required.';
+    Object.entries(SHOW_FIELD_SCHEMA).forEach(([name, field]) => {
+        const error = checkField(formData[name], field, { required: required.includes(name) });
+        if (error) errors[name] = error;
+    });
+    if (formData.checkIn && formData.checkOut && formData.checkOut < formData.checkIn) {
+        errors.checkOut = 'Check-out must be on or after check-in.';
+    }
+    expenses.forEach((item, index) => {
+        const fields = item.category === 'room_block' ? ['rooms', 'nights', 'rate'] : ['amount'];
+        if (item.needsRate) fields.push('exchangeRate');
+        fields.forEach(name => {
+            const error = checkField(item[name], LINE_ITEM_SCHEMA[name], { required: name === 'exchangeRate' });
+            if (error) errors[`expenses.${index}.${name}`] = error;
+        });
+    });
+    return errors;
+};
+
+export const validateBilling = (formData) => {
+    const errors = {};
+    Object.entries(BILLING_FIELD_SCHEMA).forEach(([name, field]) => {
+        const error = checkField(formData[name], field);
+        if (error) errors[name] = error;
+    });
+    if (!errors.billableAmount && parseAmount(formData.billableAmount) > 0 && !formData.clientId) {
+        errors.clientId = 'Choose the client this show is billed to.';
+    }
+    if (!errors.rebateAmount && parseAmount(formData.rebatePercent) > 0 && parseAmount(formData.rebateAmount) > 0) {
+        errors.rebateAmount = 'Enter the rebate as a percentage or an amount, not both.';
+    }
+    if (formData.invoicedOn && formData.paidOn && formData.paidOn < formData.invoicedOn) {
+        errors.paidOn = "The invoice can't be paid before it was sent.";
+    }
+    return errors;
+};
+
+const sameDestination = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Sanity checks on a show about to be saved. `shows` are the others already
+// entered; `excludeId` is the show being edited.
+export const findShowWarnings = (show, { shows, settings, excludeId = null }) => {
+    const warnings = [];
+    const roomCost = toReportingCurrency(show.actualRoomCost || 0, show);
+    const meetingCost = toReportingCurrency(show.actualMeetingCost || 0, show);
+    if (roomCost > 0 && !(show.nights > 0)) {
+        warnings.push('There is a room cost but no nights, so the whole cost counts against a zero budget.');
+    } else if (roomCost > 0) {
+        const { roomRatePerNight } = resolveRateCard(show, settings);
+        const perNight = roomCost / show.nights;
+        if (roomRatePerNight > 0 && perNight > roomRatePerNight * ROOM_COST_WARNING_MULTIPLE) {
+            const currency = getReportingCurrency(settings);
+            warnings.push(`The room cost works out to ${formatMoney(perNight, currency)} a night, more than ${ROOM_COST_WARNING_MULTIPLE}× the rate card's ${formatMoney(roomRatePerNight, currency)}. Check for a misplaced decimal point.`);
+        }
+    }
+    if (meetingCost > 0 && !(show.meetingDays > 0)) {
+        warnings.push('There is a meeting cost but no meeting days.');
+    }
+    const start = getShowRange(show).start;
+    const duplicate = start && shows.find(other => other.id !== excludeId
+        && sameDestination(other.destination, show.destination)
+        && getShowRange(other).start === start);
+    if (duplicate) {
+        warnings.push(`${duplicate.destination} starting ${formatDateRange({ start, end: start })} has already been entered.`);
+    }
+    return warnings;
+};
+
+// --- Data-Entry Assistance ---
+// Distinct values, most recently used first, spelled as last entered.
+const distinctRecent = (entries) => {
+    const seen = new Map();
+    [...entries]
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .forEach(({ value }) => {
+            const text = String(value || '').trim();
+            if (text && !seen.has(text.toLowerCase())) seen.set(text.toLowerCase(), text);
+        });
+    return [...seen.values()];
+};
+
+export const suggestDestinations = (shows) => distinctRecent(shows.map(show => ({ value: show.destination, date: getShowRange(show).start || '' })));
+
+export const suggestVendors = (shows) => distinctRecent(shows.flatMap(show => (show.expenses || []).map(item => ({
+    value: item.vendor,
+    date: item.date || getShowRange(show).start || ''
+}))));
+
+// A recurring roadshow starts from last time's setup: where, who, for which
+// client, which currency and quotes, and the same line items with their
+// vendors. Dates, costs, billing and notes belong to the new show and are
+// left blank.
+export const copyShowSetup = (show) => ({
+    destination: show.destination,
+    marketTierId: show.marketTierId || null,
+    clientId: show.clientId || null,
+    assignees: (show.assignees || []).map(a => ({ ...a })),
+    currency: show.currency,
+    forecast: show.forecast ? { ...show.forecast } : null,
+    expenses: (show.expenses || []).map(item => ({ id: crypto.randomUUID(), category: item.category, vendor: item.vendor || '' }))
+});
@@ -0,0 +1,65 @@
+import { copyShowSetup, findShowWarnings, parseAmount, suggestDestinations, suggestVendors, validateBilling, validateShowForm } from './showValidation';
+import { DEFAULT_SETTINGS } from './rateCards';
+
+test('reads pasted amounts and names the field for anything it cannot read', () => {
+    expect(parseAmount('$1,500.50')).toBe(1500.5);
+    expect(parseAmount(' 800 ')).toBe(800);
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount('15OO')).toBeUndefined();
+
+    const errors = validateShowForm(
+        { destination: ' ', nights: '2.5', actualRoomCost: '15OO', actualMeetingCost: '', exchangeRate: '0', attritionPercent: '120' },
+        [{ category: 'room_block', rooms: '10', nights: '', rate: '-5' }, { category: 'other', amount: '40', needsRate: true, exchangeRate: '' }],
+        { required: ['actualRoomCost', 'actualMeetingCost', 'exchangeRate'] }
+    );
+    expect(errors).toEqual({
+        destination: 'Destination is required.',
+        nights: 'Nights must be a whole number.',
+        actualRoomCost: 'Room cost must be a number, like 1500.50.',
+        actualMeetingCost: 'Meeting cost is required.',
+        exchangeRate: 'Exchange rate must be more than zero.',
+        attritionPercent: "Attrition can't be more than 100.",
+        'expenses.0.rate': "Rate can't be negative.",
+        'expenses.1.exchangeRate': 'Exchange rate is required.'
+    });
+});
+
+test('checks billing on its own, including for shows whose figures are locked', () => {
+    expect(validateBilling({ billableAmount: '5,000', clientId: '', rebatePercent: '10', rebateAmount: '200', invoicedOn: '2025-07-10', paidOn: '2025-07-01' })).toEqual({
+        clientId: 'Choose the client this show is billed to.',
+        rebateAmount: 'Enter the rebate as a percentage or an amount, not both.',
+        paidOn: "The invoice can't be paid before it was sent."
+    });
+    expect(validateBilling({ billableAmount: '', rebatePercent: '140' })).toEqual({ rebatePercent: "Rebate percentage can't be more than 100." });
+});
+
+test('warns about implausible costs and a show already entered', () => {
+    const existing = { id: 'a', destination: 'Boston', checkIn: '2025-07-01', nights: 3 };
+    const warnings = findShowWarnings(
+        { destination: 'boston ', checkIn: '2025-07-01', nights: 2, actualRoomCost: 15000, meetingDays: 0, actualMeetingCost: 50 },
+        { shows: [existing], settings: DEFAULT_SETTINGS }
+    );
+    expect(warnings).toHaveLength(3);
+    expect(warnings[0]).toMatch(/\$7,500\.00 a night/);
+    expect(warnings[1]).toBe('There is a meeting cost but no meeting days.');
+    expect(warnings[2]).toMatch(/^Boston starting/);
+
+    // Editing the existing show doesn't flag it as its own duplicate.
+    expect(findShowWarnings({ ...existing, actualRoomCost: 300 }, { shows: [existing], settings: DEFAULT_SETTINGS, excludeId: 'a' })).toEqual([]);
+});
+
+test('suggests recent destinations and vendors and copies a previous show\'s setup', () => {
+    const shows = [
+        { id: 'a', destination: 'Boston', checkIn: '2024-07-01', expenses: [{ id: 'x', category: 'other', vendor: 'AV Co', amount: 10 }] },
+        { id: 'b', destination: 'Denver', checkIn: '2025-03-01', expenses: [{ id: 'y', category: 'other', vendor: 'Hilton', amount: 20 }] },
+        { id: 'c', destination: 'boston', checkIn: '2025-07-01' }
+    ];
+    expect(suggestDestinations(shows)).toEqual(['boston', 'Denver']);
+    expect(suggestVendors(shows)).toEqual(['Hilton', 'AV Co']);
+
+    const setup = copyShowSetup({ ...shows[0], currency: 'CAD', assignees: [{ salespersonId: 'p1', split: 100 }], actualRoomCost: 900, notes: 'Old' });
+    expect(setup).toMatchObject({ destination: 'Boston', currency: 'CAD', assignees: [{ salespersonId: 'p1', split: 100 }] });
+    expect(setup).not.toHaveProperty('actualRoomCost');
+    expect(setup.expenses).toEqual([{ id: expect.any(String), category: 'other', vendor: 'AV Co' }]);
+    expect(setup.expenses[0].id).not.toBe('x');
+});
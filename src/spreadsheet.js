@@ -0,0 +1,224 @@
+import { deriveMeetingDays, deriveNights, getShowRange, today, toISODate } from './showDates';
+import { describeAssignees, validateAssignees } from './salespeople';
+import { findExchangeRate, getReportingCurrency, getShowCurrency, getShowExchangeRate } from './currency';
+import { getAttachments } from './attachments';
+import { getClientName, getInvoiceStatus, getInvoiceStatusLabel, isBilled } from './billing';
+
+// --- Spreadsheet Import & Export ---
+// SheetJS handles both CSV and XLSX. It is loaded on demand so the main bundle
+// doesn't pay for it until someone actually imports or exports.
+const loadXLSX = () => import('xlsx');
+
+// --- Export ---
+// Money columns are in the reporting currency (named in the Currency column),
+// so a re-imported export converts nothing twice. The currency each show was
+// entered in is kept alongside for reference.
+export const buildExportRows = (shows, calculateMetrics, salespeople, settings = {}) => shows.map(show => {
+    const metrics = calculateMetrics(show);
+    const range = getShowRange(show);
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+        'Destination': show.destination,
+        'Start Date': range.start,
+        'Check-in': show.checkIn || '',
+        'Check-out': show.checkOut || '',
+        'Meeting Dates': (show.meetingDates || []).join(', '),
+        'Nights': show.nights || 0,
+        'Meeting Days': show.meetingDays || 0,
+        'Salespeople': describeAssignees(show, salespeople),
+        'Market Tier': metrics.marketTier.name,
+        'Currency': getReportingCurrency(settings),
+        'Entered Currency': getShowCurrency(show, settings),
+        'Exchange Rate': getShowExchangeRate(show),
+        'Room Cost': round(metrics.actualRoomCost),
+        'Meeting Cost': round(metrics.actualMeetingCost),
+        'Other Cost': round(metrics.extraCost),
+        'Excluded Cost': round(metrics.excludedCost),
+        'Total Budget': round(metrics.totalBudget),
+        'Actual Spend': round(metrics.actualSpend),
+        'Savings': round(metrics.savings),
+        'Commission': round(metrics.commission),
+        'Projected Spend': metrics.hasForecast ? round(metrics.projectedSpend) : '',
+        'Projected Savings': metrics.hasForecast ? round(metrics.projectedSavings) : '',
+        'Projected Commission': metrics.hasForecast ? round(metrics.projectedCommission) : '',
+        'Client': show.clientId ? getClientName(show.clientId, settings) : '',
+        'Billable': isBilled(show) ? round(metrics.billableAmount) : '',
+        'Invoice Status': isBilled(show) ? getInvoiceStatusLabel(getInvoiceStatus(show)) : '',
+        'Hotel Rebate': metrics.rebate ? round(metrics.rebate) : '',
+        'Net Savings': round(metrics.netSavings),
+        'Gross Margin': isBilled(show) ? round(metrics.grossMargin) : '',
+        'Attachments': getAttachments(show).map(a => a.name).join(', '),
+        'Notes': show.notes || ''
+    };
+});
+
+export const exportRows = async (rows, format) => {
+    const XLSX = await loadXLSX();
+    const sheet = XLSX.utils.json_to_sheet(rows);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Shows');
+    XLSX.writeFile(workbook, `roadshows-${today()}.${format}`, { bookType: format });
+};
+
+// --- Import ---
+export const IMPORT_FIELDS = [
+    { key: 'destination', label: 'Destination', required: true, aliases: ['destination', 'show', 'show name', 'city'] },
+    { key: 'checkIn', label: 'Check-in', type: 'date', aliases: ['check-in', 'checkin', 'check in', 'arrival'] },
+    { key: 'checkOut', label: 'Check-out', type: 'date', aliases: ['check-out', 'checkout', 'check out', 'departure', 'end date'] },
+    { key: 'meetingDates', label: 'Meeting Dates', type: 'dates', aliases: ['meeting dates'] },
+    { key: 'nights', label: 'Nights', type: 'number', aliases: ['nights', 'room nights'] },
+    { key: 'meetingDays', label: 'Meeting Days', type: 'number', aliases: ['meeting days', 'days'] },
+    { key: 'actualRoomCost', label: 'Room Cost', type: 'money', aliases: ['room cost', 'actual room cost'] },
+    { key: 'actualMeetingCost', label: 'Meeting Cost', type: 'money', aliases: ['meeting cost', 'actual meeting cost'] },
+    { key: 'currency', label: 'Currency', aliases: ['currency', 'ccy'] },
+    { key: 'exchangeRate', label: 'Exchange Rate', type: 'rate', aliases: ['exchange rate', 'fx rate'] },
+    { key: 'salespeople', label: 'Salespeople', aliases: ['salespeople', 'salesperson', 'sales rep', 'rep'] },
+    { key: 'notes', label: 'Notes', aliases: ['notes', 'comments'] }
+];
+
+export const readSpreadsheet = async (file) => {
+    const XLSX = await loadXLSX();
+    const data = await file.arrayBuffer();
+    const workbook = XLSX.read(data, { type: 'array', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const [headers = [], ...rows] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true });
+    return {
+        headers: headers.map(h => String(h).trim()),
+        rows: rows.filter(row => row.some(cell => String(cell).trim() !== ''))
+    };
+};
+
+const normalizeHeader = (value) => String(value).trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+// Maps each import field to the index of the column that looks like it.
+export const guessColumnMapping = (headers) => {
+    const normalized = headers.map(normalizeHeader);
+    return IMPORT_FIELDS.reduce((mapping, field) => {
+        const index = normalized.findIndex(h => h === normalizeHeader(field.label) || field.aliases.includes(h));
+        mapping[field.key] = index >= 0 ? index : null;
+        return mapping;
+    }, {});
+};
+
+const parseDateCell = (value) => {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? undefined : toISODate(new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate())));
+    }
+    const text = String(value).trim();
+    if (!text) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+    const parsed = new Date(text);
+    if (Number.isNaN(parsed.getTime())) return undefined;
+    return toISODate(new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate())));
+};
+
+const parseNumberCell = (value) => {
+    if (typeof value === 'number') return value;
+    const text = String(value).replace(/[$,\s]/g, '');
+    if (!text) return null;
+    const number = Number(text);
+    return Number.isFinite(number) ? number : undefined;
+};
+
+// "Alice (60%), Bob (40%)" — the same format the export writes.
+const parseSalespeopleCell = (value, salespeople) => {
+    const parts = String(value).split(/[;,]/).map(part => part.trim()).filter(Boolean);
+    const unknown = [];
+    const assignees = parts.map(part => {
+        const match = part.match(/^(.*?)\s*(?:\((\d+(?:\.\d+)?)%\))?$/);
+        const name = match[1].trim().toLowerCase();
+        const person = salespeople.find(p => p.name.trim().toLowerCase() === name);
+        if (!person) unknown.push(match[1].trim());
+        return { salespersonId: person?.id, split: match[2] ? Number(match[2]) : 100 / parts.length };
+    });
+    return { assignees, unknown };
+};
+
+const duplicateKey = (destination, date) => `${String(destination).trim().toLowerCase()}|${date}`;
+
+// Turns raw rows into show data plus the errors, warnings and duplicate
+// matches the preview needs. Nothing is merged here.
+export const validateImportRows = (rows, mapping, { shows, salespeople, settings = {} }) => {
+    const reportingCurrency = getReportingCurrency(settings);
+    const existingKeys = new Map(shows.map(show => [duplicateKey(show.destination, getShowRange(show).start), show]));
+    const seenKeys = new Set();
+
+    return rows.map((row, index) => {
+        const errors = [];
+        const warnings = [];
+        const cell = (key) => (mapping[key] == null ? '' : row[mapping[key]]);
+        const data = { destination: String(cell('destination')).trim(), notes: String(cell('notes')).trim() };
+
+        if (!data.destination) errors.push('Destination is required.');
+
+        IMPORT_FIELDS.filter(f => f.type === 'date').forEach(field => {
+            const value = parseDateCell(cell(field.key));
+            if (value === undefined) errors.push(`${field.label} "${cell(field.key)}" is not a valid date.`);
+            data[field.key] = value || null;
+        });
+        data.meetingDates = String(cell('meetingDates')).split(/[;,]/).map(d => d.trim()).filter(Boolean).map(parseDateCell);
+        if (data.meetingDates.includes(undefined)) {
+            errors.push('Meeting Dates contains an invalid date.');
+            data.meetingDates = data.meetingDates.filter(Boolean);
+        }
+        if (data.checkIn && data.checkOut && data.checkOut < data.checkIn) {
+            errors.push('Check-out is before check-in.');
+        }
+
+        IMPORT_FIELDS.filter(f => f.type === 'number' || f.type === 'money').forEach(field => {
+            const value = parseNumberCell(cell(field.key));
+            if (value === undefined || value < 0) errors.push(`${field.label} "${cell(field.key)}" is not a valid amount.`);
+            data[field.key] = value > 0 ? value : 0;
+        });
+
+        // Counts given in the file win; otherwise they come from the dates.
+        data.nightsOverride = mapping.nights != null && String(cell('nights')).trim() !== '';
+        if (!data.nightsOverride) data.nights = deriveNights(data.checkIn, data.checkOut);
+        data.meetingDaysOverride = mapping.meetingDays != null && String(cell('meetingDays')).trim() !== '';
+        if (!data.meetingDaysOverride) data.meetingDays = deriveMeetingDays(data.meetingDates);
+
+        // Amounts are in the row's currency; the rate comes from the file or,
+        // failing that, the rate table in Settings.
+        data.currency = String(cell('currency')).trim().toUpperCase() || reportingCurrency;
+        const rateCell = parseNumberCell(cell('exchangeRate'));
+        if (!/^[A-Z]{3}$/.test(data.currency)) {
+            errors.push(`Currency "${cell('currency')}" is not a three-letter currency code.`);
+        } else if (data.currency === reportingCurrency) {
+            data.exchangeRate = 1;
+        } else if (rateCell > 0) {
+            data.exchangeRate = rateCell;
+        } else if (rateCell !== null) {
+            errors.push(`Exchange Rate "${cell('exchangeRate')}" is not a valid rate.`);
+        } else {
+            const firstDate = [data.checkIn, data.checkOut, ...data.meetingDates].filter(Boolean).sort()[0];
+            data.exchangeRate = findExchangeRate(settings, data.currency, firstDate || today());
+            if (!data.exchangeRate) errors.push(`No exchange rate for ${data.currency}. Add one in Settings or include an Exchange Rate column.`);
+        }
+
+        const salespeopleCell = String(cell('salespeople')).trim();
+        if (salespeopleCell && salespeopleCell.toLowerCase() !== 'unassigned') {
+            const { assignees, unknown } = parseSalespeopleCell(salespeopleCell, salespeople);
+            if (unknown.length > 0) {
+                errors.push(`Unknown salesperson: ${unknown.join(', ')}.`);
+            } else {
+                const splitError = validateAssignees(assignees);
+                if (splitError) errors.push(splitError);
+            }
+            data.assignees = assignees.filter(a => a.salespersonId);
+        } else {
+            data.assignees = [];
+            warnings.push('No salesperson assigned.');
+        }
+
+        if (!data.checkIn && !data.checkOut && data.meetingDates.length === 0) {
+            warnings.push('No dates; the import date will be used.');
+        }
+
+        const key = duplicateKey(data.destination, [data.checkIn, data.checkOut, ...data.meetingDates].filter(Boolean).sort()[0] || today());
+        const duplicateOf = existingKeys.get(key) || null;
+        const duplicateInFile = seenKeys.has(key);
+        seenKeys.add(key);
+
+        return { rowNumber: index + 2, data, errors, warnings, duplicateOf, duplicateInFile };
+    });
+};
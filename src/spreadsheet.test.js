@@ -0,0 +1,49 @@
+import { buildExportRows, guessColumnMapping, validateImportRows } from './spreadsheet';
+
+const salespeople = [{ id: 'a', name: 'Alice' }, { id: 'b', name: 'Bob' }];
+
+test('exports computed budget, spend, savings and commission columns', () => {
+    const shows = [{ id: '1', destination: 'Boston', checkIn: '2025-03-01', checkOut: '2025-03-03', nights: 2, assignees: [{ salespersonId: 'a', split: 100 }] }];
+    const calculateMetrics = () => ({
+        marketTier: { name: 'Standard' }, actualRoomCost: 150, actualMeetingCost: 0, extraCost: 0, excludedCost: 0,
+        totalBudget: 200, actualSpend: 150, savings: 50, commission: 10
+    });
+    const [row] = buildExportRows(shows, calculateMetrics, salespeople);
+    expect(row).toMatchObject({ 'Destination': 'Boston', 'Salespeople': 'Alice', 'Total Budget': 200, 'Savings': 50, 'Commission': 10 });
+});
+
+test('maps columns and flags errors and duplicates', () => {
+    const headers = ['Destination', 'Check-in', 'Check-out', 'Room Cost', 'Meeting Cost', 'Salespeople'];
+    const mapping = guessColumnMapping(headers);
+    expect(mapping).toMatchObject({ destination: 0, checkIn: 1, checkOut: 2, actualRoomCost: 3, actualMeetingCost: 4, salespeople: 5, notes: null });
+
+    const rows = [
+        ['Boston', '2025-03-01', '2025-03-04', '$1,200.50', '300', 'Alice (60%), Bob (40%)'],
+        ['Denver', '2025-04-01', '2025-04-03', 'lots', '0', 'Carol'],
+        ['Austin', '2025-05-01', '2025-05-02', '100', '0', '']
+    ];
+    const shows = [{ id: 'x', destination: 'austin', checkIn: '2025-05-01' }];
+    const [boston, denver, austin] = validateImportRows(rows, mapping, { shows, salespeople });
+
+    expect(boston.errors).toEqual([]);
+    expect(boston.data).toMatchObject({ nights: 3, actualRoomCost: 1200.5, assignees: [{ salespersonId: 'a', split: 60 }, { salespersonId: 'b', split: 40 }] });
+    expect(denver.errors).toHaveLength(2);
+    expect(austin.duplicateOf.id).toBe('x');
+    expect(austin.warnings).toContain('No salesperson assigned.');
+});
+
+test('imports foreign-currency rows with a rate from the file or from Settings', () => {
+    const headers = ['Destination', 'Check-in', 'Room Cost', 'Currency', 'Exchange Rate'];
+    const mapping = guessColumnMapping(headers);
+    const settings = { reportingCurrency: 'USD', exchangeRates: [{ currency: 'GBP', rate: 1.25, date: '2025-01-01' }] };
+    const rows = [
+        ['Toronto', '2025-03-01', '1000', 'CAD', '0.74'],
+        ['London', '2025-03-01', '800', 'GBP', ''],
+        ['Paris', '2025-03-01', '900', 'EUR', '']
+    ];
+    const [toronto, london, paris] = validateImportRows(rows, mapping, { shows: [], salespeople, settings });
+
+    expect(toronto.data).toMatchObject({ currency: 'CAD', exchangeRate: 0.74, actualRoomCost: 1000 });
+    expect(london.data).toMatchObject({ currency: 'GBP', exchangeRate: 1.25 });
+    expect(paris.errors).toContain('No exchange rate for EUR. Add one in Settings or include an Exchange Rate column.');
+});
@@ -0,0 +1,248 @@
+import { DEFAULT_SETTINGS, recordCosting } from './rateCards';
+
+// --- Versioned Storage ---
+// Everything the app keeps fits in one envelope:
+//   { schemaVersion, savedAt, data: { shows, settings, salespeople, history } }
+// It is how backups are written, and how data is kept in localStorage where
+// IndexedDB isn't available (see repository.js).
+// Older shapes are upgraded on load by running each migration in turn, and
+// anything that can't be read is copied to a quarantine key rather than lost.
+
+export const STORAGE_KEY = 'roadshow-savings-data';
+export const QUARANTINE_PREFIX = 'roadshow-savings-quarantine-';
+export const BACKUP_KIND = 'roadshow-savings-backup';
+const LEGACY_SETTINGS_KEY = 'roadshow-savings-settings';
+const LEGACY_SALESPEOPLE_KEY = 'roadshow-savings-salespeople';
+// Who is using this browser, for the status history when not signed in to sync.
+export const USER_NAME_KEY = 'roadshow-savings-user-name';
+
+export const EMPTY_DATA = { shows: [], settings: DEFAULT_SETTINGS, salespeople: [], history: [] };
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toNumber = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+};
+
+// migrations[n] upgrades data from schema version n to n + 1.
+const migrations = [
+    // 0 → 1: a bare array of shows. Fill in the fields later versions rely on
+    // and make sure every show has an id.
+    (data) => ({
+        ...data,
+        shows: data.shows.map(show => ({
+            ...show,
+            id: show.id || crypto.randomUUID(),
+            createdAt: show.createdAt || new Date().toISOString(),
+            nights: toNumber(show.nights),
+            meetingDays: toNumber(show.meetingDays),
+            actualRoomCost: toNumber(show.actualRoomCost),
+            actualMeetingCost: toNumber(show.actualMeetingCost),
+            meetingDates: Array.isArray(show.meetingDates) ? show.meetingDates : [],
+            expenses: Array.isArray(show.expenses) ? show.expenses : [],
+            assignees: Array.isArray(show.assignees) ? show.assignees : []
+        }))
+    }),
+    // 1 → 2: multi-currency. Everything entered so far was in the reporting
+    // currency.
+    (data) => ({
+        ...data,
+        shows: data.shows.map(show => ({
+            ...show,
+            currency: show.currency || data.settings.reportingCurrency,
+            exchangeRate: show.exchangeRate || 1
+        }))
+    }),
+    // 2 → 3: lifecycle states. Shows with costs already entered have taken
+    // place; the rest are treated as still planned.
+    (data) => ({
+        ...data,
+        shows: data.shows.map(show => ({
+            ...show,
+            status: show.status || (show.actualRoomCost > 0 || show.actualMeetingCost > 0 || show.expenses.length > 0 ? 'completed' : 'planned'),
+            statusHistory: Array.isArray(show.statusHistory) ? show.statusHistory : [],
+            adjustments: Array.isArray(show.adjustments) ? show.adjustments : []
+        }))
+    }),
+    // 3 → 4: each show records the rate card and tier it is costed with,
+    // taken from the cards and tier cities as they stand.
+    (data) => ({
+        ...data,
+        shows: data.shows.map(show => recordCosting(show, data.settings, show))
+    })
+];
+
+export const SCHEMA_VERSION = migrations.length;
+
+// Splits a raw value into an envelope-shaped object, or explains why it can't.
+const readEnvelope = (parsed) => {
+    if (Array.isArray(parsed)) {
+        return { schemaVersion: 0, data: { shows: parsed } };
+    }
+    if (isPlainObject(parsed) && Number.isInteger(parsed.schemaVersion) && isPlainObject(parsed.data)) {
+        return parsed;
+    }
+    throw new Error('Unrecognized data format.');
+};
+
+// Runs the migration pipeline and validates the result. Shows that aren't
+// objects are returned separately so the caller can quarantine them.
+export const upgradeEnvelope = (parsed) => {
+    const envelope = readEnvelope(parsed);
+    if (envelope.schemaVersion > SCHEMA_VERSION) {
+        throw new Error(`Data was saved by a newer version of the app (schema ${envelope.schemaVersion}).`);
+    }
+    const rawShows = Array.isArray(envelope.data.shows) ? envelope.data.shows : [];
+    const rejected = rawShows.filter(show => !isPlainObject(show));
+    let data = {
+        ...envelope.data,
+        shows: rawShows.filter(isPlainObject),
+        settings: { ...DEFAULT_SETTINGS, ...(isPlainObject(envelope.data.settings) ? envelope.data.settings : {}) },
+        salespeople: Array.isArray(envelope.data.salespeople) ? envelope.data.salespeople.filter(isPlainObject) : [],
+        history: Array.isArray(envelope.data.history) ? envelope.data.history.filter(isPlainObject) : []
+    };
+    for (let version = envelope.schemaVersion; version < SCHEMA_VERSION; version++) {
+        data = migrations[version](data);
+    }
+    return { data, fromVersion: envelope.schemaVersion, rejected };
+};
+
+export const quarantine = (storage, raw, reason) => {
+    const key = `${QUARANTINE_PREFIX}${new Date().toISOString()}`;
+    try {
+        storage.setItem(key, JSON.stringify({ reason, quarantinedAt: new Date().toISOString(), raw }));
+    } catch (error) {
+        console.error("Error writing quarantine copy", error);
+    }
+    return key;
+};
+
+export const listQuarantine = (storage) => {
+    const entries = [];
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (!key || !key.startsWith(QUARANTINE_PREFIX)) continue;
+        try {
+            entries.push({ key, ...JSON.parse(storage.getItem(key)) });
+        } catch (error) {
+            entries.push({ key, reason: 'Unreadable quarantine entry', raw: storage.getItem(key) });
+        }
+    }
+    return entries.sort((a, b) => a.key.localeCompare(b.key));
+};
+
+const readLegacyKey = (storage, key) => {
+    try {
+        const value = storage.getItem(key);
+        return value ? JSON.parse(value) : undefined;
+    } catch (error) {
+        quarantine(storage, storage.getItem(key), `Could not parse ${key}`);
+        return undefined;
+    }
+};
+
+// Returns the app's data plus a list of problems worth telling the user about.
+export const loadData = (storage = localStorage) => {
+    const notices = [];
+    const raw = storage.getItem(STORAGE_KEY);
+    let parsed;
+    try {
+        parsed = raw ? JSON.parse(raw) : [];
+    } catch (error) {
+        quarantine(storage, raw, 'Saved data could not be parsed.');
+        notices.push('Your saved data could not be read. A copy was kept in quarantine under Settings → Backup & Restore.');
+        parsed = [];
+    }
+
+    // Before versioning, settings and the sales team had keys of their own.
+    if (Array.isArray(parsed)) {
+        parsed = {
+            schemaVersion: 0,
+            data: {
+                shows: parsed,
+                settings: readLegacyKey(storage, LEGACY_SETTINGS_KEY),
+                salespeople: readLegacyKey(storage, LEGACY_SALESPEOPLE_KEY)
+            }
+        };
+    }
+
+    try {
+        const { data, rejected } = upgradeEnvelope(parsed);
+        if (rejected.length > 0) {
+            quarantine(storage, JSON.stringify(rejected), `${rejected.length} unreadable show record(s).`);
+            notices.push(`${rejected.length} unreadable show record(s) were moved to quarantine.`);
+        }
+        return { data, notices };
+    } catch (error) {
+        quarantine(storage, raw, error.message);
+        notices.push(`${error.message} A copy was kept in quarantine and the app started empty.`);
+        return { data: EMPTY_DATA, notices };
+    }
+};
+
+export const saveData = (data, storage = localStorage) => {
+    const envelope = { schemaVersion: SCHEMA_VERSION, savedAt: new Date().toISOString(), data };
+    storage.setItem(STORAGE_KEY, JSON.stringify(envelope));
+    storage.removeItem(LEGACY_SETTINGS_KEY);
+    storage.removeItem(LEGACY_SALESPEOPLE_KEY);
+};
+
+// --- Backup & Restore ---
+// `files` are the attached files as [{ id, dataUrl }]; they live outside
+// localStorage, so the backup is the only copy that travels with the data.
+export const createBackup = (data, files = []) => JSON.stringify({
+    kind: BACKUP_KIND,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+    files
+}, null, 2);
+
+const isBackupFile = (file) => isPlainObject(file) && typeof file.id === 'string'
+    && typeof file.dataUrl === 'string' && file.dataUrl.startsWith('data:');
+
+// Accepts our own backups as well as a bare array of shows from older copies.
+export const parseBackup = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (isPlainObject(parsed) && parsed.kind && parsed.kind !== BACKUP_KIND) {
+        throw new Error('The file is not a Savings Tracker backup.');
+    }
+    const { data, rejected } = upgradeEnvelope(parsed);
+    const files = isPlainObject(parsed) && Array.isArray(parsed.files) ? parsed.files.filter(isBackupFile) : [];
+    return { data, files, rejectedCount: rejected.length, exportedAt: parsed.exportedAt || null };
+};
+
+const timestampOf = (record) => record.updatedAt || record.createdAt || '';
+
+// Union by id. When both sides have the same record, the more recently
+// updated copy wins.
+const mergeById = (current, incoming, pickNewer = true) => {
+    const merged = new Map(current.map(item => [item.id, item]));
+    incoming.forEach(item => {
+        const existing = merged.get(item.id);
+        if (!existing || (pickNewer && timestampOf(item) > timestampOf(existing))) {
+            merged.set(item.id, item);
+        }
+    });
+    return [...merged.values()];
+};
+
+export const mergeData = (current, incoming) => ({
+    ...current,
+    shows: mergeById(current.shows, incoming.shows),
+    salespeople: mergeById(current.salespeople, incoming.salespeople, false),
+    history: mergeById(current.history || [], incoming.history || [], false),
+    settings: {
+        ...current.settings,
+        marketTiers: mergeById(current.settings.marketTiers, incoming.settings.marketTiers, false),
+        rateCards: mergeById(current.settings.rateCards, incoming.settings.rateCards, false),
+        exchangeRates: mergeById(current.settings.exchangeRates || [], incoming.settings.exchangeRates || [], false),
+        clients: mergeById(current.settings.clients || [], incoming.settings.clients || [], false)
+    }
+});
@@ -0,0 +1,51 @@
+import { QUARANTINE_PREFIX, SCHEMA_VERSION, STORAGE_KEY, createBackup, listQuarantine, loadData, mergeData, parseBackup, saveData } from './storage';
+
+beforeEach(() => localStorage.clear());
+
+test('migrates the original bare array and separate settings keys', () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([{ destination: 'Boston', nights: '3', actualRoomCost: 250 }]));
+    localStorage.setItem('roadshow-savings-salespeople', JSON.stringify([{ id: 'a', name: 'Alice' }]));
+
+    const { data, notices } = loadData(localStorage);
+
+    expect(notices).toEqual([]);
+    expect(data.shows[0]).toMatchObject({ destination: 'Boston', nights: 3, actualRoomCost: 250, expenses: [], assignees: [], currency: 'USD', exchangeRate: 1, status: 'completed', adjustments: [] });
+    expect(data.shows[0].id).toBeTruthy();
+    expect(data.salespeople).toEqual([{ id: 'a', name: 'Alice' }]);
+    expect(data.settings.rateCards.length).toBeGreaterThan(0);
+
+    saveData(data, localStorage);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).schemaVersion).toBe(SCHEMA_VERSION);
+    expect(localStorage.getItem('roadshow-savings-salespeople')).toBeNull();
+});
+
+test('quarantines unparseable data instead of discarding it', () => {
+    localStorage.setItem(STORAGE_KEY, '{"broken');
+
+    const { data, notices } = loadData(localStorage);
+
+    expect(data.shows).toEqual([]);
+    expect(notices).toHaveLength(1);
+    const [entry] = listQuarantine(localStorage);
+    expect(entry.key.startsWith(QUARANTINE_PREFIX)).toBe(true);
+    expect(entry.raw).toBe('{"broken');
+});
+
+test('refuses data written by a newer schema', () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, data: { shows: [] } }));
+    expect(loadData(localStorage).notices[0]).toMatch(/newer version/);
+    expect(listQuarantine(localStorage)).toHaveLength(1);
+});
+
+test('restores backups by merging or replacing', () => {
+    const current = loadData(localStorage).data;
+    current.shows = [{ id: '1', destination: 'Boston', updatedAt: '2025-01-01' }];
+    const backup = parseBackup(createBackup({
+        ...current,
+        shows: [{ id: '1', destination: 'Boston (revised)', updatedAt: '2025-02-01' }, { id: '2', destination: 'Denver' }]
+    }));
+
+    expect(mergeData(current, backup.data).shows.map(show => show.destination)).toEqual(['Boston (revised)', 'Denver']);
+    expect(() => parseBackup('not json')).toThrow(/valid JSON/);
+    expect(() => parseBackup(JSON.stringify({ kind: 'something-else' }))).toThrow(/not a Savings Tracker backup/);
+});
@@ -0,0 +1,235 @@
+// --- Cloud Sync ---
+// The sync engine keeps the local data (the source of truth for the UI and
+// the offline cache) and a shared remote store in step. It is independent of
+// Firebase: anything implementing the remote interface below can back it.
+//
+//   remote.subscribe((collection, records) => {}, onError) → unsubscribe
+//   remote.put(collection, record) → Promise
+//
+// Every record carries an `id`. Deletions are written to the remote as
+// tombstones ({ id, deletedAt }) so other devices can tell a delete apart
+// from a record they simply haven't seen yet.
+//
+// Conflicts are resolved per field with a three-way merge against the last
+// version both sides agreed on (the "base"). Only when both sides changed the
+// same field differently does the more recently updated copy win.
+
+export const SYNC_COLLECTIONS = ['shows', 'salespeople', 'settings', 'history'];
+const SETTINGS_ID = 'settings';
+const METADATA_FIELDS = ['updatedAt', 'updatedBy'];
+
+export const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).filter(key => value[key] !== undefined).sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+const same = (a, b) => stableStringify(a) === stableStringify(b);
+
+export const toCollections = (data) => ({
+    shows: data.shows,
+    salespeople: data.salespeople,
+    settings: [{ ...data.settings, id: SETTINGS_ID }],
+    history: data.history || []
+});
+
+export const fromCollections = (collections, fallback) => {
+    const settingsRecord = collections.settings.find(record => record.id === SETTINGS_ID);
+    let settings = fallback.settings;
+    if (settingsRecord) {
+        const { id, ...rest } = settingsRecord;
+        settings = rest;
+    }
+    return { ...fallback, shows: collections.shows, salespeople: collections.salespeople, settings, history: collections.history };
+};
+
+// Field-level three-way merge of two versions of the same record.
+export const mergeRecord = (base = {}, local, remote) => {
+    const localNewer = (local.updatedAt || '') >= (remote.updatedAt || '');
+    const merged = {};
+    const conflictFields = [];
+    const fields = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+    fields.forEach(field => {
+        if (METADATA_FIELDS.includes(field)) return;
+        const [b, l, r] = [base[field], local[field], remote[field]];
+        let value;
+        if (same(l, r) || same(r, b)) value = l;
+        else if (same(l, b)) value = r;
+        else {
+            conflictFields.push(field);
+            value = localNewer ? l : r;
+        }
+        if (value !== undefined) merged[field] = value;
+    });
+    const newer = localNewer ? local : remote;
+    METADATA_FIELDS.forEach(field => {
+        if (newer[field] !== undefined) merged[field] = newer[field];
+    });
+    return { merged, conflictFields };
+};
+
+const byId = (records) => new Map(records.map(record => [record.id, record]));
+
+// Reconciles one collection. Returns the new local records, the records to
+// write to the remote, any conflicts and the new base. A record only moves
+// into the base once the remote is seen to hold the same version, so a write
+// that fails (or hasn't landed yet) is simply pushed again next time.
+export const reconcileCollection = (localRecords, remoteRecords, base = {}, now = new Date().toISOString()) => {
+    const local = byId(localRecords);
+    const remote = byId(remoteRecords);
+    // Records new to this device go first, matching how the app lists new shows.
+    const ids = [
+        ...remoteRecords.map(r => r.id).filter(id => !local.has(id) && !(id in base)),
+        ...localRecords.map(r => r.id),
+        ...remoteRecords.map(r => r.id).filter(id => !local.has(id) && id in base)
+    ];
+    const records = [];
+    const toPush = [];
+    const conflicts = [];
+    const nextBase = {};
+
+    ids.forEach(id => {
+        const l = local.get(id);
+        const r = remote.get(id);
+        const b = base[id];
+        const remoteAlive = r && !r.deletedAt;
+
+        if (l && !remoteAlive) {
+            // Deleted elsewhere and untouched here: accept the delete.
+            if (r && b && same(l, b)) return;
+            if (r && b) conflicts.push({ id, fields: ['deleted'] });
+            toPush.push(l);
+            records.push(l);
+            if (b) nextBase[id] = b;
+            return;
+        }
+        if (!l && remoteAlive) {
+            // Deleted here and untouched elsewhere: propagate the delete.
+            if (b && same(r, b)) {
+                toPush.push({ id, deletedAt: now, updatedAt: now });
+                nextBase[id] = b;
+                return;
+            }
+            if (b) conflicts.push({ id, fields: ['deleted'] });
+            records.push(r);
+            nextBase[id] = r;
+            return;
+        }
+        if (!l) return;
+
+        if (same(l, r)) {
+            records.push(l);
+            nextBase[id] = l;
+            return;
+        }
+        const { merged, conflictFields } = mergeRecord(b, l, r);
+        if (conflictFields.length > 0) conflicts.push({ id, fields: conflictFields });
+        records.push(merged);
+        if (same(merged, r)) {
+            nextBase[id] = merged;
+        } else {
+            toPush.push(merged);
+            if (b) nextBase[id] = b;
+        }
+    });
+
+    return { records, toPush, conflicts, base: nextBase, localChanged: !same(records, localRecords) };
+};
+
+export const createSyncEngine = ({ remote, getLocal, applyLocal, base: initialBase = {}, onBaseChange = () => {}, onConflicts = () => {}, onSynced = () => {}, onError = () => {} }) => {
+    let snapshot = {};
+    let base = initialBase;
+    let unsubscribe = null;
+    let running = false;
+    let rerun = false;
+
+    const isReady = () => SYNC_COLLECTIONS.every(name => Array.isArray(snapshot[name]));
+
+    const step = () => {
+        const localData = getLocal();
+        const local = toCollections(localData);
+        const nextLocal = {};
+        const nextBase = {};
+        let localChanged = false;
+        const conflicts = [];
+
+        SYNC_COLLECTIONS.forEach(name => {
+            const result = reconcileCollection(local[name], snapshot[name], base[name]);
+            nextLocal[name] = result.records;
+            nextBase[name] = result.base;
+            localChanged = localChanged || result.localChanged;
+            conflicts.push(...result.conflicts.map(conflict => ({ ...conflict, collection: name })));
+            result.toPush.forEach(record => {
+                Promise.resolve(remote.put(name, record)).catch(onError);
+            });
+        });
+
+        base = nextBase;
+        onBaseChange(base);
+        if (localChanged) applyLocal(fromCollections(nextLocal, localData));
+        if (conflicts.length > 0) onConflicts(conflicts);
+        onSynced();
+    };
+
+    const run = () => {
+        if (!isReady()) return;
+        if (running) {
+            rerun = true;
+            return;
+        }
+        running = true;
+        try {
+            do {
+                rerun = false;
+                step();
+            } while (rerun);
+        } catch (error) {
+            onError(error);
+        } finally {
+            running = false;
+        }
+    };
+
+    return {
+        start() {
+            unsubscribe = remote.subscribe((name, records) => {
+                snapshot = { ...snapshot, [name]: records };
+                run();
+            }, onError);
+        },
+        stop() {
+            if (unsubscribe) unsubscribe();
+            unsubscribe = null;
+        },
+        // Call after every local edit.
+        localChanged: run
+    };
+};
+
+// In-memory remote with the same contract as the Firestore one. Used by the
+// tests, and handy for trying out sync without a Firebase project.
+export const createMemoryRemote = () => {
+    const store = Object.fromEntries(SYNC_COLLECTIONS.map(name => [name, new Map()]));
+    const listeners = new Set();
+    let online = true;
+    const emit = (listener, name) => listener(name, [...store[name].values()]);
+
+    return {
+        subscribe(onChange) {
+            listeners.add(onChange);
+            SYNC_COLLECTIONS.forEach(name => emit(onChange, name));
+            return () => listeners.delete(onChange);
+        },
+        put(name, record) {
+            if (!online) return Promise.reject(new Error('offline'));
+            store[name].set(record.id, record);
+            // Firestore delivers snapshots asynchronously; so does this.
+            return Promise.resolve().then(() => listeners.forEach(listener => emit(listener, name)));
+        },
+        records: (name) => [...store[name].values()],
+        setOnline: (value) => { online = value; }
+    };
+};
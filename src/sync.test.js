@@ -0,0 +1,78 @@
+import { createMemoryRemote, createSyncEngine, mergeRecord } from './sync';
+import { DEFAULT_SETTINGS } from './rateCards';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// A device with its own local copy of the data, synced through the remote.
+const createDevice = (remote, shows = []) => {
+    const device = { data: { shows, salespeople: [], settings: DEFAULT_SETTINGS }, conflicts: [] };
+    device.engine = createSyncEngine({
+        remote,
+        getLocal: () => device.data,
+        applyLocal: (data) => { device.data = data; },
+        onConflicts: (conflicts) => device.conflicts.push(...conflicts)
+    });
+    device.edit = (update) => {
+        device.data = { ...device.data, shows: update(device.data.shows) };
+        device.engine.localChanged();
+    };
+    device.engine.start();
+    return device;
+};
+
+const show = { id: 's1', destination: 'Boston', nights: 3, notes: '', updatedAt: '2025-01-01T00:00:00.000Z' };
+
+test('shares shows between devices', async () => {
+    const remote = createMemoryRemote();
+    createDevice(remote, [show]);
+    await flush();
+    const tablet = createDevice(remote);
+    await flush();
+
+    expect(tablet.data.shows).toEqual([show]);
+    expect(remote.records('shows')).toEqual([show]);
+});
+
+test('merges edits to different fields of the same show', async () => {
+    const remote = createMemoryRemote();
+    const laptop = createDevice(remote, [show]);
+    const tablet = createDevice(remote);
+    await flush();
+
+    remote.setOnline(false);
+    laptop.edit(shows => shows.map(s => ({ ...s, nights: 4, updatedAt: '2025-01-02T00:00:00.000Z' })));
+    tablet.edit(shows => shows.map(s => ({ ...s, notes: 'Late checkout', updatedAt: '2025-01-03T00:00:00.000Z' })));
+    await flush();
+    remote.setOnline(true);
+    laptop.engine.localChanged();
+    await flush();
+    tablet.engine.localChanged();
+    await flush();
+
+    expect(laptop.data.shows[0]).toMatchObject({ nights: 4, notes: 'Late checkout' });
+    expect(tablet.data.shows[0]).toMatchObject({ nights: 4, notes: 'Late checkout' });
+    expect(laptop.conflicts).toEqual([]);
+});
+
+test('resolves a same-field conflict in favour of the later edit', () => {
+    const base = { ...show };
+    const local = { ...show, nights: 5, updatedAt: '2025-01-05T00:00:00.000Z' };
+    const remote = { ...show, nights: 6, updatedAt: '2025-01-04T00:00:00.000Z' };
+    const { merged, conflictFields } = mergeRecord(base, local, remote);
+    expect(merged.nights).toBe(5);
+    expect(merged.updatedAt).toBe(local.updatedAt);
+    expect(conflictFields).toEqual(['nights']);
+});
+
+test('propagates deletes as tombstones', async () => {
+    const remote = createMemoryRemote();
+    const laptop = createDevice(remote, [show]);
+    const tablet = createDevice(remote);
+    await flush();
+
+    laptop.edit(() => []);
+    await flush();
+
+    expect(tablet.data.shows).toEqual([]);
+    expect(remote.records('shows')[0].deletedAt).toBeTruthy();
+});
@@ -0,0 +1,129 @@
+import { diffById } from './repository';
+import { mergeRecord, stableStringify } from './sync';
+
+// --- Other Tabs ---
+// The app is often open in more than one tab. The tabs share one database
+// and each writes only the records it changed, so what's left is keeping
+// every tab's state current. After each save a tab announces what changed,
+// with each record as it was before and after:
+//   { shows:       { put: [{ before, after }], remove: [before] },
+//     history:     the same,
+//     salespeople: the same,
+//     settings:    { before, after } or null }
+// The other tabs fold that into their own state. A record they haven't
+// touched since `before` is replaced; one they have is merged field by field
+// the way cloud sync merges, so two tabs editing at once end up agreeing.
+
+const CHANNEL_NAME = 'roadshow-savings';
+// Browsers without BroadcastChannel hear each other through storage events on this key.
+export const TAB_SYNC_KEY = 'roadshowSavingsTabSync';
+const RECORD_COLLECTIONS = ['shows', 'history', 'salespeople'];
+
+const same = (a, b) => stableStringify(a) === stableStringify(b);
+
+export const describeChanges = (previous, next) => {
+    const message = {
+        settings: previous.settings === next.settings ? null : { before: previous.settings, after: next.settings }
+    };
+    RECORD_COLLECTIONS.forEach(name => {
+        const before = new Map(previous[name].map(record => [record.id, record]));
+        const { put, remove } = diffById(previous[name], next[name]);
+        message[name] = {
+            put: put.map(after => ({ before: before.get(after.id) || null, after })),
+            remove: remove.map(id => before.get(id))
+        };
+    });
+    return message;
+};
+
+// One version of a record from this tab and one from another, given the
+// version the other tab started from.
+const foldRecord = (mine, before, after) => {
+    if (!mine) return after;
+    if (same(mine, after)) return mine;
+    if (before && same(mine, before)) return after;
+    return mergeRecord(before || {}, mine, after).merged;
+};
+
+// Returns the tab's records and what it now counts as saved. Anything taken
+// as it came is already in the database; anything merged with this tab's own
+// edit differs from its saved copy, so the next save writes it.
+const foldCollection = (local, saved, { put, remove }, { newFirst }) => {
+    if (put.length === 0 && remove.length === 0) return { records: local, saved };
+    const records = new Map(local.map(record => [record.id, record]));
+    const savedRecords = new Map(saved.map(record => [record.id, record]));
+    const added = [];
+    put.forEach(({ before, after }) => {
+        const mine = records.get(after.id);
+        const result = foldRecord(mine, before, after);
+        if (!mine) added.push(result);
+        records.set(after.id, result);
+        savedRecords.set(after.id, result === mine ? mine : after);
+    });
+    remove.forEach(before => {
+        // Kept if this tab has edited it since; the next save puts it back.
+        if (same(records.get(before.id), before)) records.delete(before.id);
+        savedRecords.delete(before.id);
+    });
+    const kept = local.filter(record => records.has(record.id)).map(record => records.get(record.id));
+    const folded = newFirst ? [...added, ...kept] : [...kept, ...added];
+    // The sales team is saved as one list, so it has to be the same list.
+    const inStep = folded.length === savedRecords.size && folded.every(record => savedRecords.get(record.id) === record);
+    return { records: folded, saved: inStep ? folded : [...savedRecords.values()] };
+};
+
+// New shows go first, matching how the app lists them; log entries and
+// salespeople are appended.
+export const applyTabChanges = (local, saved, message) => {
+    const data = { ...local };
+    const nextSaved = { ...saved };
+    RECORD_COLLECTIONS.forEach(name => {
+        const folded = foldCollection(local[name], saved[name], message[name], { newFirst: name === 'shows' });
+        data[name] = folded.records;
+        nextSaved[name] = folded.saved;
+    });
+    if (message.settings) {
+        const { before, after } = message.settings;
+        data.settings = foldRecord(local.settings, before, after);
+        nextSaved.settings = data.settings === local.settings ? local.settings : after;
+    }
+    return { data, saved: nextSaved };
+};
+
+// post(message) tells the other tabs; subscribe(listener) → unsubscribe.
+// The channel is opened on first use.
+export const createTabChannel = ({ Channel = window.BroadcastChannel, storage = localStorage, target = window } = {}) => {
+    if (Channel) {
+        let channel = null;
+        const open = () => {
+            if (!channel) channel = new Channel(CHANNEL_NAME);
+            return channel;
+        };
+        return {
+            post: (message) => open().postMessage(message),
+            subscribe(listener) {
+                const handle = (event) => listener(event.data);
+                open().addEventListener('message', handle);
+                return () => channel.removeEventListener('message', handle);
+            }
+        };
+    }
+    return {
+        // Setting then clearing the key fires a storage event in every other tab.
+        post(message) {
+            try {
+                storage.setItem(TAB_SYNC_KEY, JSON.stringify(message));
+                storage.removeItem(TAB_SYNC_KEY);
+            } catch (error) {
+                console.error("Error telling other tabs about a change", error);
+            }
+        },
+        subscribe(listener) {
+            const handle = (event) => {
+                if (event.key === TAB_SYNC_KEY && event.newValue) listener(JSON.parse(event.newValue));
+            };
+            target.addEventListener('storage', handle);
+            return () => target.removeEventListener('storage', handle);
+        }
+    };
+};
@@ -0,0 +1,63 @@
+import { DEFAULT_SETTINGS } from './rateCards';
+import { TAB_SYNC_KEY, applyTabChanges, createTabChannel, describeChanges } from './tabSync';
+import { diffData, hasChanges } from './repository';
+
+const boston = { id: 'a', destination: 'Boston', nights: 3, notes: '', updatedAt: '2025-07-01T00:00:00Z' };
+const denver = { id: 'b', destination: 'Denver', nights: 2, notes: '', updatedAt: '2025-07-01T00:00:00Z' };
+const data = { shows: [boston, denver], settings: DEFAULT_SETTINGS, salespeople: [{ id: 'p1', name: 'Alice' }], history: [] };
+
+// Sends a message the way BroadcastChannel would: as a copy.
+const copy = (message) => JSON.parse(JSON.stringify(message));
+
+test('takes what another tab saved without saving it again', () => {
+    const other = {
+        ...data,
+        shows: [{ id: 'c', destination: 'Austin' }, { ...boston, nights: 4 }],
+        history: [{ id: 'h1', showId: 'a', action: 'edit' }]
+    };
+    const { data: next, saved } = applyTabChanges(data, data, copy(describeChanges(data, other)));
+
+    expect(next.shows.map(show => [show.destination, show.nights])).toEqual([['Austin', undefined], ['Boston', 4]]);
+    expect(next.history).toHaveLength(1);
+    expect(next.settings).toBe(data.settings);
+    expect(hasChanges(diffData(saved, next))).toBe(false);
+});
+
+test('merges edits to the same show from two tabs so both end up the same', () => {
+    const inA = { ...data, shows: [{ ...boston, nights: 4, updatedAt: '2025-07-02T00:00:00Z' }, denver] };
+    const inB = { ...data, shows: [{ ...boston, notes: 'Late checkout', updatedAt: '2025-07-03T00:00:00Z' }, denver] };
+    const fromA = copy(describeChanges(data, inA));
+    const fromB = copy(describeChanges(data, inB));
+
+    const a = applyTabChanges(inA, inA, fromB);
+    const b = applyTabChanges(inB, inB, fromA);
+    expect(a.data.shows[0]).toEqual({ ...boston, nights: 4, notes: 'Late checkout', updatedAt: '2025-07-03T00:00:00Z' });
+    expect(b.data.shows[0]).toEqual(a.data.shows[0]);
+    // Both save the merged show; hearing about each other's save settles it.
+    expect(diffData(a.saved, a.data).shows.put).toHaveLength(1);
+    const settled = applyTabChanges(a.data, a.data, copy(describeChanges(b.saved, b.data)));
+    expect(hasChanges(diffData(settled.saved, settled.data))).toBe(false);
+
+    // A show deleted in one tab stays if the other has edited it since.
+    const removed = copy(describeChanges(data, { ...data, shows: [boston] }));
+    const edited = { ...data, shows: [boston, { ...denver, nights: 5 }] };
+    expect(applyTabChanges(edited, edited, removed).data.shows).toHaveLength(2);
+    expect(applyTabChanges(data, data, removed).data.shows).toEqual([boston]);
+});
+
+test('falls back to storage events where BroadcastChannel is missing', () => {
+    const target = new EventTarget();
+    const channel = createTabChannel({ Channel: undefined, storage: localStorage, target });
+    const received = [];
+    const unsubscribe = channel.subscribe(message => received.push(message));
+
+    channel.post({ settings: null });
+    expect(localStorage.getItem(TAB_SYNC_KEY)).toBeNull();
+
+    const event = new Event('storage');
+    Object.assign(event, { key: TAB_SYNC_KEY, newValue: JSON.stringify({ settings: null }) });
+    target.dispatchEvent(event);
+    unsubscribe();
+    target.dispatchEvent(event);
+    expect(received).toEqual([{ settings: null }]);
+});
@@ -0,0 +1,125 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createSyncEngine } from './sync';
+import { WORKSPACE_ID, isCloudSyncConfigured } from './firebaseConfig';
+
+// --- Cloud Sync Hook ---
+// Sits behind the app's existing state: local edits keep going through
+// setShows/setSettings/setSalespeople/setHistory (and on into the local
+// repository, which doubles as the offline cache), while this hook pushes them
+// to Firestore and feeds other coordinators' changes back through
+// `onRemoteData`. Nothing is synced until `enabled`, which the app sets once
+// its saved data has loaded.
+//
+// status: 'disabled' | 'signed-out' | 'connecting' | 'synced' | 'error'
+
+const BASE_KEY = `roadshow-savings-sync-base-${WORKSPACE_ID}`;
+
+const readBase = () => {
+    try {
+        return JSON.parse(localStorage.getItem(BASE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+};
+
+const writeBase = (base) => {
+    try {
+        localStorage.setItem(BASE_KEY, JSON.stringify(base));
+    } catch (error) {
+        console.error("Error writing sync state to localStorage", error);
+    }
+};
+
+const conflictKey = (conflict) => `${conflict.collection}:${conflict.id}:${conflict.fields.join(',')}`;
+
+export const useCloudSync = ({ data, onRemoteData, enabled = true }) => {
+    const [status, setStatus] = useState(isCloudSyncConfigured ? 'signed-out' : 'disabled');
+    const [user, setUser] = useState(null);
+    const [syncError, setSyncError] = useState(null);
+    const [conflicts, setConflicts] = useState([]);
+
+    const firebaseRef = useRef(null);
+    const engineRef = useRef(null);
+    const dataRef = useRef(data);
+    const onRemoteDataRef = useRef(onRemoteData);
+    dataRef.current = data;
+    onRemoteDataRef.current = onRemoteData;
+
+    // Firebase is only downloaded when sync is configured.
+    useEffect(() => {
+        if (!isCloudSyncConfigured) return undefined;
+        let unsubscribe = null;
+        let cancelled = false;
+        import('./firebase').then(firebase => {
+            if (cancelled) return;
+            firebaseRef.current = firebase;
+            unsubscribe = firebase.watchAuth(setUser);
+        }).catch(error => {
+            console.error("Error loading Firebase", error);
+            setStatus('error');
+            setSyncError('Cloud sync could not be started.');
+        });
+        return () => {
+            cancelled = true;
+            if (unsubscribe) unsubscribe();
+        };
+    }, []);
+
+    useEffect(() => {
+        if (!user) {
+            if (isCloudSyncConfigured) setStatus('signed-out');
+            return undefined;
+        }
+        if (!enabled) return undefined;
+        const remote = firebaseRef.current.createFirestoreRemote(WORKSPACE_ID);
+        setStatus('connecting');
+        const engine = createSyncEngine({
+            remote,
+            getLocal: () => dataRef.current,
+            applyLocal: (next) => {
+                dataRef.current = next;
+                onRemoteDataRef.current(next);
+            },
+            base: readBase(),
+            onBaseChange: writeBase,
+            onConflicts: (found) => setConflicts(prev => {
+                const seen = new Set(prev.map(conflictKey));
+                return [...prev, ...found.filter(c => !seen.has(conflictKey(c)))].slice(-20);
+            }),
+            onSynced: () => {
+                setStatus('synced');
+                setSyncError(null);
+            },
+            onError: (error) => {
+                console.error("Cloud sync error", error);
+                setStatus('error');
+                setSyncError(error.message);
+            }
+        });
+        engineRef.current = engine;
+        engine.start();
+        return () => {
+            engine.stop();
+            engineRef.current = null;
+        };
+    }, [user, enabled]);
+
+    useEffect(() => {
+        if (engineRef.current) engineRef.current.localChanged();
+    }, [data.shows, data.settings, data.salespeople, data.history]);
+
+    const signIn = useCallback(async () => {
+        try {
+            await firebaseRef.current.signInUser();
+        } catch (error) {
+            setSyncError(error.message);
+        }
+    }, []);
+
+    const signOut = useCallback(() => firebaseRef.current.signOutUser(), []);
+
+    const dismissConflicts = useCallback(() => setConflicts([]), []);
+    const dismissError = useCallback(() => setSyncError(null), []);
+
+    return { status, user, syncError, conflicts, signIn, signOut, dismissConflicts, dismissError };
+};